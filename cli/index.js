@@ -21,21 +21,43 @@ import Debug from '../util/debug.js';
 const g_debug = Debug.extend('cli');
 
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
 import commandLineArgs from 'command-line-args';
 import chalk from 'chalk';
 import {
 	all as gamemapFormats,
+	convertMap,
+	applyPatch,
+	checkPatch,
+	createPatch,
+	diffMaps,
+	findCode,
+	findHandler as gamemapFindHandler,
 	Map2D,
 	Map2D_Layer_Tiled,
 	Map2D_Layer_List,
+	Map2D_Layer_Path,
+	patchFromJSON,
+	patchToJSON,
+	mapStats,
+	renderMap,
+	replaceCode,
+	tilesFromText,
+	tilesToText,
 } from '../index.js';
+import { decodePNG, encodePNG, isPNG } from './png.js';
 
 class OperationsError extends Error {
 }
-console.log(chalk.red`test`,chalk.styles);
-// Draw a Map2D_Layer_Tiled using chalk.
-function drawLayerTiled(l)
+
+// Draw a Map2D_Layer_Tiled using chalk.  `area` limits the drawing to a
+// rectangle of tiles, and any "x,y" tile positions in `marks` are drawn with
+// a star, e.g. to show where the items are.
+function drawLayerTiled(l, area, marks = new Set())
 {
+	const a = area || { x: 0, y: 0, width: l.layerW, height: l.layerH };
 	const colours = [
 		chalk.bgBlack.blueBright,
 		chalk.bgBlack.greenBright,
@@ -158,13 +180,14 @@ function drawLayerTiled(l)
 		chalk.bgBlack.blackBright,
 	];
 	let lastAlloc = 0;
-	let tilemap = [], lastColour = null;
-	for (let y = 0; y < l.layerH; y++) {
-		for (let x = 0; x < l.layerW; x++) {
+	let tilemap = [];
+	for (let y = a.y; y < a.y + a.height; y++) {
+		for (let x = a.x; x < a.x + a.width; x++) {
 			const code = l.tiles[y][x];
+			const mark = marks.has(`${x},${y}`);
 			if (code === undefined) {
 				// No tile here.
-				process.stdout.write(chalk.reset(' '));
+				process.stdout.write(chalk.reset(mark ? '*' : ' '));
 			} else {
 				if (!tilemap[code]) {
 					// Allocate a new colour.
@@ -174,279 +197,2079 @@ function drawLayerTiled(l)
 				}
 				const tc = tilemap[code].c;
 				let clr = colours[tc % colours.length];
-				process.stdout.write(clr('░'));
+				process.stdout.write(clr(mark ? '*' : '░'));
 			}
 		}
 		process.stdout.write(chalk.reset(`\n`));
 	}
 }
 
-class Operations
+// Read a VGA palette file, which has 256 entries of 6-bit RGB values.
+function loadVGAPalette(filename)
 {
-	constructor() {
+	const content = fs.readFileSync(filename);
+	if (content.length < 768) {
+		throw new OperationsError(`render: palette "${filename}" is too short to `
+			+ `be a VGA palette.`);
 	}
+	let palette = [];
+	for (let i = 0; i < 256; i++) {
+		palette.push([
+			Math.round(content[i * 3 + 0] * 255 / 63),
+			Math.round(content[i * 3 + 1] * 255 / 63),
+			Math.round(content[i * 3 + 2] * 255 / 63),
+			255,
+		]);
+	}
+	return palette;
+}
 
-	info() {
-		const p = process.stdout.write.bind(process.stdout);
-		p(`Map class: ${this.map.type} [instanceof ${this.map.constructor.name}]\n`);
-
-		p(`Common properties:\n`);
-		p(' * Attributes:\n');
-		for (const [ id, a ] of Object.entries(this.map.attributes)) {
-			p(`    - ${id}=${a.value}`);
-			switch (a.type) {
-				case 'int': p(` [min=${a.rangeMin} max=${a.rangeMax}]`); break;
-				case 'bool': p(` [true/false]`); break;
-				default: p(` [unknown type "${a.type}"]`); break;
-			}
-			p(`  # ${a.title}\n`);
-		}
-
-		switch (this.map.type) {
-			case 'map2d':
-				p(`Map type: 2D layered\n`);
-				p(` * Number of layers: ${this.map.layers.length}\n`);
-				for (const l of this.map.layers) {
-					p(`   * ${l.title}: ${l.type}\n`);
-					switch (l.type) {
-						case 'tiled':
-							p(`     - Size: ${l.layerW}x${l.layerH}\n`);
-							drawLayerTiled(l);
-							break;
-
-						default:
-							break;
-					}
-				}
-				break;
+// Load a tileset given as "name=file[@WxH]", split into an array of images.
+function loadTileset(spec, defaultTileSize, palette)
+{
+	const match = /^([^=]+)=(.+?)(?:@([0-9]+)x([0-9]+))?$/.exec(spec);
+	if (!match) {
+		throw new OperationsError(`render: invalid tileset "${spec}", expected `
+			+ `<name>=<file>[@<width>x<height>].`);
+	}
+	const [ , name, filename ] = match;
+	const tileW = match[3] ? parseInt(match[3], 10) : defaultTileSize.x;
+	const tileH = match[4] ? parseInt(match[4], 10) : defaultTileSize.y;
+	if (!tileW || !tileH) {
+		throw new OperationsError(`render: no tile size for tileset "${name}", `
+			+ `please add @<width>x<height> to the filename.`);
+	}
 
-			default:
-				p(`Map type: Unknown\n`);
-				break;
-		}
+	let content;
+	try {
+		content = fs.readFileSync(filename);
+	} catch (e) {
+		throw new OperationsError(`render: unable to open tileset "${filename}": `
+			+ e.message);
 	}
 
-	open(params) {
-		if (!params.format) {
-			throw new OperationsError('open: must specify file format with -t.');
-		}
-		if (!params.target) {
-			throw new OperationsError('open: missing filename.');
+	let images = [];
+	if (!isPNG(content)) {
+		// Raw VGA tiles, one byte per pixel with each tile after the last.
+		if (!palette) {
+			throw new OperationsError(`render: tileset "${filename}" is not a PNG `
+				+ `image, so a palette must be supplied with -p.`);
 		}
-
-		const handler = gamemapFormats.find(h => h.metadata().id === params.format);
-		if (!handler) {
-			throw new OperationsError(`Invalid format code: ${params.format}.`);
+		const len = tileW * tileH;
+		for (let offset = 0; offset + len <= content.length; offset += len) {
+			images.push({
+				width: tileW,
+				height: tileH,
+				pixels: content.subarray(offset, offset + len),
+				palette,
+			});
 		}
+		return { name, images };
+	}
 
-		let content = {
-			main: fs.readFileSync(params.target),
-		};
+	let source;
+	try {
+		source = decodePNG(content);
+	} catch (e) {
+		throw new OperationsError(`render: unable to read "${filename}": `
+			+ e.message);
+	}
 
-		const suppList = handler.supps(params.target, content.main);
-		if (suppList) {
-			for (const [id, suppFilename] of Object.entries(suppList)) {
-				try {
-					content[id] = fs.readFileSync(suppFilename);
-					content[id].filename = suppFilename;
-				} catch (e) {
-					throw new OperationsError(`open: unable to open supplementary file `
-						+ `"${suppFilename}": ${e.message}`);
-				}
+	// Cut the image into tiles, left to right then top to bottom.
+	const across = Math.floor(source.width / tileW);
+	const down = Math.floor(source.height / tileH);
+	for (let ty = 0; ty < down; ty++) {
+		for (let tx = 0; tx < across; tx++) {
+			let pixels = new Uint32Array(tileW * tileH);
+			for (let y = 0; y < tileH; y++) {
+				const src = (ty * tileH + y) * source.width + tx * tileW;
+				pixels.set(source.pixels.subarray(src, src + tileW), y * tileW);
 			}
+			images.push({
+				width: tileW,
+				height: tileH,
+				pixels,
+				palette: source.palette,
+			});
 		}
-
-		this.map = handler.parse(content);
-		this.handler = handler;
 	}
+	return { name, images };
+}
 
-	async save(params) {
-		if (!params.target) {
-			throw new OperationsError('save: missing filename');
+// Enlarge an RGBA image by repeating each pixel.
+function scaleFrame(frame, scale)
+{
+	const width = frame.width * scale;
+	const height = frame.height * scale;
+	let pixels = new Uint8Array(width * height * 4);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const src = (Math.floor(y / scale) * frame.width + Math.floor(x / scale)) * 4;
+			pixels.set(frame.pixels.subarray(src, src + 4), (y * width + x) * 4);
 		}
+	}
+	return { width, height, pixels };
+}
 
-		const problems = this.handler.checkLimits(this.map);
-		if (problems.length) {
-			console.log('There are problems preventing the requested changes from taking place:\n');
-			for (let i = 0; i < problems.length; i++) {
-				console.log((i + 1).toString().padStart(2) + ': ' + problems[i]);
-			}
-			console.log('\nPlease correct these issues and try again.\n');
-			throw new OperationsError('save: cannot save due to file format limitations.');
+/**
+ * Read a map file, along with any supplementary files.
+ *
+ * @param {string} filename
+ *   File to read.
+ *
+ * @param {string} format
+ *   Format ID, or `undefined` to autodetect the format.
+ *
+ * @param {string} cmd
+ *   Name of the command, for error messages.
+ *
+ * @return {Object} with `map` and `handler` properties.
+ */
+function loadMap(filename, format, cmd)
+{
+	let handler;
+	if (format) {
+		handler = gamemapFormats.find(h => h.metadata().id === format);
+		if (!handler) {
+			throw new OperationsError(`Invalid format code: ${format}.`);
 		}
+	}
 
-		console.warn('Saving to', params.target);
-		const outContent = this.handler.generate(this.map);
+	let content = {
+		main: fs.readFileSync(filename),
+	};
 
-		let promises = [];
-		const suppList = this.handler.supps(params.target, outContent.main);
-		if (suppList) {
-			for (const [id, suppFilename] of Object.entries(suppList)) {
-				console.warn(` - Saving supplemental file "${id}" to ${suppFilename}`);
-				promises.push(
-					fs.promises.writeFile(suppFilename, outContent[id])
-				);
+	if (!handler) {
+		const handlers = gamemapFindHandler(content.main, filename);
+		if (handlers.length === 0) {
+			throw new OperationsError(`${cmd}: unable to identify the format of `
+				+ `${filename}.`);
+		}
+		if (handlers.length > 1) {
+			console.error(`The file format of ${filename} could not be unambiguously identified.  It could be:`);
+			for (const h of handlers) {
+				const m = h.metadata();
+				console.error(` * ${m.id} (${m.title})`);
 			}
+			throw new OperationsError(`${cmd}: please use the -t option to specify the format.`);
 		}
-		promises.push(fs.promises.writeFile(params.target, outContent.main));
-
-		return await Promise.all(promises);
+		handler = handlers[0];
 	}
 
-	text(params) {
-		const p = process.stdout.write.bind(process.stdout);
-
-		if (!params.layer) {
-			throw new OperationsError('text: missing layer index.');
+	const suppList = handler.supps(filename, content.main);
+	if (suppList) {
+		for (const [id, suppFilename] of Object.entries(suppList)) {
+			try {
+				content[id] = fs.readFileSync(suppFilename);
+				content[id].filename = suppFilename;
+			} catch (e) {
+				throw new OperationsError(`${cmd}: unable to open supplementary file `
+					+ `"${suppFilename}": ${e.message}`);
+			}
 		}
+	}
 
-		const layer = this.map.layers[params.layer];
-		if (!layer) {
-			throw new OperationsError(`text: layer ${params.layer} does not exist.`);
+	return {
+		map: handler.parse(content),
+		handler,
+	};
+}
+
+/**
+ * Convert "name=value" options into an object, for passing to a handler's
+ * `create()` function.
+ */
+function parseCreateOptions(list)
+{
+	let options = {};
+	for (const opt of list || []) {
+		const eq = opt.indexOf('=');
+		if (eq < 0) {
+			throw new OperationsError(`Option "${opt}" must be given as `
+				+ `<name>=<value>.`);
 		}
-		if (layer instanceof Map2D_Layer_Tiled) {
-			const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-			const size = this.map.size();
-			let codeMap = [], lastCode = 0;
-			for (let y = 0; y < size.y; y++) {
-				for (let x = 0; x < size.x; x++) {
-					const code = layer.tiles[y][x];
-					if (code === null) {
-						p(' ');
-					} else if (code === undefined) {
-						p('?');
-					} else {
-						const codeString = code.toString();
-						if (!codeMap[codeString]) {
-							codeMap[codeString] = chars[lastCode++];
-							lastCode %= chars.length;
-						}
-						p(codeMap[codeString]);
-					}
-				}
-				p('\n');
-			}
-		} else if (layer instanceof Map2D_Layer_List) {
-			for (const item of layer.items) {
-				p(`(${item.x},${item.y}) - ${item.code}\n`);
-			}
-		} else {
-			throw new OperationsError(`text: displaying layer type `
-				+ `"${layer.constructor.name}" has not been implemented yet.`);
+		const name = opt.substr(0, eq);
+		let value = opt.substr(eq + 1);
+		if ((value === 'true') || (value === 'false')) {
+			value = (value === 'true');
+		} else if ((value !== '') && !isNaN(value)) {
+			value = Number(value);
 		}
+		options[name] = value;
 	}
+	return options;
 }
 
-Operations.names = {
-	info: [],
-	open: [
-		{ name: 'format', alias: 't' },
-		{ name: 'target', defaultOption: true },
-	],
-	save: [
-		{ name: 'target', defaultOption: true },
-	],
-	text: [
-		{ name: 'layer', defaultOption: true },
-	],
-};
+/**
+ * Convert a tile or item code given on the command line into the value used
+ * by the map.  Numbers are converted, and anything else is kept as a string.
+ */
+function parseCode(text)
+{
+	return ((text !== '') && !isNaN(text)) ? Number(text) : text;
+}
 
-// Make some alises
-const aliases = {
-	info: ['dump'],
-};
-Object.keys(aliases).forEach(cmd => {
-	aliases[cmd].forEach(alias => {
-		Operations.names[alias] = Operations.names[cmd];
-		Operations.prototype[alias] = Operations.prototype[cmd];
-	});
-});
+/**
+ * Get a layer from the open map, making sure it is the expected type.
+ */
+function getLayer(cmd, map, index, type)
+{
+	if (!map) {
+		throw new OperationsError(`${cmd}: no map is open.`);
+	}
+	const layer = map.layers && map.layers[index];
+	if (!layer) {
+		throw new OperationsError(`${cmd}: layer ${index} does not exist.`);
+	}
+	if (!(layer instanceof type)) {
+		throw new OperationsError(`${cmd}: layer ${index} is not ` + (
+			(type === Map2D_Layer_Tiled) ? 'a tiled layer.' : 'an item layer.'
+		));
+	}
+	return layer;
+}
 
-function listFormats()
+/**
+ * Split a list of whole numbers like "10,20" given on the command line.
+ *
+ * @param {Array} names
+ *   Name of each number, used in the error message if the list is wrong,
+ *   e.g. `['x', 'y']`.
+ */
+function parseNumbers(cmd, text, names)
 {
-	for (const handler of gamemapFormats) {
-		const md = handler.metadata();
-		console.log(`${md.id}: ${md.title}`);
-		if (md.params) Object.keys(md.params).forEach(p => {
-			console.log(`  * ${p}: ${md.params[p]}`);
-		});
+	const parts = (text || '').split(',');
+	if ((parts.length !== names.length) || !parts.every(n => /^-?[0-9]+$/.test(n))) {
+		throw new OperationsError(`${cmd}: expected `
+			+ names.map(n => `<${n}>`).join(',') + ` but got "${text}".`);
 	}
+	return parts.map(n => parseInt(n, 10));
 }
 
-async function processCommands()
+/**
+ * Find an item given on the command line either by its index, or by its
+ * coordinates in pixels as "x,y".
+ *
+ * @return {Number} index into `layer.items`.
+ */
+function findItemIndex(cmd, layer, ref)
 {
-	let cmdDefinitions = [
-		{ name: 'help', type: Boolean },
-		{ name: 'formats', type: Boolean },
-		{ name: 'name', defaultOption: true },
-	];
-	let argv = process.argv;
+	let index;
+	if (/^[0-9]+$/.test(ref)) {
+		index = parseInt(ref, 10);
+	} else {
+		const [ x, y ] = parseNumbers(cmd, ref, [ 'x', 'y' ]);
+		index = layer.items.findIndex(i => (i.x === x) && (i.y === y));
+	}
+	if (!layer.items[index]) {
+		throw new OperationsError(`${cmd}: there is no item ${ref} in the `
+			+ `"${layer.title}" layer.`);
+	}
+	return index;
+}
 
-	let cmd = commandLineArgs(cmdDefinitions, { argv, stopAtFirstUnknown: true });
-	argv = cmd._unknown || [];
+/**
+ * Make a change to the map as a single transaction, so it can be undone in
+ * one step.  If it fails, any partial changes are reverted.
+ *
+ * @return Whatever `fn` returns.
+ */
+function editMap(cmd, map, title, fn)
+{
+	let result;
+	map.beginTransaction(title);
+	try {
+		result = fn();
+	} catch (e) {
+		map.cancelTransaction();
+		throw new OperationsError(`${cmd}: ${e.message}`);
+	}
+	map.endTransaction();
+	return result;
+}
 
-	if (cmd.formats) {
-		listFormats();
-		return;
+/**
+ * Convert the command-line options shared by find and replace into the
+ * options for `findCode()` and `replaceCode()`.
+ */
+function parseSearchOptions(cmd, params, map)
+{
+	if (!(map instanceof Map2D)) {
+		throw new OperationsError(`${cmd}: only 2D maps can be searched.`);
 	}
 
-	if (!cmd.name || cmd.help) {
-		// No params, show help.
-		console.log(`Use: gamemap --formats | [command1 [command2...]]
+	let options = {};
+	if (params.tiles && params.items) {
+		throw new OperationsError(`${cmd}: --tiles and --items cannot be used `
+			+ 'together.');
+	} else if (params.tiles) {
+		options.type = 'tile';
+	} else if (params.items) {
+		options.type = 'item';
+	}
 
-Options:
+	if (params.layers) {
+		options.layers = params.layers.split(',').map(n => parseInt(n, 10));
+		for (const l of options.layers) {
+			if (!map.layers[l]) {
+				throw new OperationsError(`${cmd}: layer ${l} does not exist.`);
+			}
+		}
+	}
+	if (params.area) {
+		const area = params.area.split(',').map(n => parseInt(n, 10));
+		if ((area.length !== 4) || area.some(n => isNaN(n))) {
+			throw new OperationsError(`${cmd}: area must be given as `
+				+ '<x>,<y>,<width>,<height>.');
+		}
+		options.area = {
+			x: area[0],
+			y: area[1],
+			width: area[2],
+			height: area[3],
+		};
+	}
+	return options;
+}
 
-  --formats
-    List all available file formats.
+/**
+ * Shorten a list of codes by writing runs of consecutive numbers as ranges,
+ * e.g. "1-5, 7, 9-12".
+ */
+function codeRanges(codes)
+{
+	let parts = [];
+	for (let i = 0; i < codes.length; i++) {
+		let end = i;
+		while (
+			Number.isInteger(codes[end])
+			&& (codes[end + 1] === codes[end] + 1)
+		) {
+			end++;
+		}
+		parts.push((end > i + 1) ? `${codes[i]}-${codes[end]}` : String(codes[i]));
+		if (end === i + 1) parts.push(String(codes[end]));
+		i = end;
+	}
+	return parts.join(', ');
+}
 
-Commands:
+/**
+ * Convert an attribute value given on the command line into the form stored
+ * in the map, for passing to `Map.setAttribute()`.
+ *
+ * Presets can be given by their index or their name, and the preset-multiple
+ * types take a comma-separated list.
+ */
+function parseAttributeText(attr, text)
+{
+	const preset = t => {
+		const name = (attr.presets || []).findIndex(
+			p => String(p).toLowerCase() === t.toLowerCase()
+		);
+		if (name >= 0) return name;
+		if (/^[0-9]+$/.test(t)) return parseInt(t, 10);
+		throw new OperationsError(`"${t}" is not one of the presets: `
+			+ (attr.presets || []).join(', '));
+	};
 
-  info | dump
-    Display information about the opened map.
+	switch (attr.type) {
+		case 'int':
+			if (!/^-?[0-9]+$/.test(text)) {
+				throw new OperationsError(`"${text}" is not a whole number.`);
+			}
+			return parseInt(text, 10);
 
-  open -t <format> <file>
-    Open the local <file> as a map in format <format>.
+		case 'bool':
+			if ((text !== 'true') && (text !== 'false')) {
+				throw new OperationsError(`"${text}" must be true or false.`);
+			}
+			return text === 'true';
 
-  save <file>
-    Save the current map with any modifications to a new file, in its original
-    file format.
+		case 'preset-single':
+			return preset(text);
 
-  text <layer>
-    Display layer number <layer> as text on stdout.  Output type varies
-    depending on the type of map layer.
+		case 'preset-multiple0':
+		case 'preset-multiple1':
+			return text ? text.split(',').map(preset) : [];
 
-Examples:
+		default:
+			return text;
+	}
+}
 
-  gamemap open -t map-cosmo a1.mni info
+/**
+ * Describe a layer as plain data, for the --json options.
+ *
+ * Tiled layers include their size but not the tiles, which can be added by
+ * the caller if needed.  List layers include their items and path layers
+ * their paths.
+ */
+function layerToData(layer, index)
+{
+	let out = {
+		index,
+		title: layer.title,
+		type: layer.type,
+	};
+	if (layer instanceof Map2D_Layer_Tiled) {
+		out.width = layer.layerW;
+		out.height = layer.layerH;
+		out.tileWidth = layer.tileW;
+		out.tileHeight = layer.tileH;
+	} else if (layer instanceof Map2D_Layer_List) {
+		out.items = layer.items.map(item => {
+			let i = {
+				code: item.code,
+				x: item.x,
+				y: item.y,
+			};
+			if (item.attributeValues) i.attributeValues = item.attributeValues;
+			return i;
+		});
+	} else if (layer instanceof Map2D_Layer_Path) {
+		out.relative = layer.relative;
+		out.paths = layer.paths;
+	}
+	return out;
+}
 
-  # The DEBUG environment variable can be used for troubleshooting.
-  DEBUG='gamemap:*' gamemap ...
-`);
+/**
+ * Describe the result of `diffMaps()` as text.
+ */
+function printDiff(diff)
+{
+	const p = process.stdout.write.bind(process.stdout);
+	const v = value => (value === undefined) ? 'blank' : JSON.stringify(value);
+
+	if (diff.identical) {
+		p('The maps are identical.\n');
 		return;
 	}
 
-	let proc = new Operations();
-	//	while (argv.length > 2) {
-	while (cmd.name) {
-		const def = Operations.names[cmd.name];
-		if (def) {
-			const runOptions = commandLineArgs(def, { argv, stopAtFirstUnknown: true });
-			argv = runOptions._unknown || [];
-			try {
-				await proc[cmd.name](runOptions);
-			} catch (e) {
-				if (e instanceof OperationsError) {
-					console.error(e.message);
-					process.exit(2);
-				}
-				throw e;
+	if (diff.attributes.length) {
+		p('Attributes:\n');
+		for (const a of diff.attributes) {
+			p(` * ${a.id}: ${v(a.from)} -> ${v(a.to)}\n`);
+		}
+	}
+
+	for (const l of diff.layersRemoved) {
+		p(`Layer ${l.index} "${l.title}" (${l.type}) removed\n`);
+	}
+	for (const l of diff.layersAdded) {
+		p(`Layer ${l.index} "${l.title}" (${l.type}) added\n`);
+	}
+
+	for (const l of diff.layers) {
+		p(`Layer ${l.index} "${l.title}" (${l.type}):\n`);
+		if (l.resized) {
+			p(` * Resized from ${l.resized.from.width}x${l.resized.from.height} `
+				+ `to ${l.resized.to.width}x${l.resized.to.height}\n`);
+		}
+		for (const r of l.tiles || []) {
+			if ((r.width === 1) && (r.height === 1)) {
+				p(` * Tile (${r.x},${r.y}): ${v(r.from[0][0])} -> ${v(r.to[0][0])}\n`);
+				continue;
 			}
-		} else {
-			console.error(`Unknown command: ${cmd.name}`);
-			process.exit(1);
+			const codes = [ ...new Set(r.to.flat()) ];
+			p(` * Tiles (${r.x},${r.y}) ${r.width}x${r.height}`);
+			if (codes.length === 1) p(`: all now ${v(codes[0])}`);
+			p('\n');
 		}
-		cmd = commandLineArgs(cmdDefinitions, { argv, stopAtFirstUnknown: true });
-		argv = cmd._unknown || [];
+		for (const i of l.removed || []) {
+			p(` * Removed #${i.index}: code ${v(i.code)} at (${i.x},${i.y})\n`);
+		}
+		for (const i of l.added || []) {
+			p(` * Added #${i.index}: code ${v(i.code)} at (${i.x},${i.y})\n`);
+		}
+		for (const i of l.moved || []) {
+			p(` * Moved #${i.indexFrom}: code ${v(i.code)} from `
+				+ `(${i.from.x},${i.from.y}) to (${i.to.x},${i.to.y})\n`);
+		}
+		for (const i of l.changed || []) {
+			p(` * Changed #${i.indexFrom}: code ${v(i.code)} at (${i.x},${i.y})\n`);
+			for (const [ key, c ] of Object.entries(i.changes)) {
+				p(`    - ${key}: ${v(c.from)} -> ${v(c.to)}\n`);
+			}
+		}
+		if (l.relative) {
+			p(` * Relative: ${l.relative.from} -> ${l.relative.to}\n`);
+		}
+		for (const path of l.paths || []) {
+			if (!path.from) {
+				p(` * Path ${path.index} added\n`);
+			} else if (!path.to) {
+				p(` * Path ${path.index} removed\n`);
+			} else {
+				p(` * Path ${path.index} changed\n`);
+			}
+		}
+	}
+}
+
+class Operations
+{
+	constructor() {
+		/**
+		 * Set by the global --json option, to turn on JSON output for every
+		 * command that has a -j option.
+		 */
+		this.json = false;
+	}
+
+	additem(params) {
+		const [ index, pos, code ] = params.args || [];
+		if (code === undefined) {
+			throw new OperationsError('additem: expected <layer> <x>,<y> <code>.');
+		}
+		const layer = getLayer('additem', this.map, index, Map2D_Layer_List);
+		const [ x, y ] = parseNumbers('additem', pos, [ 'x', 'y' ]);
+		const at = (params.index === undefined) ? layer.items.length : params.index;
+		if (!Number.isInteger(at) || (at < 0) || (at > layer.items.length)) {
+			throw new OperationsError(`additem: index must be from 0 to `
+				+ `${layer.items.length}.`);
+		}
+
+		let item = layer.createItem(parseCode(code));
+		item.x = x;
+		item.y = y;
+		editMap('additem', this.map, 'Add item', () => layer.addItem(item, at));
+		console.warn(`Added item ${at} (${code}) at (${x},${y}) in layer ${index}.`);
+	}
+
+	convert(params) {
+		if (!params.format) {
+			throw new OperationsError('convert: missing format, use -t <format>.');
+		}
+		const handler = gamemapFormats.find(h => h.metadata().id === params.format);
+		if (!handler) {
+			throw new OperationsError(`Invalid format code: ${params.format}.`);
+		}
+
+		let mapping;
+		if (params.mapping) {
+			try {
+				mapping = JSON.parse(fs.readFileSync(params.mapping, 'utf8'));
+			} catch (e) {
+				throw new OperationsError(`convert: unable to read mapping table `
+					+ `"${params.mapping}": ${e.message}`);
+			}
+		}
+
+		let result;
+		try {
+			result = convertMap(this.map, handler, {
+				mapping,
+				create: parseCreateOptions(params.option),
+			});
+		} catch (e) {
+			throw new OperationsError(`convert: ${e.message}`);
+		}
+
+		if (result.unmapped.length) {
+			console.log('These codes are not in the mapping table and were left out:\n');
+			for (const u of result.unmapped) {
+				console.log(` * ${u.type} ${u.code} in the "${u.layer}" layer `
+					+ `(${u.count} times)`);
+			}
+			console.log('');
+		}
+		for (const warning of result.warnings) {
+			console.log(`Warning: ${warning}`);
+		}
+		if (result.issues.length) {
+			console.log(`The converted map will not save as ${params.format} until `
+				+ `these problems are corrected:\n`);
+			for (let i = 0; i < result.issues.length; i++) {
+				console.log((i + 1).toString().padStart(2) + ': ' + result.issues[i]);
+			}
+			console.log('');
+		}
+
+		this.map = result.map;
+		this.handler = handler;
+		console.warn(`Converted map to ${params.format}`);
+	}
+
+	delitem(params) {
+		const [ index, ref ] = params.args || [];
+		if (ref === undefined) {
+			throw new OperationsError('delitem: expected <layer> <item>.');
+		}
+		const layer = getLayer('delitem', this.map, index, Map2D_Layer_List);
+		const i = findItemIndex('delitem', layer, ref);
+
+		const item = editMap('delitem', this.map, 'Delete item',
+			() => layer.removeItem(i));
+		console.warn(`Deleted item ${i} (${item.code}) at (${item.x},${item.y}) `
+			+ `from layer ${index}.`);
+	}
+
+	diff(params) {
+		const files = params.files || [];
+		let before, after;
+		if (files.length === 2) {
+			before = loadMap(files[0], params.format, 'diff').map;
+			after = loadMap(files[1], params.format, 'diff').map;
+		} else if ((files.length === 1) && this.map) {
+			before = this.map;
+			after = loadMap(files[0], params.format, 'diff').map;
+		} else {
+			throw new OperationsError('diff: need two files to compare, or one file '
+				+ 'to compare with the open map.');
+		}
+
+		let diff;
+		try {
+			diff = diffMaps(before, after);
+		} catch (e) {
+			throw new OperationsError(`diff: ${e.message}`);
+		}
+
+		if (params.json) {
+			process.stdout.write(JSON.stringify(diff, null, 2) + '\n');
+		} else {
+			printDiff(diff);
+		}
+
+		if (params.output) {
+			let patch;
+			try {
+				patch = createPatch(before, after);
+			} catch (e) {
+				throw new OperationsError(`diff: ${e.message}`);
+			}
+			console.warn('Saving patch to', params.output);
+			fs.writeFileSync(params.output, patchToJSON(patch));
+		}
+	}
+
+	fill(params) {
+		const [ index, rect, code ] = params.args || [];
+		if (code === undefined) {
+			throw new OperationsError('fill: expected <layer> '
+				+ '<x>,<y>,<width>,<height> <code>.');
+		}
+		const layer = getLayer('fill', this.map, index, Map2D_Layer_Tiled);
+		const [ x, y, width, height ] = parseNumbers('fill', rect,
+			[ 'x', 'y', 'width', 'height' ]);
+		const tile = (code === 'none') ? undefined : parseCode(code);
+
+		const count = editMap('fill', this.map, 'Fill',
+			() => layer.fillRect(x, y, width, height, tile));
+		console.warn(`Changed ${count} tiles in layer ${index}.`);
+	}
+
+	find(params) {
+		if (!this.map) {
+			throw new OperationsError('find: no map is open.');
+		}
+		if (!params.code) {
+			throw new OperationsError('find: missing code to look for.');
+		}
+		const options = parseSearchOptions('find', params, this.map);
+
+		const matches = findCode(this.map, parseCode(params.code), options);
+		for (const m of matches) {
+			const title = this.map.layers[m.layer].title;
+			if (m.type === 'tile') {
+				console.log(`Layer ${m.layer} "${title}": tile at (${m.x},${m.y})`);
+			} else {
+				console.log(`Layer ${m.layer} "${title}": item ${m.index} at `
+					+ `(${m.x},${m.y}) px`);
+			}
+		}
+		console.warn(`Found ${matches.length} matches for ${params.code}.`);
+	}
+
+	['import-text'](params) {
+		const [ index, filename ] = params.args || [];
+		if (filename === undefined) {
+			throw new OperationsError('import-text: expected <layer> <file>.');
+		}
+		const layer = getLayer('import-text', this.map, index, Map2D_Layer_Tiled);
+
+		let text;
+		try {
+			text = fs.readFileSync(filename, 'utf8');
+		} catch (e) {
+			throw new OperationsError(`import-text: unable to read "${filename}": `
+				+ e.message);
+		}
+
+		const count = editMap('import-text', this.map, 'Import text',
+			() => tilesFromText(layer, text));
+		console.warn(`Changed ${count} tiles in layer ${index}.`);
+	}
+
+	info(params) {
+		if (!this.map) {
+			throw new OperationsError('info: no map is open.');
+		}
+
+		if (params.json) {
+			let out = {
+				class: this.map.constructor.name,
+				type: this.map.type,
+				format: this.handler ? this.handler.metadata() : null,
+				metadata: this.map.metadata,
+				attributes: this.map.attributes,
+				itemAttributes: this.map.itemAttributes,
+			};
+			if (this.map instanceof Map2D) {
+				out.layers = this.map.layers.map(layerToData);
+			}
+			console.log(JSON.stringify(out, null, 2));
+			return;
+		}
+
+		const p = process.stdout.write.bind(process.stdout);
+		p(`Map class: ${this.map.type} [instanceof ${this.map.constructor.name}]\n`);
+
+		p(`Common properties:\n`);
+		p(' * Attributes:\n');
+		for (const [ id, a ] of Object.entries(this.map.attributes)) {
+			p(`    - ${id}=${a.value}`);
+			switch (a.type) {
+				case 'int': p(` [min=${a.rangeMin} max=${a.rangeMax}]`); break;
+				case 'bool': p(` [true/false]`); break;
+				default: p(` [unknown type "${a.type}"]`); break;
+			}
+			p(`  # ${a.title}\n`);
+		}
+
+		switch (this.map.type) {
+			case 'map2d':
+				p(`Map type: 2D layered\n`);
+				p(` * Number of layers: ${this.map.layers.length}\n`);
+				for (const l of this.map.layers) {
+					p(`   * ${l.title}: ${l.type}\n`);
+					switch (l.type) {
+						case '2d.tiled':
+							p(`     - Size: ${l.layerW}x${l.layerH}\n`);
+							drawLayerTiled(l);
+							break;
+
+						default:
+							break;
+					}
+				}
+				break;
+
+			default:
+				p(`Map type: Unknown\n`);
+				break;
+		}
+	}
+
+	links() {
+		const p = process.stdout.write.bind(process.stdout);
+
+		if (!(this.map instanceof Map2D)) {
+			throw new OperationsError('links: only 2D maps have linked items.');
+		}
+
+		const describe = ref => `layer ${ref.layer} item #${ref.index} `
+			+ `(${ref.item.x},${ref.item.y}) code ${ref.item.code}`;
+
+		const graph = this.map.getLinkGraph();
+		const linkIds = Object.keys({
+			...graph.sources,
+			...graph.targets,
+		});
+		p(`Links: ${linkIds.length}\n`);
+		for (const id of linkIds) {
+			p(` * Link ${id}:\n`);
+			for (const ref of graph.sources[id] || []) {
+				p(`    - Source: ${describe(ref)}\n`);
+			}
+			for (const ref of graph.targets[id] || []) {
+				p(`    - Target: ${describe(ref)}\n`);
+			}
+		}
+
+		const groupIds = Object.keys(graph.groups);
+		p(`Groups: ${groupIds.length}\n`);
+		for (const id of groupIds) {
+			p(` * Group ${id}:\n`);
+			for (const ref of graph.groups[id]) {
+				p(`    - ${describe(ref)}\n`);
+			}
+		}
+
+		const problems = this.map.checkLinks();
+		if (problems.length) {
+			p(`Problems:\n`);
+			for (const problem of problems) {
+				p(` * ${problem}\n`);
+			}
+		}
+	}
+
+	moveitem(params) {
+		const [ index, ref, pos ] = params.args || [];
+		if (pos === undefined) {
+			throw new OperationsError('moveitem: expected <layer> <item> <x>,<y>.');
+		}
+		const layer = getLayer('moveitem', this.map, index, Map2D_Layer_List);
+		const i = findItemIndex('moveitem', layer, ref);
+		const [ x, y ] = parseNumbers('moveitem', pos, [ 'x', 'y' ]);
+
+		editMap('moveitem', this.map, 'Move item', () => layer.moveItem(i, x, y));
+		console.warn(`Moved item ${i} to (${x},${y}) in layer ${index}.`);
+	}
+
+	open(params) {
+		if (!params.target) {
+			throw new OperationsError('open: missing filename.');
+		}
+		const { map, handler } = loadMap(params.target, params.format, 'open');
+		this.map = map;
+		this.handler = handler;
+		this.filename = params.target;
+	}
+
+	patch(params) {
+		if (!params.target) {
+			throw new OperationsError('patch: missing patch filename.');
+		}
+		if (!this.map) {
+			throw new OperationsError('patch: no map is open.');
+		}
+
+		let patch;
+		try {
+			patch = patchFromJSON(fs.readFileSync(params.target, 'utf8'));
+		} catch (e) {
+			throw new OperationsError(`patch: unable to read "${params.target}": `
+				+ e.message);
+		}
+
+		const problems = checkPatch(this.map, patch);
+		if (problems.length) {
+			console.log('The patch does not match this map:\n');
+			for (let i = 0; i < problems.length; i++) {
+				console.log((i + 1).toString().padStart(2) + ': ' + problems[i]);
+			}
+			console.log('');
+			throw new OperationsError('patch: the map is not the one the patch was '
+				+ 'made from.');
+		}
+
+		if (params['dry-run']) {
+			console.warn('The patch can be applied to this map.');
+			return;
+		}
+
+		try {
+			applyPatch(this.map, patch);
+		} catch (e) {
+			throw new OperationsError(`patch: ${e.message}`);
+		}
+		console.warn('Applied patch', params.target);
+	}
+
+	render(params) {
+		if (!params.target) {
+			throw new OperationsError('render: missing output filename.');
+		}
+		if (!(this.map instanceof Map2D)) {
+			throw new OperationsError('render: only 2D maps can be drawn.');
+		}
+		if (!this.map.setTilesets) {
+			throw new OperationsError('render: this map format does not use '
+				+ 'tilesets.');
+		}
+		if (!params.tiles || !params.tiles.length) {
+			throw new OperationsError('render: no tilesets given, use '
+				+ '-i <name>=<file>.');
+		}
+
+		// Split tileset images into tiles the same size as the map's, unless told
+		// otherwise.
+		const tiled = this.map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+		const defaultTileSize = {
+			x: tiled && tiled.tileW,
+			y: tiled && tiled.tileH,
+		};
+		const palette = params.palette && loadVGAPalette(params.palette);
+		let tilesets = {};
+		for (const spec of params.tiles) {
+			const ts = loadTileset(spec, defaultTileSize, palette);
+			tilesets[ts.name] = ts.images;
+		}
+		this.map.setTilesets(tilesets);
+
+		let options = {};
+		if (params.layers) {
+			options.layers = params.layers.split(',').map(n => parseInt(n, 10));
+			for (const l of options.layers) {
+				if (!this.map.layers[l]) {
+					throw new OperationsError(`render: layer ${l} does not exist.`);
+				}
+			}
+		}
+		if (params.crop) {
+			const crop = params.crop.split(',').map(n => parseInt(n, 10));
+			if ((crop.length !== 4) || crop.some(n => isNaN(n))) {
+				throw new OperationsError('render: crop must be given as '
+					+ '<x>,<y>,<width>,<height>.');
+			}
+			options.area = {
+				x: crop[0],
+				y: crop[1],
+				width: crop[2],
+				height: crop[3],
+			};
+		}
+		const scale = (params.scale === undefined) ? 1 : params.scale;
+		if (!Number.isInteger(scale) || (scale < 1)) {
+			throw new OperationsError('render: scale must be a whole number of 1 '
+				+ 'or more.');
+		}
+
+		let frame;
+		try {
+			frame = renderMap(this.map, options);
+		} catch (e) {
+			throw new OperationsError(`render: ${e.message}`);
+		}
+		if (scale > 1) {
+			frame = scaleFrame(frame, scale);
+		}
+
+		console.warn(`Saving ${frame.width}x${frame.height} image to `
+			+ params.target);
+		fs.writeFileSync(params.target, encodePNG(frame));
+	}
+
+	replace(params) {
+		if (!this.map) {
+			throw new OperationsError('replace: no map is open.');
+		}
+		if (!params.code) {
+			throw new OperationsError('replace: missing code to look for.');
+		}
+		if (!!params.delete === (params.with !== undefined)) {
+			throw new OperationsError('replace: use either -w <newcode> to change '
+				+ 'the code, or -d to remove them.');
+		}
+		const options = parseSearchOptions('replace', params, this.map);
+
+		const code = parseCode(params.code);
+		const newCode = params.delete ? null : parseCode(params.with);
+		let count;
+		try {
+			count = replaceCode(this.map, code, newCode, options);
+		} catch (e) {
+			throw new OperationsError(`replace: ${e.message}`);
+		}
+		console.warn(`${params.delete ? 'Removed' : 'Replaced'} ${count.tiles} `
+			+ `tiles and ${count.items} items.`);
+	}
+
+	async run(params) {
+		if (!params.target) {
+			throw new OperationsError('run: missing script filename.');
+		}
+
+		let script;
+		try {
+			script = fs.readFileSync(params.target, 'utf8');
+		} catch (e) {
+			throw new OperationsError(`run: unable to read "${params.target}": `
+				+ e.message);
+		}
+
+		const lines = script.split(/\r?\n/);
+		for (let i = 0; i < lines.length; i++) {
+			const line = lines[i].trim();
+			if (!line || line.startsWith('#')) continue;
+			try {
+				let words = splitWords(line);
+				if (this.batchFile) {
+					words = fillPlaceholders(words, this.batchFile);
+				}
+				await runCommands(this, words);
+			} catch (e) {
+				if (e instanceof OperationsError) {
+					throw new OperationsError(`${params.target} line ${i + 1}: `
+						+ e.message);
+				}
+				throw e;
+			}
+		}
+	}
+
+	async save(params) {
+		if (!params.target) {
+			throw new OperationsError('save: missing filename');
+		}
+
+		const problems = this.handler.checkLimits(this.map);
+		if (problems.length) {
+			console.log('There are problems preventing the requested changes from taking place:\n');
+			for (let i = 0; i < problems.length; i++) {
+				console.log((i + 1).toString().padStart(2) + ': ' + problems[i]);
+			}
+			console.log('\nPlease correct these issues and try again.\n');
+			throw new OperationsError('save: cannot save due to file format limitations.');
+		}
+
+		console.warn('Saving to', params.target);
+		const outContent = this.handler.generate(this.map);
+
+		let promises = [];
+		const suppList = this.handler.supps(params.target, outContent.main);
+		if (suppList) {
+			for (const [id, suppFilename] of Object.entries(suppList)) {
+				console.warn(` - Saving supplemental file "${id}" to ${suppFilename}`);
+				promises.push(
+					fs.promises.writeFile(suppFilename, outContent[id])
+				);
+			}
+		}
+		promises.push(fs.promises.writeFile(params.target, outContent.main));
+
+		return await Promise.all(promises);
+	}
+
+	set(params) {
+		if (!this.map) {
+			throw new OperationsError('set: no map is open.');
+		}
+		const eq = params.value ? params.value.indexOf('=') : -1;
+		if (eq <= 0) {
+			throw new OperationsError('set: expected <id>=<value>.');
+		}
+		const id = params.value.substr(0, eq);
+		const text = params.value.substr(eq + 1);
+
+		if ((params.layer === undefined) !== (params.item === undefined)) {
+			throw new OperationsError('set: -l and -i must be used together to '
+				+ 'choose an item.');
+		}
+
+		if (params.layer === undefined) {
+			const attr = this.map.attributes[id];
+			if (!attr) {
+				throw new OperationsError(`set: attribute "${id}" does not exist, `
+					+ 'the info command lists the available ones.');
+			}
+			try {
+				this.map.setAttribute(id, parseAttributeText(attr, text));
+			} catch (e) {
+				throw new OperationsError(`set: ${e.message}`);
+			}
+			console.warn(`Set ${id} to ${text}`);
+			return;
+		}
+
+		const layer = this.map.layers && this.map.layers[params.layer];
+		if (!layer) {
+			throw new OperationsError(`set: layer ${params.layer} does not exist.`);
+		}
+		if (!(layer instanceof Map2D_Layer_List)) {
+			throw new OperationsError(`set: layer ${params.layer} does not contain `
+				+ 'items.');
+		}
+		const item = layer.items[params.item];
+		if (!item) {
+			throw new OperationsError(`set: item ${params.item} does not exist in `
+				+ `layer ${params.layer}.`);
+		}
+		const attr = this.map.itemAttributes[id];
+		if (!attr || !item.attributeValues || !(id in item.attributeValues)) {
+			throw new OperationsError(`set: attribute "${id}" is not available for `
+				+ 'this item.');
+		}
+		try {
+			const value = (text === 'null') ? null : parseAttributeText(attr, text);
+			this.map.setItemAttribute(item, id, value);
+		} catch (e) {
+			throw new OperationsError(`set: ${e.message}`);
+		}
+		console.warn(`Set ${id} to ${text} on item ${params.item} in layer `
+			+ `${params.layer}`);
+	}
+
+	settile(params) {
+		const [ index, pos, code ] = params.args || [];
+		if (code === undefined) {
+			throw new OperationsError('settile: expected <layer> <x>,<y> <code>.');
+		}
+		const layer = getLayer('settile', this.map, index, Map2D_Layer_Tiled);
+		const [ x, y ] = parseNumbers('settile', pos, [ 'x', 'y' ]);
+		const tile = (code === 'none') ? undefined : parseCode(code);
+
+		editMap('settile', this.map, 'Change tile', () => layer.setTile(x, y, tile));
+		console.warn(`Set tile (${x},${y}) in layer ${index} to ${code}.`);
+	}
+
+	async shell() {
+		await runShell(this);
+	}
+
+	stats(params) {
+		const p = process.stdout.write.bind(process.stdout);
+
+		let stats;
+		try {
+			stats = mapStats(this.map, this.handler);
+		} catch (e) {
+			throw new OperationsError(`stats: ${e.message}`);
+		}
+
+		if (params.json) {
+			p(JSON.stringify(stats, null, 2) + '\n');
+			return;
+		}
+
+		// Only list the most common codes unless asked for all of them.
+		const top = list => params.all ? list : list.slice(0, 10);
+		const more = list => ((list.length > 10) && !params.all)
+			? `    - (${list.length - 10} more, use -a to list them all)\n`
+			: '';
+
+		for (const l of stats.layers) {
+			p(`Layer ${l.index} "${l.title}" (${l.type}):\n`);
+			switch (l.type) {
+				case '2d.tiled':
+					p(` * ${l.filled} of ${l.cells} tiles filled `
+						+ `(${l.fill.toFixed(1)}%)\n`);
+					if (l.available !== null) {
+						p(` * ${l.used} of ${l.available} tile codes used\n`);
+						if (l.unused.length) {
+							p(` * Unused codes: ${codeRanges(l.unused)}\n`);
+						}
+					} else {
+						p(` * ${l.used} different tile codes used\n`);
+					}
+					if (l.tiles.length) p(' * Tile counts:\n');
+					for (const t of top(l.tiles)) {
+						p(`    - ${t.code}: ${t.count}\n`);
+					}
+					p(more(l.tiles));
+					break;
+
+				case '2d.list':
+					p(` * ${l.count} items\n`);
+					for (const t of top(l.items)) {
+						p(`    - ${t.code}: ${t.count}\n`);
+					}
+					p(more(l.items));
+					break;
+
+				case '2d.path':
+					p(` * ${l.count} paths, with ${l.points.join(', ')} points\n`);
+					break;
+			}
+		}
+
+		if (stats.usage.length) {
+			p('Format limits:\n');
+			for (const u of stats.usage) {
+				let line = ` * ${u.title}: ${u.used} of ${u.max} `
+					+ `(${u.percent.toFixed(1)}%)`;
+				if (u.used > u.max) {
+					line = chalk.red(line + ' - over the limit');
+				} else if (u.used === u.max) {
+					line = chalk.yellow(line + ' - at the limit');
+				} else if (u.percent >= 90) {
+					line = chalk.yellow(line + ' - nearly full');
+				}
+				p(line + '\n');
+			}
+		}
+	}
+
+	text(params) {
+		const p = process.stdout.write.bind(process.stdout);
+
+		if (!params.layer) {
+			throw new OperationsError('text: missing layer index.');
+		}
+
+		const layer = this.map.layers[params.layer];
+		if (!layer) {
+			throw new OperationsError(`text: layer ${params.layer} does not exist.`);
+		}
+
+		if (params.json) {
+			let out = layerToData(layer, parseInt(params.layer, 10));
+			if (layer instanceof Map2D_Layer_Tiled) {
+				// Blank tiles become null.
+				out.tiles = layer.tiles;
+			}
+			console.log(JSON.stringify(out, null, 2));
+			return;
+		}
+
+		if (layer instanceof Map2D_Layer_Tiled) {
+			p(tilesToText(layer));
+		} else if (layer instanceof Map2D_Layer_List) {
+			for (const item of layer.items) {
+				p(`(${item.x},${item.y}) - ${item.code}\n`);
+			}
+		} else if (layer instanceof Map2D_Layer_Path) {
+			layer.paths.forEach((path, index) => {
+				p(`Path ${index}${layer.relative ? ' (relative)' : ''}:`);
+				for (const pt of path) {
+					p(` (${pt.x},${pt.y})`);
+				}
+				p('\n');
+			});
+		} else {
+			throw new OperationsError(`text: displaying layer type `
+				+ `"${layer.constructor.name}" has not been implemented yet.`);
+		}
+	}
+}
+
+Operations.names = {
+	additem: [
+		{ name: 'index', alias: 'i', type: Number },
+		{ name: 'args', defaultOption: true, multiple: true, limit: 3 },
+	],
+	convert: [
+		{ name: 'format', alias: 't' },
+		{ name: 'mapping', alias: 'm' },
+		{ name: 'option', alias: 'o', lazyMultiple: true },
+	],
+	delitem: [
+		{ name: 'args', defaultOption: true, multiple: true, limit: 2 },
+	],
+	diff: [
+		{ name: 'format', alias: 't' },
+		{ name: 'json', alias: 'j', type: Boolean },
+		{ name: 'output', alias: 'o' },
+		{ name: 'files', defaultOption: true, multiple: true, limit: 2 },
+	],
+	fill: [
+		{ name: 'args', defaultOption: true, multiple: true, limit: 3 },
+	],
+	find: [
+		{ name: 'area', alias: 'a' },
+		{ name: 'items', type: Boolean },
+		{ name: 'layers', alias: 'l' },
+		{ name: 'tiles', type: Boolean },
+		{ name: 'code', defaultOption: true },
+	],
+	'import-text': [
+		{ name: 'args', defaultOption: true, multiple: true, limit: 2 },
+	],
+	info: [
+		{ name: 'json', alias: 'j', type: Boolean },
+	],
+	links: [],
+	moveitem: [
+		{ name: 'args', defaultOption: true, multiple: true, limit: 3 },
+	],
+	open: [
+		{ name: 'format', alias: 't' },
+		{ name: 'target', defaultOption: true },
+	],
+	patch: [
+		{ name: 'dry-run', alias: 'n', type: Boolean },
+		{ name: 'target', defaultOption: true },
+	],
+	render: [
+		{ name: 'tiles', alias: 'i', lazyMultiple: true },
+		{ name: 'palette', alias: 'p' },
+		{ name: 'layers', alias: 'l' },
+		{ name: 'crop', alias: 'c' },
+		{ name: 'scale', alias: 's', type: Number },
+		{ name: 'target', defaultOption: true },
+	],
+	replace: [
+		{ name: 'area', alias: 'a' },
+		{ name: 'delete', alias: 'd', type: Boolean },
+		{ name: 'items', type: Boolean },
+		{ name: 'layers', alias: 'l' },
+		{ name: 'tiles', type: Boolean },
+		{ name: 'with', alias: 'w' },
+		{ name: 'code', defaultOption: true },
+	],
+	run: [
+		{ name: 'target', defaultOption: true },
+	],
+	save: [
+		{ name: 'target', defaultOption: true },
+	],
+	set: [
+		{ name: 'item', alias: 'i', type: Number },
+		{ name: 'layer', alias: 'l', type: Number },
+		{ name: 'value', defaultOption: true },
+	],
+	settile: [
+		{ name: 'args', defaultOption: true, multiple: true, limit: 3 },
+	],
+	shell: [],
+	stats: [
+		{ name: 'all', alias: 'a', type: Boolean },
+		{ name: 'json', alias: 'j', type: Boolean },
+	],
+	text: [
+		{ name: 'json', alias: 'j', type: Boolean },
+		{ name: 'layer', defaultOption: true },
+	],
+};
+
+// Make some alises
+const aliases = {
+	info: ['dump'],
+};
+Object.keys(aliases).forEach(cmd => {
+	aliases[cmd].forEach(alias => {
+		Operations.names[alias] = Operations.names[cmd];
+		Operations.prototype[alias] = Operations.prototype[cmd];
+	});
+});
+
+function listFormats(json)
+{
+	if (json) {
+		console.log(JSON.stringify(gamemapFormats.map(h => h.metadata()), null, 2));
+		return;
+	}
+	for (const handler of gamemapFormats) {
+		const md = handler.metadata();
+		console.log(`${md.id}: ${md.title}`);
+		if (md.params) Object.keys(md.params).forEach(p => {
+			console.log(`  * ${p}: ${md.params[p]}`);
+		});
+	}
+}
+
+/// Commands that only work inside the shell.
+const shellCommands = [ 'close', 'exit', 'help', 'maps', 'quit', 'redo', 'undo', 'use' ];
+
+/// Commands that take a layer number as their first value.
+const layerCommands = [
+	'additem', 'delitem', 'fill', 'import-text', 'moveitem', 'settile', 'text',
+];
+
+/**
+ * Split a line typed into the shell into words, the same way a Unix shell
+ * would for quotes and backslashes.
+ */
+function splitWords(line)
+{
+	let words = [], word = null, quote = null;
+	for (let i = 0; i < line.length; i++) {
+		const c = line[i];
+		if (quote) {
+			if (c === quote) {
+				quote = null;
+			} else if ((c === '\\') && (quote === '"') && (i + 1 < line.length)) {
+				word += line[++i];
+			} else {
+				word += c;
+			}
+		} else if ((c === '"') || (c === '\'')) {
+			quote = c;
+			word = word || '';
+		} else if (c === '\\') {
+			word = (word || '') + (line[++i] || '');
+		} else if (/\s/.test(c)) {
+			if (word !== null) words.push(word);
+			word = null;
+		} else {
+			word = (word || '') + c;
+		}
+	}
+	if (quote) {
+		throw new OperationsError(`Missing closing ${quote} quote.`);
+	}
+	if (word !== null) words.push(word);
+	return words;
+}
+
+/**
+ * Keep a list of the areas of a map that are changed.
+ *
+ * Changes to items are recorded against the map's first tiled layer, so the
+ * tiles around them can be drawn.
+ *
+ * @param {Map2D} map
+ *   Map to watch.
+ *
+ * @param {Array} changes
+ *   Array that `{layer, area}` objects are added to as the map changes, with
+ *   `area` as `{x, y, width, height}` in tiles.
+ *
+ * @return {Function} to call to stop watching the map.
+ */
+function watchMap(map, changes)
+{
+	let stop = [];
+	const listen = (target, event, fn) => {
+		target.on(event, fn);
+		stop.push(() => target.off(event, fn));
+	};
+
+	const tiled = map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+	for (const layer of map.layers) {
+		if (layer instanceof Map2D_Layer_Tiled) {
+			listen(layer, 'tiles', area => changes.push({ layer, area }));
+		} else if ((layer instanceof Map2D_Layer_List) && tiled) {
+			listen(layer, 'items', ev => {
+				for (const pos of [ ev.item, ev.previous ]) {
+					if (!pos) continue;
+					changes.push({
+						layer: tiled,
+						area: {
+							x: Math.floor(pos.x / tiled.tileW),
+							y: Math.floor(pos.y / tiled.tileH),
+							width: 1,
+							height: 1,
+						},
+					});
+				}
+			});
+		}
+	}
+	return () => stop.forEach(fn => fn());
+}
+
+/**
+ * Draw the parts of the map listed by `watchMap()`, with a bit of the
+ * surrounding area for context.
+ */
+function drawChanges(map, changes)
+{
+	const margin = 2;
+	const maxW = Math.max(20, (process.stdout.columns || 80) - 1);
+	const maxH = 24;
+
+	for (const layer of new Set(changes.map(c => c.layer))) {
+		const areas = changes.filter(c => c.layer === layer).map(c => c.area);
+		const x1 = Math.max(0, Math.min(...areas.map(a => a.x)) - margin);
+		const y1 = Math.max(0, Math.min(...areas.map(a => a.y)) - margin);
+		const x2 = Math.min(layer.layerW,
+			Math.max(...areas.map(a => a.x + a.width)) + margin);
+		const y2 = Math.min(layer.layerH,
+			Math.max(...areas.map(a => a.y + a.height)) + margin);
+		const area = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+		const index = map.layers.indexOf(layer);
+
+		if ((area.width > maxW) || (area.height > maxH)) {
+			console.log(`Layer ${index} "${layer.title}": the changes cover `
+				+ `${area.width}x${area.height} tiles from (${x1},${y1}), which is too `
+				+ `big to draw here.`);
+			continue;
+		}
+
+		// Mark where the items are.
+		let marks = new Set();
+		for (const l of map.layers) {
+			if (!(l instanceof Map2D_Layer_List)) continue;
+			for (const item of l.items) {
+				marks.add(`${Math.floor(item.x / layer.tileW)},`
+					+ `${Math.floor(item.y / layer.tileH)}`);
+			}
+		}
+
+		console.log(`Layer ${index} "${layer.title}", (${x1},${y1}) to `
+			+ `(${x2 - 1},${y2 - 1}):`);
+		drawLayerTiled(layer, area, marks);
+	}
+}
+
+/**
+ * Suggest the rest of the word being typed when tab is pressed in the shell.
+ *
+ * Command names, attribute IDs for the set command, layer numbers and map
+ * aliases are completed.
+ */
+function completeLine(line, proc, aliases)
+{
+	const words = line.split(/\s+/);
+	const word = words.pop();
+	const cmd = words[0];
+	const prev = words[words.length - 1];
+	const map = proc.map;
+
+	let options = [];
+	if (words.length === 0) {
+		options = [ ...Object.keys(Operations.names), ...shellCommands ];
+	} else if ([ 'use', 'close' ].includes(cmd)) {
+		options = aliases;
+	} else if ([ '-l', '--layer', '--layers' ].includes(prev)) {
+		options = map && map.layers ? map.layers.map((l, i) => String(i)) : [];
+	} else if (layerCommands.includes(cmd) && (words.length === 1)) {
+		options = map && map.layers ? map.layers.map((l, i) => String(i)) : [];
+	} else if ((cmd === 'set') && map && !word.includes('=')) {
+		const ids = words.includes('-l')
+			? Object.keys(map.itemAttributes)
+			: Object.keys(map.attributes);
+		options = ids.map(id => `${id}=`);
+	}
+
+	return [ options.filter(o => o.startsWith(word)).sort(), word ];
+}
+
+/**
+ * Read commands from the terminal and run them one line at a time.
+ *
+ * The same `Operations` instance is used throughout, so maps stay open between
+ * commands.  Several maps can be open at once, each under its own alias, with
+ * `proc` holding the one currently in use.
+ */
+async function runShell(proc)
+{
+	const historyFile = path.join(os.homedir(), '.gamemap_history');
+	let history = [];
+	try {
+		history = fs.readFileSync(historyFile, 'utf8').split('\n')
+			.filter(l => l).reverse();
+	} catch (e) {
+		// No history yet.
+	}
+
+	let maps = {};
+	let current = 'main';
+	const saveSlot = () => {
+		maps[current] = {
+			map: proc.map,
+			handler: proc.handler,
+			filename: proc.filename,
+		};
+	};
+	saveSlot();
+
+	// Watch the current map so the changes can be drawn after each command.
+	let changes = [];
+	let watched = null, unwatch = () => {};
+	const rewatch = () => {
+		if (proc.map === watched) return;
+		unwatch();
+		watched = proc.map;
+		unwatch = (watched instanceof Map2D)
+			? watchMap(watched, changes)
+			: () => {};
+	};
+
+	const rl = readline.createInterface({
+		input: process.stdin,
+		output: process.stdout,
+		completer: line => completeLine(line, proc, Object.keys(maps)),
+		history,
+		historySize: 1000,
+	});
+	let closed = false;
+	rl.on('close', () => closed = true);
+	const prompt = () => {
+		if (closed) return;
+		rl.setPrompt(`gamemap:${current}> `);
+		rl.prompt();
+	};
+
+	const builtins = {
+		exit: () => rl.close(),
+		quit: () => rl.close(),
+		help: () => {
+			console.log(`All the gamemap commands can be used here, without the
+"gamemap" in front.  Several can be given on one line, e.g.
+
+  open a1.mni settile 0 10,5 2000 save a1.mni
+
+After each command, any part of the map that was changed is drawn.  These
+commands are only available in the shell:
+
+  use <alias>     Switch to another map, or a new empty one if <alias> has
+                  not been used before.  The map that is open when the shell
+                  starts is called "main".
+  maps            List the open maps.
+  close [<alias>] Close a map, or the current one if <alias> is omitted.
+  undo, redo      Undo or redo the last change to the current map.
+  exit, quit      Leave the shell.
+
+Use "gamemap --help" for the full list of commands.`);
+		},
+		maps: () => {
+			saveSlot();
+			for (const [ alias, m ] of Object.entries(maps)) {
+				const format = m.handler ? ` [${m.handler.metadata().id}]` : '';
+				console.log(`${alias === current ? '*' : ' '} ${alias}: `
+					+ `${m.filename || '(no map open)'}${format}`);
+			}
+		},
+		use: alias => {
+			if (!alias) {
+				throw new OperationsError('use: missing map alias.');
+			}
+			saveSlot();
+			const m = maps[alias] || {};
+			proc.map = m.map;
+			proc.handler = m.handler;
+			proc.filename = m.filename;
+			current = alias;
+		},
+		close: (alias = current) => {
+			if (!maps[alias] && (alias !== current)) {
+				throw new OperationsError(`close: there is no map called "${alias}".`);
+			}
+			delete maps[alias];
+			if (alias === current) {
+				proc.map = undefined;
+				proc.handler = undefined;
+				proc.filename = undefined;
+				saveSlot();
+			}
+		},
+		undo: () => {
+			if (!proc.map) throw new OperationsError('undo: no map is open.');
+			const title = proc.map.undo();
+			console.log(title ? `Undid: ${title}` : 'Nothing to undo.');
+		},
+		redo: () => {
+			if (!proc.map) throw new OperationsError('redo: no map is open.');
+			const title = proc.map.redo();
+			console.log(title ? `Redid: ${title}` : 'Nothing to redo.');
+		},
+	};
+
+	rewatch();
+	prompt();
+	for await (const line of rl) {
+		try {
+			const words = splitWords(line);
+			if (words.length && builtins[words[0]]) {
+				builtins[words[0]](...words.slice(1));
+			} else if (words[0] === 'shell') {
+				console.error('The shell is already running.');
+			} else if (words.length) {
+				await runCommands(proc, words);
+			}
+		} catch (e) {
+			console.error(e.message);
+			g_debug(e);
+		}
+
+		// Changes to a map that has just been closed or replaced aren't drawn.
+		if (changes.length && (watched === proc.map)) {
+			drawChanges(watched, changes);
+		}
+		changes.length = 0;
+		rewatch();
+		prompt();
+	}
+	unwatch();
+	process.stdout.write('\n');
+
+	// There's only any history if the commands were typed in.
+	if (rl.terminal) {
+		try {
+			fs.writeFileSync(historyFile, rl.history.slice().reverse().join('\n')
+				+ '\n');
+		} catch (e) {
+			g_debug(`Unable to save shell history: ${e.message}`);
+		}
+	}
+}
+
+/**
+ * Run a list of commands, each followed by its options, such as
+ * `['open', 'a1.mni', 'info']`.
+ *
+ * @param {Operations} proc
+ *   Instance holding the open map, which the commands work on.
+ *
+ * @param {Array} argv
+ *   Command names and options.
+ */
+async function runCommands(proc, argv)
+{
+	const cmdDefinitions = [
+		{ name: 'name', defaultOption: true },
+	];
+	let cmd = commandLineArgs(cmdDefinitions, { argv, stopAtFirstUnknown: true });
+	argv = cmd._unknown || [];
+	if (!cmd.name && argv.length) {
+		throw new OperationsError(`Unknown option "${argv[0]}", expected a `
+			+ `command name.`);
+	}
+
+	while (cmd.name) {
+		const def = Operations.names[cmd.name];
+		if (!def) {
+			throw new OperationsError(`Unknown command: ${cmd.name}`);
+		}
+
+		// Options that take a limited number of values are only given the
+		// first one here, and the rest are collected below, so that the values
+		// and options belonging to the following commands are left alone.
+		const runOptions = commandLineArgs(
+			def.map(d => d.limit ? { ...d, multiple: false } : d),
+			{ argv, stopAtFirstUnknown: true }
+		);
+		argv = runOptions._unknown || [];
+		for (const d of def) {
+			if (!d.limit || (runOptions[d.name] === undefined)) continue;
+			let values = [ runOptions[d.name] ];
+			while (
+				(values.length < d.limit)
+				&& argv.length
+				&& !/^-[a-z-]/i.test(argv[0])
+			) {
+				values.push(argv.shift());
+			}
+			runOptions[d.name] = values;
+
+			// Options can also come after the values, as in "additem 1 8,8 5 -i 0",
+			// so pick up any that were left behind when the values stopped the
+			// first pass.
+			const laterOptions = commandLineArgs(
+				def.filter(o => !o.defaultOption),
+				{ argv, stopAtFirstUnknown: true }
+			);
+			argv = laterOptions._unknown || [];
+			delete laterOptions._unknown;
+			for (const [ name, value ] of Object.entries(laterOptions)) {
+				if (Array.isArray(runOptions[name]) && Array.isArray(value)) {
+					runOptions[name] = [ ...runOptions[name], ...value ];
+				} else {
+					runOptions[name] = value;
+				}
+			}
+		}
+
+		// The global --json option applies to every command that can print JSON.
+		if (proc.json && def.some(d => d.name === 'json')) {
+			runOptions.json = true;
+		}
+
+		// The next word must be a command name, so an option here is one this
+		// command doesn't have.  It can't be ignored, as every command after it
+		// would be silently skipped too.
+		if (argv.length && /^-/.test(argv[0])) {
+			throw new OperationsError(`${cmd.name}: unknown option "${argv[0]}".`);
+		}
+
+		await proc[cmd.name](runOptions);
+
+		cmd = commandLineArgs(cmdDefinitions, { argv, stopAtFirstUnknown: true });
+		argv = cmd._unknown || [];
+	}
+}
+
+/**
+ * List the files matching a wildcard pattern like "levels/*.mni".
+ *
+ * Only the filename can contain wildcards (* and ?), not the folders.
+ */
+function expandGlob(pattern)
+{
+	const dir = path.dirname(pattern);
+	if (/[*?]/.test(dir)) {
+		throw new OperationsError(`--each: wildcards can only be used in the `
+			+ `filename, not in the folder "${dir}".`);
+	}
+	const re = new RegExp('^' + path.basename(pattern).split('').map(c => {
+		if (c === '*') return '.*';
+		if (c === '?') return '.';
+		return c.replace(/[.+^${}()|[\]\\]/, '\\$&');
+	}).join('') + '$');
+
+	let names;
+	try {
+		names = fs.readdirSync(dir);
+	} catch (e) {
+		throw new OperationsError(`--each: unable to read the folder "${dir}": `
+			+ e.message);
+	}
+	return names
+		.filter(n => re.test(n))
+		.sort()
+		.map(n => path.join(dir, n))
+		.filter(f => fs.statSync(f).isFile());
+}
+
+/**
+ * Replace "{}" in each word with the name of the file being processed by
+ * --each, and "{name}" with the same name without its folder.
+ */
+function fillPlaceholders(words, filename)
+{
+	return words.map(w => w.replace(/\{(name)?\}/g,
+		(m, name) => name ? path.basename(filename) : filename
+	));
+}
+
+/**
+ * Run the same commands on a list of files, and report which ones worked.
+ *
+ * Each file is opened first, unless the commands start with their own open
+ * command (e.g. to give the format with -t).
+ *
+ * @return {boolean} `true` if every file was processed without error.
+ */
+async function runEach(files, argv, json)
+{
+	let results = [];
+	for (const file of files) {
+		console.log(`== ${file}`);
+		let proc = new Operations();
+		proc.batchFile = file;
+		proc.json = json;
+		let words = fillPlaceholders(argv, file);
+		if (words[0] !== 'open') {
+			words = [ 'open', file, ...words ];
+		}
+		try {
+			await runCommands(proc, words);
+			results.push({ file });
+		} catch (e) {
+			// Keep going with the other files, even if this one hit a bug.
+			console.error(e.message);
+			g_debug(e);
+			results.push({ file, error: e.message });
+		}
+	}
+
+	const failed = results.filter(r => r.error).length;
+	console.log('\nSummary:');
+	for (const r of results) {
+		console.log(r.error ? chalk.red(`  FAIL  ${r.file}: ${r.error}`)
+			: `  pass  ${r.file}`);
+	}
+	console.log(`${results.length} files, ${results.length - failed} passed, `
+		+ `${failed} failed.`);
+
+	return failed === 0;
+}
+
+async function processCommands()
+{
+	let cmdDefinitions = [
+		{ name: 'help', type: Boolean },
+		{ name: 'formats', type: Boolean },
+		{ name: 'json', alias: 'j', type: Boolean },
+		{ name: 'each', alias: 'e' },
+		{ name: 'name', defaultOption: true },
+	];
+	let argv = process.argv;
+
+	let cmd = commandLineArgs(cmdDefinitions, { argv, stopAtFirstUnknown: true });
+	argv = cmd._unknown || [];
+
+	if (cmd.formats) {
+		listFormats(cmd.json);
+		return;
+	}
+
+	if (!cmd.name || cmd.help) {
+		// No params, show help.
+		console.log(`Use: gamemap [--json] --formats | [--json] [--each <files>] [command1 [command2...]]
+
+Options:
+
+  --formats
+    List all available file formats.  With --json the list is printed as
+    JSON, giving the metadata of each format.
+
+  --json
+    Print JSON instead of text from --formats, and from every command that
+    has a -j option (diff, info, stats and text), as if -j was given to each
+    of them.
+
+  --each <files>
+    Run the commands on every file matching <files>, which can use * and ?
+    wildcards in the filename (quote it to stop your shell expanding them).
+    Each file is opened first, unless the commands start with an open
+    command of their own.  {} in any of the commands is replaced with the
+    file's name, and {name} with its name without the folder.  A summary of
+    which files succeeded is shown at the end.
+
+Commands:
+
+  additem [-i <index>] <layer> <x>,<y> <code>
+    Add an item with the code <code> to layer number <layer>, at pixel
+    coordinate <x>,<y>.  It goes at the end of the item list unless -i gives
+    the position to insert it at.
+
+  convert -t <format> [-m <mapping.json>] [-o <name>=<value> ...]
+    Convert the map into a different format, so the next save command will
+    write <format>.  <mapping.json> is a JSON file listing the new code for
+    each tile and item code, as {"tiles": {"1": 2000}, "items": {"3": 51}}.
+    A new code of null leaves the tile blank or the item out, and if "tiles"
+    or "items" is missing, those codes are kept unchanged.  Layers are copied
+    into the first unused layer of the same type, unless "layers" gives the
+    title of the layer to copy each one into, e.g. {"Monsters": "Actors"}.
+    Each -o option is passed to the new format when creating the map, such
+    as -o width=64 for map-cosmo.  Codes missing from the mapping table, and
+    anything the new format cannot store, are listed.
+
+  delitem <layer> <item>
+    Remove an item from layer number <layer>.  <item> is either the item's
+    number, as listed by the text command, or its pixel coordinate as <x>,<y>.
+
+  diff [-t <format>] [-j] [-o <patch>] [<original>] <changed>
+    List the differences between two maps: attributes that have changed,
+    areas of tiles that are different, and items that were added, removed,
+    moved or changed.  If only one file is given, it is compared with the map
+    that is already open.  -t sets the format of both files, otherwise it is
+    autodetected.  -j prints the differences as JSON instead of text.  -o
+    also saves the differences as a patch file for the patch command.
+
+  fill <layer> <x>,<y>,<width>,<height> <code>
+    Set every tile in a rectangle of layer number <layer> to <code>.  The
+    rectangle is in tiles, and a <code> of none removes the tiles.  Nothing is
+    changed if <code> is not permitted at any of the tiles.
+
+  find [--tiles|--items] [-l <layers>] [-a <area>] <code>
+    List every tile and item in the map with the given code.  --tiles or
+    --items only searches the tiled or item layers, <layers> is a list of
+    layer numbers like 0,1 to search only those layers, and <area> is
+    x,y,width,height in tiles to search only part of the map.
+
+  import-text <layer> <file>
+    Replace the tiles in layer number <layer> with a grid read from <file>,
+    in the same form written by the text command.  The grid must be the same
+    size as the layer, and every character in it must be listed in the legend
+    that follows it.
+
+  info | dump [-j]
+    Display information about the opened map.  -j prints it as JSON instead,
+    including the format, the attribute definitions and values, and the size
+    of each layer along with the items in any list layers.
+
+  links
+    List the items that are linked together, such as switches and the doors
+    they open, and any links that are missing a partner.
+
+  moveitem <layer> <item> <x>,<y>
+    Move an item in layer number <layer> to pixel coordinate <x>,<y>.  <item>
+    is chosen the same way as for delitem.
+
+  open [-t <format>] <file>
+    Open the local <file> as a map, autodetecting the format unless
+    <format> is given with -t.
+
+  patch [-n] <patch>
+    Apply a patch file created with diff -o to the open map.  The patch is
+    only applied if every tile, item and attribute it changes still has its
+    original value.  -n only checks whether the patch can be applied.
+
+  render -i <name>=<tiles> [-i ...] [-p <pal>] [-l <layers>] [-c <area>]
+         [-s <scale>] <file.png>
+    Draw the map and save it as a PNG image.  Each -i option supplies one of
+    the map's tilesets, such as "background" and "monsters" for map-ddave, or
+    "solid", "masked" and "actors" for map-cosmo.  <tiles> is a PNG image
+    that is cut up into tiles the same size as the map's, or add @WxH to the
+    end to choose a different size.  It can also be a file of raw 8-bit VGA
+    tiles, in which case -p must give a 768-byte VGA palette file.  <layers>
+    is a list of layer numbers like 0,1 to draw only those layers, <area> is
+    x,y,width,height in pixels to draw only part of the map, and <scale>
+    enlarges the image.
+
+  replace [--tiles|--items] [-l <layers>] [-a <area>] -w <newcode> <code>
+  replace [--tiles|--items] [-l <layers>] [-a <area>] -d <code>
+    Change every tile and item with the code <code> into <newcode>, or remove
+    them with -d.  The options limit the search in the same way as for find.
+    Nothing is changed if the new code is not permitted at any of the tiles.
+
+  run <script>
+    Run the commands in the file <script>, which are written the same way as
+    on the command line but may be split over multiple lines.  Blank lines
+    and lines starting with # are ignored.  Running stops at the first
+    command that fails.
+
+  save <file>
+    Save the current map with any modifications to a new file, in its original
+    file format or the one chosen with the convert command.
+
+  set [-l <layer> -i <item>] <id>=<value>
+    Change one of the map's attributes, such as Cosmo's bgmusic or rain.  The
+    info command lists the attributes and the values each one accepts.  Use
+    -l and -i to change an attribute of item number <item> in layer number
+    <layer> instead, where a value of null unsets it.  Presets can be given
+    by number or name, separated by commas if more than one can be chosen.
+
+  settile <layer> <x>,<y> <code>
+    Change the tile at <x>,<y> in layer number <layer> to <code>, or remove it
+    if <code> is none.
+
+  shell
+    Start an interactive shell, where commands can be typed one at a time
+    without reloading the map in between.  Several maps can be kept open at
+    once, and any part of the map that is changed is drawn after each
+    command.  Type "help" in the shell for more details.
+
+  stats [-a] [-j]
+    Count the tiles and items in each layer, list the tile codes that are not
+    used, and show how close the map is to the limits of its file format.
+    Only the ten most common codes in each layer are listed unless -a is
+    given.  -j prints the statistics as JSON instead.
+
+  text [-j] <layer>
+    Display layer number <layer> as text on stdout.  Output type varies
+    depending on the type of map layer.  Tiled layers are drawn as a grid of
+    characters, followed by a legend giving the tile code for each one, which
+    can be edited and read back in with import-text.  -j prints the layer as
+    JSON instead, with tiled layers as an array of rows where empty tiles are
+    null.
+
+Examples:
+
+  gamemap open -t map-cosmo a1.mni info
+  gamemap open level01.dav render -i background=tiles.png -s 2 level01.png
+  gamemap open a1.mni stats
+  gamemap open a1.mni info -j
+  gamemap --formats --json
+  gamemap --json open a1.mni info
+  gamemap open a1.mni shell
+  gamemap open a1.mni set rain=true set bgmusic=5 save a1-new.mni
+  gamemap open a1.mni find --items 51 replace --items -d 51 save a1-new.mni
+  gamemap open level01.dav replace -l 0 -w 20 19 save level01-new.dav
+  gamemap diff a1.mni a1-edited.mni
+  gamemap diff a1.mni a1-edited.mni -o a1.patch
+  gamemap open a1.mni patch a1.patch save a1-patched.mni
+  gamemap open a1.mni settile 0 10,5 2000 fill 0 0,20,64,2 16 save a1-new.mni
+  gamemap open a1.mni additem 1 80,40 51 delitem 1 0,0 save a1-new.mni
+  gamemap open a1.mni run fixes.gm save a1-fixed.mni
+  gamemap --each 'levels/*.mni' run fixes.gm save fixed/{name}
+  gamemap open level01.dav text 0 > level01.txt
+  gamemap open level01.dav import-text 0 level01.txt save level01-new.dav
+  gamemap open level01.dav convert -t map-cosmo -m dave2cosmo.json save a1.mni
+
+  # The DEBUG environment variable can be used for troubleshooting.
+  DEBUG='gamemap:*' gamemap ...
+`);
+		return;
+	}
+
+	if (cmd.each) {
+		let ok;
+		try {
+			const files = expandGlob(cmd.each);
+			if (!files.length) {
+				throw new OperationsError(`--each: no files match "${cmd.each}".`);
+			}
+			ok = await runEach(files, [ cmd.name, ...argv ], !!cmd.json);
+		} catch (e) {
+			if (e instanceof OperationsError) {
+				console.error(e.message);
+				process.exit(2);
+			}
+			throw e;
+		}
+		if (!ok) process.exit(2);
+		return;
+	}
+
+	let proc = new Operations();
+	proc.json = !!cmd.json;
+	try {
+		await runCommands(proc, [ cmd.name, ...argv ]);
+	} catch (e) {
+		if (e instanceof OperationsError) {
+			console.error(e.message);
+			process.exit(2);
+		}
+		throw e;
 	}
 }
 
@@ -0,0 +1,284 @@
+/*
+ * Minimal PNG reader and writer for the command line interface.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Number of samples per pixel for each PNG colour type.
+const PNG_CHANNELS = {
+	0: 1, // greyscale
+	2: 3, // RGB
+	3: 1, // palette
+	4: 2, // greyscale + alpha
+	6: 4, // RGBA
+};
+
+let crcTable = null;
+
+function crc32(data) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) {
+				c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			crcTable[n] = c >>> 0;
+		}
+	}
+	let crc = 0xFFFFFFFF;
+	for (let i = 0; i < data.length; i++) {
+		crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Check whether some data looks like a PNG file.
+ */
+export function isPNG(content) {
+	return PNG_SIGNATURE.every((b, i) => content[i] === b);
+}
+
+/**
+ * Convert an RGBA image into a PNG file.
+ *
+ * @param {Object} frame
+ *   Object with `width`, `height` and `pixels` properties, as returned by
+ *   `renderMap()`.
+ *
+ * @return {Buffer} PNG file content.
+ */
+export function encodePNG(frame) {
+	const { width, height, pixels } = frame;
+	const stride = width * 4;
+
+	// Each row starts with a filter type byte, which is always 0 (none) here.
+	let raw = Buffer.alloc((stride + 1) * height);
+	for (let y = 0; y < height; y++) {
+		raw[y * (stride + 1)] = 0;
+		Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride)
+			.copy(raw, y * (stride + 1) + 1);
+	}
+
+	const chunk = (type, data) => {
+		let out = Buffer.alloc(12 + data.length);
+		out.writeUInt32BE(data.length, 0);
+		out.write(type, 4, 'ascii');
+		data.copy(out, 8);
+		out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+		return out;
+	};
+
+	let ihdr = Buffer.alloc(13);
+	ihdr.writeUInt32BE(width, 0);
+	ihdr.writeUInt32BE(height, 4);
+	ihdr[8] = 8;  // bit depth
+	ihdr[9] = 6;  // RGBA
+	ihdr[10] = 0; // deflate
+	ihdr[11] = 0; // standard filters
+	ihdr[12] = 0; // not interlaced
+
+	return Buffer.concat([
+		Buffer.from(PNG_SIGNATURE),
+		chunk('IHDR', ihdr),
+		chunk('IDAT', zlib.deflateSync(raw)),
+		chunk('IEND', Buffer.alloc(0)),
+	]);
+}
+
+/**
+ * Reverse the per-row filters applied when the PNG was written.
+ */
+function unfilter(data, height, stride, bpp) {
+	let out = Buffer.alloc(stride * height);
+	for (let y = 0; y < height; y++) {
+		const filter = data[y * (stride + 1)];
+		const src = y * (stride + 1) + 1;
+		const dst = y * stride;
+		for (let x = 0; x < stride; x++) {
+			const a = (x >= bpp) ? out[dst + x - bpp] : 0;
+			const b = (y > 0) ? out[dst + x - stride] : 0;
+			const c = ((x >= bpp) && (y > 0)) ? out[dst + x - stride - bpp] : 0;
+			let v = data[src + x];
+			switch (filter) {
+				case 0: break;
+				case 1: v += a; break;
+				case 2: v += b; break;
+				case 3: v += (a + b) >> 1; break;
+				case 4: {
+					const p = a + b - c;
+					const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+					v += ((pa <= pb) && (pa <= pc)) ? a : ((pb <= pc) ? b : c);
+					break;
+				}
+				default:
+					throw new Error(`Unknown PNG filter type ${filter}.`);
+			}
+			out[dst + x] = v & 0xFF;
+		}
+	}
+	return out;
+}
+
+/**
+ * Read a PNG file into a palette-based image.
+ *
+ * Palette-based PNGs keep their palette.  Other types have a palette built
+ * from the colours used in the image, so they can be drawn in the same way.
+ *
+ * @param {Buffer} content
+ *   PNG file content.
+ *
+ * @return {Object} with `width` and `height` properties, `pixels` holding one
+ *   palette index per pixel, and `palette` which is an array of
+ *   `[r, g, b, a]` entries.
+ */
+export function decodePNG(content) {
+	if (!isPNG(content)) {
+		throw new Error('Not a PNG file.');
+	}
+	const buf = Buffer.from(content.buffer, content.byteOffset, content.length);
+
+	let header, plte = null, trns = null, idat = [];
+	for (let offset = 8; offset < buf.length;) {
+		const len = buf.readUInt32BE(offset);
+		const type = buf.toString('ascii', offset + 4, offset + 8);
+		const data = buf.subarray(offset + 8, offset + 8 + len);
+		offset += 12 + len;
+
+		if (type === 'IHDR') {
+			header = {
+				width: data.readUInt32BE(0),
+				height: data.readUInt32BE(4),
+				bitDepth: data[8],
+				colourType: data[9],
+				interlace: data[12],
+			};
+		} else if (type === 'PLTE') {
+			plte = data;
+		} else if (type === 'tRNS') {
+			trns = data;
+		} else if (type === 'IDAT') {
+			idat.push(data);
+		} else if (type === 'IEND') {
+			break;
+		}
+	}
+
+	if (!header) {
+		throw new Error('PNG file has no IHDR chunk.');
+	}
+	const { width, height, bitDepth, colourType } = header;
+	const channels = PNG_CHANNELS[colourType];
+	if (!channels) {
+		throw new Error(`Unknown PNG colour type ${colourType}.`);
+	}
+	if (bitDepth > 8) {
+		throw new Error(`${bitDepth}-bit PNG files are not supported.`);
+	}
+	if ((bitDepth < 8) && (channels > 1)) {
+		throw new Error(`Invalid bit depth ${bitDepth} for colour type `
+			+ `${colourType}.`);
+	}
+	if (header.interlace) {
+		throw new Error('Interlaced PNG files are not supported.');
+	}
+
+	const stride = Math.ceil(width * channels * bitDepth / 8);
+	const bpp = Math.max(1, channels * bitDepth / 8);
+	const data = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, stride, bpp);
+
+	// Read one sample, which may be less than a byte.
+	const sample = (y, i) => {
+		if (bitDepth === 8) return data[y * stride + i];
+		const bit = i * bitDepth;
+		const byte = data[y * stride + (bit >> 3)];
+		return (byte >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+	};
+
+	let pixels = new Uint32Array(width * height);
+	let palette = [];
+
+	if (colourType === 3) {
+		if (!plte) {
+			throw new Error('Palette-based PNG file has no PLTE chunk.');
+		}
+		for (let i = 0; i < plte.length / 3; i++) {
+			palette.push([
+				plte[i * 3 + 0],
+				plte[i * 3 + 1],
+				plte[i * 3 + 2],
+				(trns && (i < trns.length)) ? trns[i] : 255,
+			]);
+		}
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				pixels[y * width + x] = sample(y, x);
+			}
+		}
+		return { width, height, pixels, palette };
+	}
+
+	// Build a palette from the colours used.
+	const maxValue = (1 << bitDepth) - 1;
+	const transparent = trns && ((colourType === 0) || (colourType === 2))
+		? Array.from({ length: trns.length / 2 }, (v, i) => trns.readUInt16BE(i * 2))
+		: null;
+	let colourIndex = {};
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			let s = [];
+			for (let c = 0; c < channels; c++) {
+				s.push(sample(y, x * channels + c));
+			}
+			let rgba;
+			switch (colourType) {
+				case 0: {
+					const v = Math.round(s[0] * 255 / maxValue);
+					rgba = [v, v, v, 255];
+					if (transparent && (s[0] === transparent[0])) rgba[3] = 0;
+					break;
+				}
+				case 2:
+					rgba = [s[0], s[1], s[2], 255];
+					if (
+						transparent
+						&& (s[0] === transparent[0])
+						&& (s[1] === transparent[1])
+						&& (s[2] === transparent[2])
+					) {
+						rgba[3] = 0;
+					}
+					break;
+				case 4: rgba = [s[0], s[0], s[0], s[1]]; break;
+				case 6: rgba = s; break;
+			}
+			const key = rgba.join(',');
+			if (colourIndex[key] === undefined) {
+				colourIndex[key] = palette.length;
+				palette.push(rgba);
+			}
+			pixels[y * width + x] = colourIndex[key];
+		}
+	}
+
+	return { width, height, pixels, palette };
+}
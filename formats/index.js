@@ -19,3 +19,6 @@
 
 export { default as map_cosmo } from './map-cosmo.js';
 export { default as map_ddave } from './map-ddave.js';
+export { default as map_json } from './map-json.js';
+export { default as map_tiled_tmj } from './map-tiled-tmj.js';
+export { default as map_tiled_tmx } from './map-tiled-tmx.js';
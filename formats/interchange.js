@@ -0,0 +1,207 @@
+/*
+ * Shared code for formats that store maps from other formats, such as JSON
+ * and Tiled files.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('interchange');
+
+import {
+	Map2D,
+	Map2D_Layer_List,
+	Map2D_Layer_Path,
+	Map2D_Layer_Tiled,
+} from '../interface/index.js';
+import { sourceHandlers } from '../util/source.js';
+
+/**
+ * IDs of the formats that hold maps from other formats, rather than being
+ * used by a game.
+ */
+export const INTERCHANGE_FORMATS = [
+	'map-json',
+	'map-tiled-tmj',
+	'map-tiled-tmx',
+];
+
+// Size of the map returned by createBlankMap().
+const DEFAULT_LAYER_SIZE = 16;
+const DEFAULT_TILE_SIZE = 16;
+
+// Marker for values that should be written on a single line.  See
+// compactJSON().
+const COMPACT_MARKER = '\u0000';
+
+/**
+ * Flag a value to be written on a single line by `stringifyJSON()`.
+ *
+ * This is used for things like tile rows and items, so that a change to one of
+ * them only changes one line of the file.
+ */
+export function compactJSON(value) {
+	return COMPACT_MARKER + JSON.stringify(value);
+}
+
+/**
+ * Convert a document to indented JSON text, with any `compactJSON()` values
+ * each kept on one line.
+ */
+export function stringifyJSON(doc) {
+	return JSON.stringify(doc, null, '\t').replace(
+		/"\\u0000((?:[^"\\]|\\.)*)"/g,
+		(match, escaped) => JSON.parse(`"${escaped}"`)
+	) + '\n';
+}
+
+/**
+ * Tiled layer for maps that did not come from a game format.
+ *
+ * There is no game to limit which tiles can go where, so any tile code is
+ * permitted anywhere in the layer.
+ */
+class Layer_AnyTile extends Map2D_Layer_Tiled
+{
+	isPermittedAt() {
+		return { valid: true };
+	}
+}
+
+/**
+ * Create a blank map to load an interchange file into.
+ *
+ * Starting with a blank map in the original format gives it all the format's
+ * layer types and attributes, so it can be saved in that format again.
+ *
+ * @param {string} source
+ *   ID of the format the map originally came from, or `null` if it did not
+ *   come from a game format.
+ *
+ * @param {Object} options
+ *   Options from the source format's `createOptions()`, to pass back to its
+ *   `create()` function.
+ *
+ * @return {Map2D} blank map.
+ */
+export function createSourceMap(source, options = {}) {
+	if (!source) return new Map2D();
+
+	const handler = sourceHandlers().find(h => h.metadata().id === source);
+	if (!handler) {
+		throw new Error(`This map was created from the "${source}" format, `
+			+ `which is not supported by this version of gamemapjs.`);
+	}
+	return handler.create(options);
+}
+
+/**
+ * Create a new blank map for an interchange format.
+ *
+ * @param {Object} options
+ *   Set `source` to a format ID to create a blank map for that format.  Any
+ *   other options are passed on to that format's `create()` function.
+ *   Without a source format, a map with a single 16x16 tiled layer is
+ *   returned.
+ */
+export function createBlankMap(options = {}) {
+	if (options.source) {
+		const { source, ...sourceOptions } = options;
+		const handler = sourceHandlers().find(h => h.metadata().id === source);
+		if (!handler) {
+			throw new Error(`Unknown source format "${source}".`);
+		}
+		return handler.create(sourceOptions);
+	}
+
+	let tiles = [];
+	for (let y = 0; y < DEFAULT_LAYER_SIZE; y++) {
+		tiles.push(new Array(DEFAULT_LAYER_SIZE).fill(undefined));
+	}
+	let map = new Map2D();
+	map.layers.push(new Layer_AnyTile({
+		title: 'Tiles',
+		layerW: DEFAULT_LAYER_SIZE,
+		layerH: DEFAULT_LAYER_SIZE,
+		tileW: DEFAULT_TILE_SIZE,
+		tileH: DEFAULT_TILE_SIZE,
+		tiles,
+	}));
+	return map;
+}
+
+/**
+ * Create a layer of one of the standard types.
+ */
+function createLayer(type, title) {
+	switch (type) {
+		case '2d.tiled':
+			return new Layer_AnyTile({
+				title,
+			});
+
+		case '2d.list': {
+			let layer = new Map2D_Layer_List();
+			layer.title = title;
+			return layer;
+		}
+
+		case '2d.path':
+			return new Map2D_Layer_Path({
+				title,
+			});
+
+		default:
+			throw new Error(`Unknown layer type "${type}".`);
+	}
+}
+
+/**
+ * Replace the layers in a blank map with the ones from an interchange file.
+ *
+ * The format's own layers are reused where the type and title match, so they
+ * keep their limits and behaviour.  Layers not in the file are dropped, such
+ * as the path layer for a Dangerous Dave title screen, and layers not in the
+ * blank map are created with the standard layer classes.
+ *
+ * @param {Map2D} map
+ *   Map from `createSourceMap()`.
+ *
+ * @param {Array} layers
+ *   One entry per layer in the file, each an object with `type` and `title`
+ *   properties.
+ *
+ * @param {Function} fill
+ *   Called as `fill(layer, entry)` to copy the content of each layer from the
+ *   file into the map.
+ */
+export function replaceLayers(map, layers, fill) {
+	let available = map.layers;
+	map.layers = layers.map(entry => {
+		const index = available.findIndex(
+			l => (l.type === entry.type) && (l.title === entry.title)
+		);
+		let layer;
+		if (index >= 0) {
+			[ layer ] = available.splice(index, 1);
+		} else {
+			debug(`No "${entry.title}" layer in a blank map, creating one`);
+			layer = createLayer(entry.type, entry.title);
+		}
+		fill(layer, entry);
+		return layer;
+	});
+}
@@ -64,15 +64,40 @@ const MAX_ACTORS = 410;
 // Number of tiles in the background layer.
 const COSMO_BG_LEN = 32764;
 
-// Width limits of BG layer.  Minimums are one screen/viewport in size.
-const COSMO_BG_MIN_X = 38;
-const COSMO_BG_MIN_Y = 18;
-const COSMO_BG_MAX_X = COSMO_BG_LEN / COSMO_BG_MIN_Y;
-const COSMO_BG_MAX_Y = COSMO_BG_LEN / COSMO_BG_MIN_X;
+// Only these widths are permitted by the game (source: ModdingWiki).  The
+// height is whatever fits in the fixed number of tiles.
+const COSMO_ALLOWED_WIDTHS = [ 64, 128, 256, 512, 1024 ];
+
+// Size limits of BG layer, which follow from the permitted widths.  The tile
+// count is not a multiple of any of the widths, so the last row is only
+// partially stored in the file, but it still counts towards the height.
+const COSMO_BG_MIN_X = COSMO_ALLOWED_WIDTHS[0];
+const COSMO_BG_MAX_X = COSMO_ALLOWED_WIDTHS[COSMO_ALLOWED_WIDTHS.length - 1];
+const COSMO_BG_MIN_Y = Math.ceil(COSMO_BG_LEN / COSMO_BG_MAX_X);
+const COSMO_BG_MAX_Y = Math.ceil(COSMO_BG_LEN / COSMO_BG_MIN_X);
 
 const COSMO_BG_TILE_WIDTH = 8;
 const COSMO_BG_TILE_HEIGHT = 8;
 
+// Tile codes from this value onwards are masked tiles, below it are solid.
+const COSMO_MASKED_CODE = 2000;
+
+// Number of images in the masked tileset.
+const COSMO_MASKED_COUNT = 1000;
+
+/**
+ * Count the actors that the game has separate limits for.
+ */
+function countActors(items) {
+	let playerCount = 0, platformCount = 0, lightCount = 0;
+	for (const actor of items) {
+		if (actor.code === 0) playerCount++;
+		else if ((actor.code >= 1) && (actor.code <= 5)) platformCount++;
+		else if ((actor.code >= 6) && (actor.code <= 8)) lightCount++;
+	}
+	return { playerCount, platformCount, lightCount };
+}
+
 class Layer_CosmoBG extends Map2D_Layer_Tiled
 {
 	constructor(tiles) {
@@ -81,10 +106,10 @@ class Layer_CosmoBG extends Map2D_Layer_Tiled
 		super({
 			title: 'Background',
 			limits: {
-				minLayerX: COSMO_BG_MIN_X,
-				minLayerY: COSMO_BG_MIN_Y,
-				maxLayerX: COSMO_BG_MAX_X,
-				maxLayerY: COSMO_BG_MAX_Y,
+				minLayerW: COSMO_BG_MIN_X,
+				minLayerH: COSMO_BG_MIN_Y,
+				maxLayerW: COSMO_BG_MAX_X,
+				maxLayerH: COSMO_BG_MAX_Y,
 			},
 			layerW: mapW,
 			layerH: mapH,
@@ -94,9 +119,14 @@ class Layer_CosmoBG extends Map2D_Layer_Tiled
 		});
 	}
 
-	isPermittedAt(x, y, item) {
-		const offset = y * map.size.x + y;
-		if (offset > COSMO_BG_LEN) {
+	isPermittedAt(x, y, code) {
+		// The end of the last row isn't stored in the file, so it must stay empty.
+		if (code === undefined) {
+			return { valid: true };
+		}
+
+		const offset = y * this.layerW + x;
+		if (offset >= COSMO_BG_LEN) {
 			return {
 				valid: false,
 				reason: `Tile offset (${offset}) is larger than the maximum `
@@ -104,14 +134,39 @@ class Layer_CosmoBG extends Map2D_Layer_Tiled
 			};
 		}
 
-		return true;
+		if (
+			!Number.isInteger(code)
+			|| (code < 0)
+			|| (code >= COSMO_MASKED_CODE + COSMO_MASKED_COUNT)
+		) {
+			return {
+				valid: false,
+				reason: `Tile code must be 0 to ${COSMO_MASKED_CODE - 1} for solid `
+					+ `tiles, or ${COSMO_MASKED_CODE} to `
+					+ `${COSMO_MASKED_CODE + COSMO_MASKED_COUNT - 1} for masked tiles.`,
+			};
+		}
+
+		return { valid: true };
+	}
+
+	getAvailableCodes() {
+		return Array.from(
+			{ length: COSMO_MASKED_CODE + COSMO_MASKED_COUNT },
+			(v, i) => i
+		);
+	}
+
+	getCapacity() {
+		// The end of the last row is not stored in the file.
+		return Math.min(COSMO_BG_LEN, this.layerW * this.layerH);
 	}
 
 	imageFromCode(code) {
-		if (code >= 2000) {
-			return this.tilesetFG.clone(code - 2000, 1);
+		if (code >= COSMO_MASKED_CODE) {
+			return this.tilesetFG && this.tilesetFG[code - COSMO_MASKED_CODE];
 		} else {
-			return this.tilesetBG.clone(code || 0, 1);
+			return this.tilesetBG && this.tilesetBG[code || 0];
 		}
 	}
 }
@@ -121,18 +176,30 @@ class Layer_CosmoActors extends Map2D_Layer_List
 	constructor(actors) {
 		super();
 
+		this.title = 'Actors';
+
 		for (const actor of actors) {
-			let item = new Item_Map2D_Layer_List();
-			item.x = actor.x;
-			item.y = actor.y;
-			item.code = actor.code;
-			item.display = this.displayFromActorType(actor.code);
-			if (item.display.x) item.display.x *= COSMO_BG_TILE_WIDTH;
-			if (item.display.y) item.display.y *= COSMO_BG_TILE_HEIGHT;
+			let item = this.createItem(actor.code);
+			// Actor coordinates are stored in tiles, but items are in pixels.
+			item.x = actor.x * COSMO_BG_TILE_WIDTH;
+			item.y = actor.y * COSMO_BG_TILE_HEIGHT;
 			this.items.push(item);
 		}
 	}
 
+	createItem(code) {
+		let item = new Item_Map2D_Layer_List();
+		item.x = 0;
+		item.y = 0;
+		item.code = code;
+		item.display = this.displayFromActorType(code);
+		for (const d of item.display) {
+			if (d.x) d.x *= COSMO_BG_TILE_WIDTH;
+			if (d.y) d.y *= COSMO_BG_TILE_HEIGHT;
+		}
+		return item;
+	}
+
 	displayFromActorType(code) {
 		let display = [
 			{ i: code - 31 },
@@ -142,16 +209,16 @@ class Layer_CosmoActors extends Map2D_Layer_List
 				{ i: 0 },
 				{ i: n || display[0].i },
 			];
-		}
+		};
 		const makeBarrel = n => {
 			display = [
 				{ i: 29 },
 				{ i: n || display[0].i },
 			];
-		}
+		};
 
 		switch (code) {
-				// 31..34 ok
+			// 31..34 ok
 			case 35: display[0].x = -4; break;
 				// 36 ok
 			case 37: display[0].x = -1; break;
@@ -222,7 +289,7 @@ class Layer_CosmoActors extends Map2D_Layer_List
 				// 117..119 ok
 			case 120: display[0].x = -3; break;
 				// 121..123 ok
-			case 112: makeCrate(94); break;
+			case 124: makeCrate(94); break;
 				// 125..126 ok
 			case 127: display[0].i--; display[0].y = 2; display[0].yMirror = true; break;
 				// 128?
@@ -240,6 +307,7 @@ class Layer_CosmoActors extends Map2D_Layer_List
 		return display;
 	}
 
+	// eslint-disable-next-line no-unused-vars
 	imageFromCode(code) {
 		//return this.tileset.clone(code || 0, 1);
 		return null; // TEMP
@@ -248,8 +316,13 @@ class Layer_CosmoActors extends Map2D_Layer_List
 
 class Map2D_Cosmo extends Map2D
 {
-	constructor(bgTileCodes, actors) {
-		super({});
+	constructor(bgTileCodes, actors, flags) {
+		super({
+			limits: {
+				minimumMapSize: {x: COSMO_BG_MIN_X, y: COSMO_BG_MIN_Y},
+				maximumMapSize: {x: COSMO_BG_MAX_X, y: COSMO_BG_MAX_Y},
+			},
+		});
 
 		this.limits = {
 			...this.limits,
@@ -259,8 +332,52 @@ class Map2D_Cosmo extends Map2D
 
 		this.layers.push(
 			new Layer_CosmoBG(bgTileCodes),
-			//new Layer_CosmoActors(actors, this),
+			new Layer_CosmoActors(actors),
 		);
+
+		this.attributes['bgmusic'] = {
+			title: 'Background music',
+			type: 'int',
+			// gameinfojs converts these numbers to filenames so we don't have to here.
+			rangeMin: 0,
+			rangeMax: 0x1F,
+			value: flags.music,
+		};
+
+		this.attributes['animation'] = {
+			title: 'Palette animation type',
+			type: 'int',
+			rangeMin: 0,
+			rangeMax: 7,
+			value: flags.animation,
+		};
+
+		this.attributes['backdrop'] = {
+			title: 'Backdrop image',
+			type: 'int',
+			rangeMin: 0,
+			rangeMax: 0x1F,
+			value: flags.backdrop,
+		};
+
+		this.attributes['bgScrollX'] = {
+			title: 'Scroll background horizontally',
+			type: 'bool',
+			value: flags.bgScrollX,
+		};
+
+		this.attributes['bgScrollY'] = {
+			title: 'Scroll background vertically',
+			type: 'bool',
+			value: flags.bgScrollY,
+		};
+
+		this.attributes['rain'] = {
+			id: 'rain',
+			title: 'Rain',
+			type: 'bool',
+			value: flags.rain,
+		};
 	}
 
 	getSize() {
@@ -273,40 +390,33 @@ class Map2D_Cosmo extends Map2D
 	queryResize(proposed) {
 		// Make sure the new dimensions are within the limits.
 		let permitted = super.queryResize(proposed);
-
-		// Only these widths are permitted by the game (source: ModdingWiki).
-		const allowedWidths = [ 1024, 512, 256, 128, 64 ];
-		for (const aw of allowedWidths) {
-			if (permitted.x > aw) {
-				permitted.x = aw;
-				break;
-			}
-		}
-		permitted.x = Math.max(64, permitted.x); // minimum size
-
-		if (permitted.y === this.mapSize.y) {
-			// Y hasn't changed, assume X has, so recalculate Y.
-			permitted.y = COSMO_BG_LEN / permitted.x;
+		const current = this.mapSize;
+
+		if ((permitted.x === current.x) && (permitted.y !== current.y)) {
+			// Only Y changed, so use the widest map that is still at least as tall
+			// as requested.
+			const width = [...COSMO_ALLOWED_WIDTHS].reverse().find(
+				w => Math.ceil(COSMO_BG_LEN / w) >= permitted.y
+			);
+			permitted.x = width || COSMO_BG_MIN_X;
 		} else {
-			// Y changed, adjust X to fit.
-			permitted.x = COSMO_BG_LEN / permitted.y;
+			// Use the largest permitted width that isn't wider than requested.
+			const width = [...COSMO_ALLOWED_WIDTHS].reverse().find(
+				w => w <= permitted.x
+			);
+			permitted.x = width || COSMO_BG_MIN_X;
 		}
-	}
 
-	resize(newSize) {
-		throw new Error('Not implemented yet!');
-		// TODO: Have to resize layer0 arrays.
-		super.resize(newSize); // throw if queryResize() fails
-		this.mapSize = {
-			x: newSize.x,
-			y: newSize.y,
-		};
+		// The number of tiles is fixed, so the height follows from the width.
+		permitted.y = Math.ceil(COSMO_BG_LEN / permitted.x);
+
+		return permitted;
 	}
 
 	setTilesets(ts) {
 		this.layers[0].tilesetBG = ts.solid;
 		this.layers[0].tilesetFG = ts.masked;
-		//this.layers[1].tileset = ts.actors;
+		this.layers[1].tileset = ts.actors;
 	}
 }
 
@@ -325,6 +435,55 @@ export default class Map_Cosmo extends MapHandler
 		return md;
 	}
 
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `Content too short (${content.length} < ${HEADER_LEN} b).`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+
+		if ((header.mapWidth === 0) || (header.mapWidth > COSMO_BG_LEN)) {
+			return {
+				valid: false,
+				reason: `Map width of ${header.mapWidth} tiles is out of range.`,
+			};
+		}
+
+		if (header.lenActorChunk % ACTOR_LEN_UINT16 !== 0) {
+			return {
+				valid: false,
+				reason: `Actor data length (${header.lenActorChunk} words) is not a `
+					+ `multiple of the actor size (${ACTOR_LEN_UINT16} words).`,
+			};
+		}
+
+		const lenExpected = HEADER_LEN + header.lenActorChunk * 2 + COSMO_BG_LEN * 2;
+		if (content.length < lenExpected) {
+			return {
+				valid: false,
+				reason: `Content too short for the actor and tile data `
+					+ `(${content.length} < ${lenExpected} b).`,
+			};
+		}
+
+		if (content.length > lenExpected) {
+			return {
+				valid: undefined,
+				reason: `Header looks valid but there are `
+					+ `${content.length - lenExpected} trailing bytes after the tile data.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Header and actor count match the file size.`,
+		};
+	}
+
 	static checkLimits(map) {
 		let issues = super.checkLimits(map);
 
@@ -334,12 +493,7 @@ export default class Map_Cosmo extends MapHandler
 				+ `(${actorCount}), the maximum is ${MAX_ACTORS}.`);
 		}
 
-		let playerCount = 0, platformCount = 0, lightCount = 0;
-		for (const actor of map.layers[1].items) {
-			if (actor.code === 0) playerCount++;
-			else if ((actor.code >= 1) && (actor.code <= 5)) platformCount++;
-			else if ((actor.code >= 6) && (actor.code <= 8)) lightCount++;
-		}
+		const { playerCount, platformCount, lightCount } = countActors(map.layers[1].items);
 		if (playerCount > MAX_PLAYERS) {
 			issues.push(`There are too many player sprites in the actor layer `
 				+ `(${playerCount}), the maximum is ${MAX_PLAYERS}.`);
@@ -356,9 +510,70 @@ export default class Map_Cosmo extends MapHandler
 		return issues;
 	}
 
-	static parse({main: content}) {
-		const lenContent = content.length;
+	static usage(map) {
+		let usage = super.usage(map);
+
+		const { playerCount, platformCount, lightCount } = countActors(map.layers[1].items);
+		usage.push({
+			title: 'Actors',
+			used: map.layers[1].items.length,
+			max: MAX_ACTORS,
+		}, {
+			title: 'Player sprites',
+			used: playerCount,
+			max: MAX_PLAYERS,
+		}, {
+			title: 'Platform/mud fountain sprites',
+			used: platformCount,
+			max: MAX_PLATFORMS,
+		}, {
+			title: 'Light sprites',
+			used: lightCount,
+			max: MAX_LIGHTS,
+		});
+
+		return usage;
+	}
+
+	/**
+	 * Create a new blank Cosmo map.
+	 *
+	 * @param {Object} options
+	 *   `width` is the map width in tiles, which defaults to 64.  The height is
+	 *   calculated from this, as the game always uses the same number of tiles.
+	 *   The last row is only partly usable, as the tile count is not a multiple
+	 *   of the width.
+	 */
+	static create(options = {}) {
+		const mapW = options.width || COSMO_BG_MIN_X;
+		if (!COSMO_ALLOWED_WIDTHS.includes(mapW)) {
+			throw new Error(`Map width ${mapW} is not supported by the game, it `
+				+ `must be one of: ${COSMO_ALLOWED_WIDTHS.join(', ')}.`);
+		}
+		const mapH = Math.ceil(COSMO_BG_LEN / mapW);
 
+		let tileCodes = [];
+		for (let y = 0; y < mapH; y++) {
+			tileCodes[y] = new Array(mapW).fill(undefined);
+		}
+
+		return new Map2D_Cosmo(tileCodes, [], {
+			music: 0,
+			animation: 0,
+			bgScrollY: false,
+			bgScrollX: false,
+			rain: false,
+			backdrop: 0,
+		});
+	}
+
+	static createOptions(map) {
+		return {
+			width: map.layers[0].layerW,
+		};
+	}
+
+	static parse({main: content}) {
 		let buffer = new RecordBuffer(content);
 		const header = buffer.readRecord(recordTypes.header);
 
@@ -372,8 +587,6 @@ export default class Map_Cosmo extends MapHandler
 			backdrop: header.flags & 0x1F,
 		};
 
-
-		let layerObj = 0;
 		const actorCount = header.lenActorChunk / ACTOR_LEN_UINT16;
 		let actors = [];
 		for (let i = 0; i < actorCount; i++) {
@@ -385,74 +598,31 @@ export default class Map_Cosmo extends MapHandler
 			});
 		}
 
+		// The tile count is not a multiple of the width, so the last row is only
+		// partially stored.  The rest of it is left empty.
 		const mapW = header.mapWidth;
-		const mapH = Math.floor(COSMO_BG_LEN / mapW);
+		const mapH = Math.ceil(COSMO_BG_LEN / mapW);
 		let tileCodes = [];
 		for (let y = 0; y < mapH; y++) {
-			tileCodes[y] = [];
+			tileCodes[y] = new Array(mapW).fill(undefined);
 			for (let x = 0; x < mapW; x++) {
+				if (y * mapW + x >= COSMO_BG_LEN) break;
+
 				const code = buffer.read(RecordType.int.u16le);
 
 				// Turn zero codes into blanks.
-				if (code === 0) {
-					tileCodes[y][x] = undefined;
-					continue;
-				}
+				if (code === 0) continue;
 
 				let tileCode = Math.floor(code / 8);
-				if (tileCode > 2000) {
-					let maskCode = tileCode - 2000;
-					tileCode = 2000 + (maskCode / 5);
+				if (tileCode > COSMO_MASKED_CODE) {
+					let maskCode = tileCode - COSMO_MASKED_CODE;
+					tileCode = COSMO_MASKED_CODE + (maskCode / 5);
 				}
 				tileCodes[y][x] = tileCode;
 			}
 		}
 
-		let map = new Map2D_Cosmo(tileCodes, actors);
-
-		map.attributes['bgmusic'] = {
-			title: 'Background music',
-			type: 'int',
-			// gameinfojs converts these numbers to filenames so we don't have to here.
-			rangeMin: 0,
-			rangeMax: 0x1F,
-			value: flags.music,
-		};
-
-		map.attributes['animation'] = {
-			title: 'Palette animation type',
-			type: 'int',
-			rangeMin: 0,
-			rangeMax: 7,
-			value: flags.animation,
-		};
-
-		map.attributes['backdrop'] = {
-			title: 'Backdrop image',
-			type: 'int',
-			rangeMin: 0,
-			rangeMax: 0x1F,
-			value: flags.backdrop,
-		};
-
-		map.attributes['bgScrollX'] = {
-			title: 'Scroll background horizontally',
-			type: 'bool',
-			value: flags.bgScrollX,
-		};
-
-		map.attributes['bgScrollY'] = {
-			title: 'Scroll background vertically',
-			type: 'bool',
-			value: flags.bgScrollY,
-		};
-
-		map.attributes['rain'] = {
-			id: 'rain',
-			title: 'Rain',
-			type: 'bool',
-			value: flags.rain,
-		};
+		let map = new Map2D_Cosmo(tileCodes, actors, flags);
 
 		return map;
 	}
@@ -460,7 +630,7 @@ export default class Map_Cosmo extends MapHandler
 	static generate(map) {
 		const numActors = map.layers[1].items.length;
 
-		const mapX = map.mapSize.x;
+		const mapX = map.layers[0].layerW;
 		const header = {
 			flags: (
 				((map.attributes['bgmusic'].value & 0x1F) << 11)
@@ -474,7 +644,7 @@ export default class Map_Cosmo extends MapHandler
 			lenActorChunk: numActors * ACTOR_LEN_UINT16,
 		};
 
-		const fileSize = HEADER_LEN + header.lenActorChunk * 2 + COSMO_BG_LEN;
+		const fileSize = HEADER_LEN + header.lenActorChunk * 2 + COSMO_BG_LEN * 2;
 		let buffer = new RecordBuffer(fileSize);
 
 		buffer.writeRecord(recordTypes.header, header);
@@ -482,9 +652,9 @@ export default class Map_Cosmo extends MapHandler
 		for (const actor of map.layers[1].items) {
 			const actorData = {
 				type: actor.code,
-				x: actor.x,
-				y: actor.y,
-			}
+				x: Math.floor(actor.x / COSMO_BG_TILE_WIDTH),
+				y: Math.floor(actor.y / COSMO_BG_TILE_HEIGHT),
+			};
 			buffer.writeRecord(recordTypes.actor, actorData);
 		}
 
@@ -492,7 +662,20 @@ export default class Map_Cosmo extends MapHandler
 		for (let i = 0; i < COSMO_BG_LEN; i++) {
 			const y = Math.floor(i / mapX);
 			const x = i % mapX;
-			buffer.write(RecordType.int.u16le, tileCodes[y][x] || 0);
+			// Only the start of the last row is stored, so the rest of it is
+			// never written.  The layer could also be short if it has been resized
+			// without using queryResize(), in which case the missing tiles are blank.
+			const tileCode = tileCodes[y] && tileCodes[y][x];
+
+			let code;
+			if (tileCode === undefined) {
+				code = 0;
+			} else if (tileCode >= COSMO_MASKED_CODE) {
+				code = ((tileCode - COSMO_MASKED_CODE) * 5 + COSMO_MASKED_CODE) * 8;
+			} else {
+				code = tileCode * 8;
+			}
+			buffer.write(RecordType.int.u16le, code);
 		}
 
 		return {
@@ -30,6 +30,7 @@ import MapHandler from '../interface/mapHandler.js';
 import Map2D from '../interface/map2d.js';
 import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
 import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Path from '../interface/map2d-layer-path.js';
 
 // Size of path data (bytes).
 const DD_LAYER_LEN_PATH = 256;
@@ -37,12 +38,21 @@ const DD_LAYER_LEN_PATH = 256;
 // Maximum number of points in the path.
 const DD_MAX_PATH = 128;
 
-//const DD_LAYER_LEN_BG = DD_MAP_WIDTH * DD_MAP_HEIGHT;
+// Dimensions of a normal level, and of the small title screen map.
+const DD_MAP_WIDTH = 100;
+const DD_MAP_HEIGHT = 10;
+const DD_TITLE_WIDTH = 10;
+const DD_TITLE_HEIGHT = 7;
+
+const DD_LAYER_LEN_BG = DD_MAP_WIDTH * DD_MAP_HEIGHT;
 const DD_PAD_LEN = 24; // to round DD_LAYER_LEN_BG to nearest power of two
 
 const DD_TILE_WIDTH = 16;
 const DD_TILE_HEIGHT = 16;
-//const DD_FILESIZE = DD_LAYER_LEN_PATH + DD_LAYER_LEN_BG + DD_PAD_LEN;
+
+// Size of a complete level file, and of the small title screen map.
+const DD_LEN_LEVEL = DD_LAYER_LEN_PATH + DD_LAYER_LEN_BG + DD_PAD_LEN;
+const DD_LEN_TITLE = DD_TITLE_WIDTH * DD_TITLE_HEIGHT;
 
 // Map code to write for locations with no tile set.
 const DD_DEFAULT_BGTILE = 0;
@@ -50,6 +60,25 @@ const DD_DEFAULT_BGTILE = 0;
 // This is the code used in both X and Y coords to terminate a path.
 const DD_PATH_END = 0xEA;
 
+/**
+ * Convert path points into the movement between each one.
+ *
+ * The points are relative to the monster's starting position, so the first
+ * delta is the first point itself.
+ */
+function pathDeltas(points) {
+	let lastX = 0, lastY = 0;
+	return points.map(pt => {
+		const delta = {
+			x: pt.x - lastX,
+			y: pt.y - lastY,
+		};
+		lastX = pt.x;
+		lastY = pt.y;
+		return delta;
+	});
+}
+
 class MapLayer_DDave_BG extends Map2D_Layer_Tiled
 {
 	constructor(bgTiles) {
@@ -58,10 +87,10 @@ class MapLayer_DDave_BG extends Map2D_Layer_Tiled
 		super({
 			title: 'Background',
 			limits: {
-				minLayerX: mapW,
-				minLayerY: mapH,
-				maxLayerX: mapW,
-				maxLayerY: mapH,
+				minLayerW: mapW,
+				minLayerH: mapH,
+				maxLayerW: mapW,
+				maxLayerH: mapH,
 			},
 			layerW: mapW,
 			layerH: mapH,
@@ -71,8 +100,25 @@ class MapLayer_DDave_BG extends Map2D_Layer_Tiled
 		});
 	}
 
+	getAvailableCodes() {
+		// Each tile is stored in a single byte.
+		return Array.from({ length: 256 }, (v, i) => i);
+	}
+
 	imageFromCode(code) {
-		return this.tileset[code];
+		return this.tileset && this.tileset[code];
+	}
+
+	isPermittedAt(x, y, code) {
+		// Each tile is stored in a single byte.
+		if ((code !== undefined) && (!Number.isInteger(code) || (code < 0) || (code > 255))) {
+			return {
+				valid: false,
+				reason: `Tile code must be a number between 0 and 255.`,
+			};
+		}
+
+		return { valid: true };
 	}
 }
 
@@ -81,6 +127,8 @@ class MapLayer_DDave_Monsters extends Map2D_Layer_List
 	constructor(enemyInfo, tileIndex) {
 		super();
 
+		this.title = 'Monsters';
+
 		for (let i = 0; i < enemyInfo.length; i++) {
 			const en = enemyInfo[i];
 			if (en.enabled) {
@@ -98,17 +146,75 @@ class MapLayer_DDave_Monsters extends Map2D_Layer_List
 		this.tileIndex = tileIndex;
 	}
 
+	createItem(code) {
+		return {
+			x: 0,
+			y: 0,
+			code,
+			xAttach: 0,
+			yAttach: 0,
+		};
+	}
+
+	// eslint-disable-next-line no-unused-vars
 	imageFromCode(code) {
-		return this.tileset[this.tileIndex || 0];
+		return this.tileset && this.tileset[this.tileIndex || 0];
+	}
+}
+
+class MapLayer_DDave_Player extends Map2D_Layer_List
+{
+	constructor(start) {
+		super();
+
+		this.title = 'Player';
+
+		let item = this.createItem('player');
+		item.x = start.x;
+		item.y = start.y;
+		this.items.push(item);
+	}
+
+	createItem(code) {
+		return {
+			x: 0,
+			y: 0,
+			code,
+		};
+	}
+}
+
+class MapLayer_DDave_Path extends Map2D_Layer_Path
+{
+	constructor(path) {
+		super({
+			title: 'Monster path',
+			limits: {
+				minPaths: 1,
+				maxPaths: 1,
+				maxPoints: DD_MAX_PATH,
+			},
+			relative: true,
+			paths: [ path ],
+		});
 	}
 }
 
 class Map2D_DDave extends Map2D
 {
-	constructor(bgTiles, enemyInfo, options) {
+	constructor(bgTiles, enemyInfo, path, options) {
+		// The map size is fixed.
+		const mapSize = {
+			x: bgTiles[0].length,
+			y: bgTiles.length,
+		};
 		super({
 			viewportW: 20 * DD_TILE_WIDTH,
 			viewportH: 10 * DD_TILE_HEIGHT,
+			limits: {
+				minimumMapSize: mapSize,
+				maximumMapSize: mapSize,
+			},
 			/*
 			background: {
 				att: Map2D.BackgroundAttachment.SingleImageTiled,
@@ -124,6 +230,11 @@ class Map2D_DDave extends Map2D
 		// Add the enemy layer.
 		this.layers.push(new MapLayer_DDave_Monsters(enemyInfo, options.monsterTileIndex));
 
+		// The title screen map has no path, but normal levels do.
+		if (path) {
+			this.layers.push(new MapLayer_DDave_Path(path));
+		}
+
 		// If we were supplied with player coordinates, add a layer for those.
 		if (options.playerStartX !== undefined) {
 			this.layers.push(new MapLayer_DDave_Player({
@@ -165,67 +276,132 @@ export default class Map_DDave extends MapHandler
 		return md;
 	}
 
+	static identify(content, filename) {
+		if (
+			(content.length !== DD_LEN_LEVEL)
+			&& (content.length !== DD_LEN_TITLE)
+		) {
+			return {
+				valid: false,
+				reason: `File size of ${content.length} is not ${DD_LEN_LEVEL} `
+					+ `(level) or ${DD_LEN_TITLE} (title screen).`,
+			};
+		}
+
+		// There is no header, so a file of the right length could be anything.
+		// Only the filename extension used by the extracted levels can confirm it.
+		if (filename && filename.toLowerCase().endsWith('.dav')) {
+			return {
+				valid: true,
+				reason: `File size and .dav filename extension match.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `File size matches, but there is no signature to confirm.`,
+		};
+	}
+
 	static checkLimits(map) {
 		let issues = super.checkLimits(map);
 
-		if (map.paths && map.paths[0]) {
-			if (map.paths[0].length > DD_MAX_PATH) {
-				issues.push(`The path has ${map.path[0].length} points, but the `
-					+ `maximum is ${DD_MAX_PATH}.`);
-			}
-
-			let lastX = undefined, lastY = undefined;
-			map.paths[0].forEach((pt, index) => {
-				if (lastX !== undefined) {
-					let x = pt.x - lastX;
-					let y = pt.y - lastY;
-					if ((x === DD_PATH_END) && (y === DD_PATH_END)) {
-						issues.push(`Point #${index + 1} in the path at (${pt.x}, ${pt.y})`
-							+ ` ends up at a special value reserved for indicating the end `
-							+ `of the path.  Please move this point by at least one pixel in `
-							+ `any direction to avoid this conflict.`);
-					}
-				} // else first point in path
-				lastX = pt.x;
-				lastY = pt.y;
+		const layerPath = map.layers.find(l => l instanceof Map2D_Layer_Path);
+		if (layerPath && layerPath.paths[0]) {
+			const points = layerPath.paths[0];
+			pathDeltas(points).forEach((delta, index) => {
+				const pt = points[index];
+				if (
+					(delta.x < -128) || (delta.x > 127)
+					|| (delta.y < -128) || (delta.y > 127)
+				) {
+					issues.push(`Point #${index + 1} in the path at (${pt.x}, ${pt.y}) `
+						+ `is too far from the previous point.  Each point can only be up `
+						+ `to 127 pixels away in each direction.`);
+				} else if (
+					((delta.x & 0xFF) === DD_PATH_END)
+					&& ((delta.y & 0xFF) === DD_PATH_END)
+				) {
+					issues.push(`Point #${index + 1} in the path at (${pt.x}, ${pt.y})`
+						+ ` ends up at a special value reserved for indicating the end `
+						+ `of the path.  Please move this point by at least one pixel in `
+						+ `any direction to avoid this conflict.`);
+				}
 			});
 		}
+
+		return issues;
+	}
+
+	/**
+	 * Create a new blank Dangerous Dave map.
+	 *
+	 * @param {Object} options
+	 *   Set `titleScreen` to `true` to create the small map used behind the
+	 *   title screen, instead of a normal level.  The other options are the
+	 *   same as for `parse()`.
+	 */
+	static create(options = {}) {
+		const mapW = options.titleScreen ? DD_TITLE_WIDTH : DD_MAP_WIDTH;
+		const mapH = options.titleScreen ? DD_TITLE_HEIGHT : DD_MAP_HEIGHT;
+
+		let bgTiles = [];
+		for (let y = 0; y < mapH; y++) {
+			bgTiles[y] = new Array(mapW).fill(DD_DEFAULT_BGTILE);
+		}
+
+		return new Map2D_DDave(bgTiles, [], options.titleScreen ? null : [], options);
+	}
+
+	static createOptions(map) {
+		let options = {};
+		if (map.layers[0].layerW === DD_TITLE_WIDTH) {
+			options.titleScreen = true;
+		}
+		const monsters = map.layers.find(l => l instanceof MapLayer_DDave_Monsters);
+		if (monsters && (monsters.tileIndex !== undefined)) {
+			options.monsterTileIndex = monsters.tileIndex;
+		}
+		const player = map.layers.find(l => l instanceof MapLayer_DDave_Player);
+		if (player && player.items[0]) {
+			options.playerStartX = player.items[0].x;
+			options.playerStartY = player.items[0].y;
+		}
+		return options;
 	}
 
 	static parse({main: content, enemy}, options = {}) {
 		let mapW, mapH, hasPath;
-		if (content.length === 10 * 7) {
+		if (content.length === DD_LEN_TITLE) {
 			// Small title screen map
-			mapW = 10;
-			mapH = 7;
+			mapW = DD_TITLE_WIDTH;
+			mapH = DD_TITLE_HEIGHT;
 			hasPath = false;
-		} else if (content.length === 1280) {
-			mapW = 100;
-			mapH = 10;
+		} else if (content.length === DD_LEN_LEVEL) {
+			mapW = DD_MAP_WIDTH;
+			mapH = DD_MAP_HEIGHT;
 			hasPath = true;
 		} else {
 			throw new Error(`Unrecognised map size: ${content.length}.`);
 		}
 
-//		map.limits.minPathCount = 0;
-//		map.limits.maxPathCount = 1;
-
-		// Parse enemy path data.
+		// Parse enemy path data.  Each point is stored as a pair of signed bytes
+		// giving the distance from the previous point.
 		let offset = 0;
+		let path = null;
 		if (hasPath) {
-			let path = [];
+			path = [];
+			const int8 = v => (v > 127) ? v - 256 : v;
+			let x = 0, y = 0;
 			for (let i = 0; i < DD_LAYER_LEN_PATH; i += 2) {
 				if ((content[i] === DD_PATH_END) && (content[i + 1] === DD_PATH_END)) {
 					// No more path data
 					break;
 				}
-				const next = {
-					x: content[i],
-					y: content[i + 1],
-				};
-				path.push(next);
+				x += int8(content[i]);
+				y += int8(content[i + 1]);
+				path.push({x, y});
 			}
-			//map.paths.push(path);
 			offset = DD_LAYER_LEN_PATH;
 		}
 
@@ -269,48 +445,50 @@ export default class Map_DDave extends MapHandler
 			}
 		}
 
-		let map = new Map2D_DDave(bgTiles, enemyList, options);
+		let map = new Map2D_DDave(bgTiles, enemyList, path, options);
 
 		return map;
 	}
 
-	// todo: check to ensure all path points are within range?
-	// todo: check there are fewer than 128 path points (do all paths need to end with PATH_END?)
 	static generate(map) {
-		let buffer = new RecordBuffer(DD_FILESIZE);
-
-		if (map.paths && map.paths[0]) {
-			let lastX = undefined, lastY = undefined;
-			map.paths[0].forEach((pt, i) => {
-				if (lastX !== undefined) {
-					buffer[i * 2] = pt.x - lastX;
-					buffer[i * 2 + 1] = pt.y - lastY;
-				} // else first point in path
-				lastX = pt.x;
-				lastY = pt.y;
-			});
+		const bg = map.layers[0];
+		const hasPath = bg.layerW === DD_MAP_WIDTH;
+		let buffer = new Uint8Array(hasPath ? DD_LEN_LEVEL : DD_LEN_TITLE);
 
-			// Add the 'end of path' marker if there's enough space.
-			const len = map.paths[0].length;
-			if (len < DD_MAX_PATH) {
-				buffer[len * 2] = DD_PATH_END;
-				buffer[len * 2 + 1] = DD_PATH_END;
-			} else {
-				Debug.push(FORMAT_ID, 'write');
-				Debug.log('TODO: Writing maximum path length and omitting terminator, will this work?');
-				Debug.pop();
+		let offset = 0;
+		if (hasPath) {
+			// Start with an empty path, in case there is no path data.
+			buffer[0] = DD_PATH_END;
+			buffer[1] = DD_PATH_END;
+
+			const layerPath = map.layers.find(l => l instanceof Map2D_Layer_Path);
+			if (layerPath && layerPath.paths[0]) {
+				pathDeltas(layerPath.paths[0]).forEach((delta, i) => {
+					buffer[i * 2] = delta.x & 0xFF;
+					buffer[i * 2 + 1] = delta.y & 0xFF;
+				});
+
+				// Add the 'end of path' marker if there's enough space.
+				const len = layerPath.paths[0].length;
+				if (len < DD_MAX_PATH) {
+					buffer[len * 2] = DD_PATH_END;
+					buffer[len * 2 + 1] = DD_PATH_END;
+				} else {
+					debug('TODO: Writing maximum path length and omitting terminator, will this work?');
+				}
 			}
+			offset = DD_LAYER_LEN_PATH;
 		}
 
-		let offset = DD_LAYER_LEN_PATH;
-		for (let y = 0; y < DD_MAP_HEIGHT; y++) {
-			for (let x = 0; x < DD_MAP_WIDTH; x++) {
-				buffer[offset] = map.items[y][x].code || DD_DEFAULT_BGTILE;
+		for (let y = 0; y < bg.layerH; y++) {
+			for (let x = 0; x < bg.layerW; x++) {
+				const code = bg.tiles[y][x];
+				buffer[offset++] = (code === undefined) ? DD_DEFAULT_BGTILE : code;
 			}
 		}
 
 		return {
-			main: buffer.getU8(),
+			main: buffer,
 		};
 	}
 }
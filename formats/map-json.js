@@ -0,0 +1,276 @@
+/*
+ * Map handler for a JSON representation of any map.
+ *
+ * This is not used by any game.  It stores maps as text so they can be kept in
+ * version control, reviewed and compared, then converted back into the game's
+ * own format later.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'map-json';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import MapHandler from '../interface/mapHandler.js';
+import {
+	Map2D,
+	Map2D_Layer_List,
+	Map2D_Layer_Path,
+	Map2D_Layer_Tiled,
+} from '../interface/index.js';
+import {
+	compactJSON as compact,
+	createBlankMap,
+	createSourceMap,
+	replaceLayers,
+	stringifyJSON,
+} from './interchange.js';
+import { findSourceHandler } from '../util/source.js';
+
+// Version of the JSON document written by generate().  Increase this if the
+// structure changes in a way older versions would not understand.
+const JSON_VERSION = 1;
+
+
+/**
+ * Convert an item into a plain object for the JSON document.
+ */
+function itemToJSON(layer, item) {
+	let out = {
+		code: item.code,
+		x: item.x,
+		y: item.y,
+		...layer.getItemProperties(item),
+	};
+	if (item.attributeValues && Object.keys(item.attributeValues).length) {
+		out.attributes = item.attributeValues;
+	}
+	return out;
+}
+
+/**
+ * Convert a layer into a plain object for the JSON document.
+ */
+function layerToJSON(layer) {
+	let out = {
+		type: layer.type,
+		title: layer.title,
+	};
+
+	if (layer instanceof Map2D_Layer_Tiled) {
+		out.layerW = layer.layerW;
+		out.layerH = layer.layerH;
+		out.tileW = layer.tileW;
+		out.tileH = layer.tileH;
+		// JSON has no `undefined`, so blank tiles are written as `null`.
+		out.tiles = layer.tiles.map(row => compact(
+			row.map(code => (code === undefined) ? null : code)
+		));
+
+	} else if (layer instanceof Map2D_Layer_List) {
+		out.items = layer.items.map(item => compact(itemToJSON(layer, item)));
+
+	} else if (layer instanceof Map2D_Layer_Path) {
+		out.relative = layer.relative;
+		out.paths = layer.paths.map(path => path.map(pt => compact(pt)));
+
+	} else {
+		throw new Error(`Layers of type "${layer.type}" cannot be stored in `
+			+ `${FORMAT_ID} files.`);
+	}
+
+	return out;
+}
+
+/**
+ * Copy the content of a layer from the JSON document into the map.
+ */
+function layerFromJSON(layer, data) {
+	switch (data.type) {
+		case '2d.tiled':
+			layer.layerW = data.layerW;
+			layer.layerH = data.layerH;
+			layer.tileW = data.tileW;
+			layer.tileH = data.tileH;
+			layer.tiles = data.tiles.map(row => row.map(
+				code => (code === null) ? undefined : code
+			));
+			break;
+
+		case '2d.list':
+			layer.items = data.items.map(d => {
+				const { attributes, ...props } = d;
+				let item = layer.createItem(d.code);
+				Object.assign(item, props);
+				if (attributes) {
+					item.attributeValues = { ...attributes };
+				}
+				return item;
+			});
+			break;
+
+		case '2d.path':
+			layer.relative = data.relative;
+			layer.paths = data.paths.map(path => path.map(pt => ({ ...pt })));
+			break;
+	}
+}
+
+export default class Map_JSON extends MapHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'gamemapjs JSON',
+			games: [],
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		// Skip any leading whitespace.
+		let start = 0;
+		while ((start < content.length) && (content[start] <= 0x20)) start++;
+		if (content[start] !== 0x7B) { // '{'
+			return {
+				valid: false,
+				reason: 'Content does not start with a JSON object.',
+			};
+		}
+
+		let doc;
+		try {
+			doc = JSON.parse(new TextDecoder().decode(content));
+		} catch (e) {
+			return {
+				valid: false,
+				reason: `Content is not valid JSON: ${e.message}`,
+			};
+		}
+
+		if (doc.format !== FORMAT_ID) {
+			return {
+				valid: false,
+				reason: `JSON document is not a ${FORMAT_ID} file.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `JSON document has a "format" of "${FORMAT_ID}".`,
+		};
+	}
+
+	/**
+	 * Create a new blank map.
+	 *
+	 * @param {Object} options
+	 *   Set `source` to a format ID to create a blank map for that format, which
+	 *   can then be stored as JSON.  Any other options are passed on to that
+	 *   format's `create()` function.  Without a source format, a map with a
+	 *   single 16x16 tiled layer is returned.
+	 */
+	static create(options = {}) {
+		return createBlankMap(options);
+	}
+
+	static parse({main: content}) {
+		const doc = JSON.parse(new TextDecoder().decode(content));
+
+		if (doc.format !== FORMAT_ID) {
+			throw new Error(`This is not a ${FORMAT_ID} file.`);
+		}
+		if (doc.version > JSON_VERSION) {
+			throw new Error(`This file is version ${doc.version}, but only version `
+				+ `${JSON_VERSION} and earlier are supported.  Please upgrade to a `
+				+ `newer version of gamemapjs.`);
+		}
+		if (doc.type !== 'map2d') {
+			throw new Error(`Unsupported map type "${doc.type}".`);
+		}
+
+		let map = createSourceMap(doc.source, doc.sourceOptions);
+
+		// Maps that didn't come from a format handler have their attribute
+		// definitions stored in the file.
+		for (const [ id, def ] of Object.entries(doc.attributeDefinitions || {})) {
+			map.attributes[id] = { ...def };
+		}
+		for (const [ id, def ] of Object.entries(doc.itemAttributeDefinitions || {})) {
+			map.itemAttributes[id] = { ...def };
+		}
+
+		for (const [ id, value ] of Object.entries(doc.attributes || {})) {
+			if (!map.attributes[id]) {
+				throw new Error(`Map attribute "${id}" is not supported by the `
+					+ `"${doc.source}" format.`);
+			}
+			map.attributes[id].value = value;
+		}
+
+		map.metadata = { ...(doc.metadata || {}) };
+
+		replaceLayers(map, doc.layers, layerFromJSON);
+
+		return map;
+	}
+
+	static generate(map) {
+		if (!(map instanceof Map2D)) {
+			throw new Error(`Only 2D maps can be stored in ${FORMAT_ID} files.`);
+		}
+
+		const handler = findSourceHandler(map);
+
+		let doc = {
+			format: FORMAT_ID,
+			version: JSON_VERSION,
+			source: handler ? handler.metadata().id : null,
+			sourceOptions: handler ? handler.createOptions(map) : undefined,
+			type: map.type,
+			metadata: map.metadata,
+			attributes: {},
+		};
+
+		for (const [ id, attr ] of Object.entries(map.attributes)) {
+			doc.attributes[id] = attr.value;
+		}
+
+		if (!handler) {
+			// There's no format handler to supply the attribute definitions when
+			// the map is loaded again, so include them here.
+			const withoutValue = attrs => Object.fromEntries(
+				Object.entries(attrs).map(([ id, attr ]) => {
+					let def = { ...attr };
+					delete def.value;
+					return [ id, def ];
+				})
+			);
+			doc.attributeDefinitions = withoutValue(map.attributes);
+			doc.itemAttributeDefinitions = withoutValue(map.itemAttributes);
+		}
+
+		doc.layers = map.layers.map(layerToJSON);
+
+		return {
+			main: new TextEncoder().encode(stringifyJSON(doc)),
+		};
+	}
+}
@@ -0,0 +1,126 @@
+/*
+ * Map handler for the Tiled map editor's JSON format (.tmj).
+ *
+ * This is not used by any game.  It lets maps be edited in Tiled and then
+ * converted back into the game's own format.  See tiled.js for how maps are
+ * laid out in Tiled files.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'map-tiled-tmj';
+
+import MapHandler from '../interface/mapHandler.js';
+import {
+	compactJSON as compact,
+	createBlankMap,
+	stringifyJSON,
+} from './interchange.js';
+import {
+	checkTiledLimits,
+	mapFromTiled,
+	mapToTiled,
+} from './tiled.js';
+
+export default class Map_Tiled_TMJ extends MapHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Tiled JSON map',
+			games: [],
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		// Skip any leading whitespace.
+		let start = 0;
+		while ((start < content.length) && (content[start] <= 0x20)) start++;
+		if (content[start] !== 0x7B) { // '{'
+			return {
+				valid: false,
+				reason: 'Content does not start with a JSON object.',
+			};
+		}
+
+		let doc;
+		try {
+			doc = JSON.parse(new TextDecoder().decode(content));
+		} catch (e) {
+			return {
+				valid: false,
+				reason: `Content is not valid JSON: ${e.message}`,
+			};
+		}
+
+		if ((doc.type !== 'map') || !doc.orientation) {
+			return {
+				valid: false,
+				reason: 'JSON document is not a Tiled map.',
+			};
+		}
+
+		return {
+			valid: true,
+			reason: 'JSON document is a Tiled map.',
+		};
+	}
+
+	static checkLimits(map) {
+		let issues = super.checkLimits(map);
+		issues.push(...checkTiledLimits(map));
+		return issues;
+	}
+
+	/**
+	 * Create a new blank map.
+	 *
+	 * @param {Object} options
+	 *   Same as `map-json`.
+	 */
+	static create(options = {}) {
+		return createBlankMap(options);
+	}
+
+	static parse({main: content}) {
+		const doc = JSON.parse(new TextDecoder().decode(content));
+		if (doc.type !== 'map') {
+			throw new Error('This is not a Tiled map.');
+		}
+		return mapFromTiled(doc);
+	}
+
+	static generate(map) {
+		let doc = mapToTiled(map);
+
+		// Keep the tiles and each object on one line, the same as Tiled does.
+		for (const layer of doc.layers) {
+			if (layer.data) {
+				layer.data = compact(layer.data);
+			}
+			if (layer.objects) {
+				layer.objects = layer.objects.map(obj => compact(obj));
+			}
+		}
+
+		return {
+			main: new TextEncoder().encode(stringifyJSON(doc)),
+		};
+	}
+}
@@ -0,0 +1,459 @@
+/*
+ * Map handler for the Tiled map editor's XML format (.tmx).
+ *
+ * This is not used by any game.  It lets maps be edited in Tiled and then
+ * converted back into the game's own format.  See tiled.js for how maps are
+ * laid out in Tiled files.
+ *
+ * The XML is converted to and from the same structure as a .tmj file, so only
+ * the parts of TMX that have an equivalent in TMJ are supported.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'map-tiled-tmx';
+
+import MapHandler from '../interface/mapHandler.js';
+import { createBlankMap } from './interchange.js';
+import {
+	checkTiledLimits,
+	mapFromTiled,
+	mapToTiled,
+} from './tiled.js';
+
+const XML_ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: '\'',
+};
+
+// Map, layer and object attributes that hold numbers rather than text.
+const NUMERIC_ATTRIBUTES = [
+	'firstgid',
+	'height',
+	'id',
+	'nextlayerid',
+	'nextobjectid',
+	'offsetx',
+	'offsety',
+	'rotation',
+	'tileheight',
+	'tilewidth',
+	'width',
+	'x',
+	'y',
+];
+
+function escapeXML(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function unescapeXML(text) {
+	return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+		if (entity[0] === '#') {
+			return String.fromCodePoint(
+				(entity[1] === 'x')
+					? parseInt(entity.substr(2), 16)
+					: parseInt(entity.substr(1), 10)
+			);
+		}
+		if (XML_ENTITIES[entity] === undefined) {
+			throw new Error(`Unknown XML entity "${match}".`);
+		}
+		return XML_ENTITIES[entity];
+	});
+}
+
+/**
+ * Read XML text into a tree of elements.
+ *
+ * This only supports what Tiled writes, so DTDs and namespaces are ignored.
+ *
+ * @return {Object} root element, with `name`, `attributes`, `children` and
+ *   `text` properties.
+ */
+function parseXML(text) {
+	let root = { name: null, attributes: {}, children: [], text: '' };
+	let stack = [ root ];
+	const reTag = /<(\/?)([A-Za-z_][-A-Za-z0-9_.:]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>/g;
+	const reAttr = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+	let pos = 0;
+	let match;
+	while ((match = reTag.exec(text)) !== null) {
+		let current = stack[stack.length - 1];
+		if (match.index > pos) {
+			current.text += unescapeXML(text.substring(pos, match.index));
+		}
+		pos = reTag.lastIndex;
+
+		const [ tag, closing, name, attrText, selfClosing, cdata ] = match;
+		if (cdata !== undefined) {
+			current.text += cdata;
+			continue;
+		}
+		if (!name) continue; // comment, declaration or DOCTYPE
+
+		if (closing) {
+			if (current.name !== name) {
+				throw new Error(`Unexpected ${tag} in XML, expected </${current.name}>.`);
+			}
+			stack.pop();
+			continue;
+		}
+
+		let el = { name, attributes: {}, children: [], text: '' };
+		let attr;
+		reAttr.lastIndex = 0;
+		while ((attr = reAttr.exec(attrText)) !== null) {
+			el.attributes[attr[1]] = unescapeXML(
+				(attr[2] !== undefined) ? attr[2] : attr[3]
+			);
+		}
+		current.children.push(el);
+		if (!selfClosing) stack.push(el);
+	}
+
+	if (stack.length > 1) {
+		throw new Error(`XML ended before </${stack[stack.length - 1].name}>.`);
+	}
+	const top = root.children[0];
+	if (!top) {
+		throw new Error('No XML elements found.');
+	}
+	return top;
+}
+
+/**
+ * Copy the attributes of an element, converting numbers.
+ */
+function readAttributes(el) {
+	let out = {};
+	for (const [ name, value ] of Object.entries(el.attributes)) {
+		out[name] = NUMERIC_ATTRIBUTES.includes(name) ? Number(value) : value;
+	}
+	return out;
+}
+
+function readProperties(el) {
+	const props = el.children.find(c => c.name === 'properties');
+	if (!props) return undefined;
+	return props.children.filter(c => c.name === 'property').map(p => ({
+		name: p.attributes.name,
+		type: p.attributes.type || 'string',
+		// Multi-line strings are stored as the content of the element.
+		value: (p.attributes.value !== undefined) ? p.attributes.value : p.text,
+	}));
+}
+
+/**
+ * Convert a <layer> element into a TMJ layer.
+ */
+function readTileLayer(el) {
+	let layer = {
+		...readAttributes(el),
+		type: 'tilelayer',
+		properties: readProperties(el),
+	};
+	const data = el.children.find(c => c.name === 'data');
+	if (!data) {
+		throw new Error(`Tile layer "${layer.name}" has no data.`);
+	}
+	if (data.children.some(c => c.name === 'chunk')) {
+		throw new Error('Infinite Tiled maps are not supported.');
+	}
+	if (data.attributes.encoding) {
+		layer.encoding = data.attributes.encoding;
+		layer.compression = data.attributes.compression;
+		layer.data = data.text;
+	} else {
+		// Old-style XML data, with one <tile/> per tile.
+		layer.data = data.children.filter(c => c.name === 'tile').map(
+			c => Number(c.attributes.gid || 0)
+		);
+	}
+	return layer;
+}
+
+/**
+ * Convert an <objectgroup> element into a TMJ layer.
+ */
+function readObjectLayer(el) {
+	return {
+		...readAttributes(el),
+		type: 'objectgroup',
+		properties: readProperties(el),
+		objects: el.children.filter(c => c.name === 'object').map(o => {
+			let obj = {
+				width: 0,
+				height: 0,
+				...readAttributes(o),
+				properties: readProperties(o),
+			};
+			if (o.children.some(c => c.name === 'point')) obj.point = true;
+			const polyline = o.children.find(c => c.name === 'polyline');
+			if (polyline) {
+				obj.polyline = polyline.attributes.points.split(/\s+/)
+					.filter(pt => pt.length)
+					.map(pt => {
+						const [ x, y ] = pt.split(',').map(Number);
+						return { x, y };
+					});
+			}
+			return obj;
+		}),
+	};
+}
+
+/**
+ * Convert the XML from a .tmx file into the structure used by .tmj files.
+ */
+function tmxToTiled(root) {
+	if (root.name !== 'map') {
+		throw new Error('This is not a Tiled map.');
+	}
+	let doc = {
+		...readAttributes(root),
+		type: 'map',
+		infinite: root.attributes.infinite === '1',
+		properties: readProperties(root),
+		tilesets: [],
+		layers: [],
+	};
+
+	for (const el of root.children) {
+		switch (el.name) {
+			case 'tileset':
+				doc.tilesets.push(readAttributes(el));
+				break;
+			case 'layer':
+				doc.layers.push(readTileLayer(el));
+				break;
+			case 'objectgroup':
+				doc.layers.push(readObjectLayer(el));
+				break;
+			case 'imagelayer':
+			case 'group':
+				doc.layers.push({
+					type: el.name,
+					name: el.attributes.name,
+				});
+				break;
+		}
+	}
+
+	return doc;
+}
+
+/**
+ * Build an XML element as text.
+ *
+ * @param {string} indent
+ *   Whitespace to put before the element.
+ *
+ * @param {string} name
+ *   Element name.
+ *
+ * @param {Object} attributes
+ *   Attribute names and values.  Undefined values are left out.
+ *
+ * @param {Array|string} content
+ *   Array of lines for child elements, or a string for text content.  If
+ *   omitted, the element is self-closing.
+ *
+ * @return {Array} of lines.
+ */
+function element(indent, name, attributes, content) {
+	let open = indent + '<' + name;
+	for (const [ key, value ] of Object.entries(attributes)) {
+		if (value === undefined) continue;
+		open += ` ${key}="${escapeXML(value)}"`;
+	}
+	if (content === undefined) return [ open + '/>' ];
+	if (typeof content === 'string') {
+		return [ `${open}>${content}</${name}>` ];
+	}
+	return [ open + '>', ...content, `${indent}</${name}>` ];
+}
+
+function writeProperties(indent, properties) {
+	if (!properties || !properties.length) return [];
+	return element(indent, 'properties', {},
+		properties.flatMap(p => element(indent + ' ', 'property', {
+			name: p.name,
+			type: (p.type === 'string') ? undefined : p.type,
+			value: p.value,
+		}))
+	);
+}
+
+/**
+ * Convert the structure used by .tmj files into TMX XML.
+ */
+function tiledToTMX(doc) {
+	let lines = [];
+
+	lines.push(...writeProperties(' ', doc.properties));
+
+	for (const ts of doc.tilesets) {
+		lines.push(...element(' ', 'tileset', {
+			firstgid: ts.firstgid,
+			name: ts.name,
+			tilewidth: ts.tilewidth,
+			tileheight: ts.tileheight,
+			tilecount: ts.tilecount,
+			columns: ts.columns,
+		}, element('  ', 'image', {
+			source: ts.image,
+			width: ts.imagewidth,
+			height: ts.imageheight,
+		})));
+	}
+
+	for (const layer of doc.layers) {
+		const common = {
+			id: layer.id,
+			name: layer.name,
+		};
+		const offset = {
+			offsetx: layer.offsetx,
+			offsety: layer.offsety,
+		};
+
+		if (layer.type === 'tilelayer') {
+			// Write the tiles in the same layout as Tiled, one row per line.
+			let rows = [];
+			for (let y = 0; y < layer.height; y++) {
+				rows.push(layer.data.slice(y * layer.width, (y + 1) * layer.width).join(','));
+			}
+			lines.push(...element(' ', 'layer', {
+				...common,
+				width: layer.width,
+				height: layer.height,
+				...offset,
+			}, [
+				...writeProperties('  ', layer.properties),
+				...element('  ', 'data', { encoding: 'csv' },
+					'\n' + rows.join(',\n') + '\n'),
+			]));
+
+		} else if (layer.type === 'objectgroup') {
+			let content = writeProperties('  ', layer.properties);
+			for (const obj of layer.objects) {
+				let children = writeProperties('   ', obj.properties);
+				if (obj.point) {
+					children.push(...element('   ', 'point', {}));
+				}
+				if (obj.polyline) {
+					children.push(...element('   ', 'polyline', {
+						points: obj.polyline.map(pt => `${pt.x},${pt.y}`).join(' '),
+					}));
+				}
+				content.push(...element('  ', 'object', {
+					id: obj.id,
+					name: obj.name,
+					x: obj.x,
+					y: obj.y,
+					width: obj.width || undefined,
+					height: obj.height || undefined,
+				}, children.length ? children : undefined));
+			}
+			lines.push(...element(' ', 'objectgroup', {
+				...common,
+				...offset,
+			}, content));
+		}
+	}
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		...element('', 'map', {
+			version: doc.version,
+			orientation: doc.orientation,
+			renderorder: doc.renderorder,
+			width: doc.width,
+			height: doc.height,
+			tilewidth: doc.tilewidth,
+			tileheight: doc.tileheight,
+			infinite: doc.infinite ? 1 : 0,
+			nextlayerid: doc.nextlayerid,
+			nextobjectid: doc.nextobjectid,
+		}, lines),
+	].join('\n') + '\n';
+}
+
+export default class Map_Tiled_TMX extends MapHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Tiled XML map',
+			games: [],
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		// Only look at the start of the file, after any XML declaration.
+		const start = new TextDecoder().decode(content.slice(0, 512));
+		if (!/^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*<map[\s>]/.test(start)) {
+			return {
+				valid: false,
+				reason: 'Content does not start with a <map> XML element.',
+			};
+		}
+
+		return {
+			valid: true,
+			reason: 'Content starts with a <map> XML element.',
+		};
+	}
+
+	static checkLimits(map) {
+		let issues = super.checkLimits(map);
+		issues.push(...checkTiledLimits(map));
+		return issues;
+	}
+
+	/**
+	 * Create a new blank map.
+	 *
+	 * @param {Object} options
+	 *   Same as `map-json`.
+	 */
+	static create(options = {}) {
+		return createBlankMap(options);
+	}
+
+	static parse({main: content}) {
+		const root = parseXML(new TextDecoder().decode(content));
+		return mapFromTiled(tmxToTiled(root));
+	}
+
+	static generate(map) {
+		return {
+			main: new TextEncoder().encode(tiledToTMX(mapToTiled(map))),
+		};
+	}
+}
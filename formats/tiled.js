@@ -0,0 +1,533 @@
+/*
+ * Shared code for the Tiled map editor's TMX and TMJ formats.
+ *
+ * Both formats hold the same information, so maps are converted to and from
+ * an object laid out like a TMJ file, and the TMX handler only has to convert
+ * between that object and XML.
+ *
+ * The formats are documented at https://doc.mapeditor.org/en/stable/reference/
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('tiled');
+
+import {
+	Map2D,
+	Map2D_Layer_List,
+	Map2D_Layer_Path,
+	Map2D_Layer_Tiled,
+} from '../interface/index.js';
+import {
+	createSourceMap,
+	replaceLayers,
+} from './interchange.js';
+import { findSourceHandler } from '../util/source.js';
+
+// Version of the Tiled file format written.
+export const TILED_VERSION = '1.10';
+
+// Number of tiles across each tileset image.
+const TILED_TILESET_COLUMNS = 16;
+
+// Tile size to use if the map has no tiled layers.
+const TILED_DEFAULT_TILE_SIZE = 8;
+
+// Bits in a Tiled global tile ID used for flipping the tile.
+const TILED_GID_FLAGS = 0xF0000000;
+
+// Prefixes on the custom property names used to store our own values.
+const PROP_GAMEMAP = 'gamemap:';
+const PROP_METADATA = 'metadata:';
+const PROP_ATTRIBUTE = 'attribute:';
+const PROP_JSON = 'json:';
+
+/**
+ * Convert a value into a Tiled custom property.
+ *
+ * Values that aren't one of Tiled's types, such as arrays, are stored as JSON
+ * text in a string property with `json:` on the front of the name.
+ */
+function toProperty(name, value) {
+	if (typeof value === 'boolean') {
+		return { name, type: 'bool', value };
+	}
+	if (Number.isInteger(value)) {
+		return { name, type: 'int', value };
+	}
+	if (typeof value === 'number') {
+		return { name, type: 'float', value };
+	}
+	if (typeof value === 'string') {
+		return { name, type: 'string', value };
+	}
+	return {
+		name: PROP_JSON + name,
+		type: 'string',
+		value: JSON.stringify(value),
+	};
+}
+
+/**
+ * Convert a list of Tiled custom properties into an object.
+ *
+ * Values read from TMX files are strings, so they are converted based on the
+ * property type.
+ */
+function fromProperties(properties) {
+	let out = {};
+	for (const prop of properties || []) {
+		let { name, value } = prop;
+		if (name.startsWith(PROP_JSON)) {
+			out[name.substr(PROP_JSON.length)] = JSON.parse(value);
+			continue;
+		}
+		switch (prop.type) {
+			case 'bool':
+				value = (value === true) || (value === 'true');
+				break;
+			case 'int':
+			case 'float':
+			case 'object':
+				value = Number(value);
+				break;
+			default:
+				value = String(value);
+				break;
+		}
+		out[name] = value;
+	}
+	return out;
+}
+
+/**
+ * Split our own properties out from the rest.
+ *
+ * @return {Object} with one object per prefix (`gamemap`, `metadata` and
+ *   `attribute`) containing the properties with that prefix removed, and
+ *   `other` for properties without a prefix.
+ */
+function splitProperties(properties) {
+	let out = {
+		gamemap: {},
+		metadata: {},
+		attribute: {},
+		other: {},
+	};
+	for (const [ name, value ] of Object.entries(fromProperties(properties))) {
+		if (name.startsWith(PROP_GAMEMAP)) {
+			out.gamemap[name.substr(PROP_GAMEMAP.length)] = value;
+		} else if (name.startsWith(PROP_METADATA)) {
+			out.metadata[name.substr(PROP_METADATA.length)] = value;
+		} else if (name.startsWith(PROP_ATTRIBUTE)) {
+			out.attribute[name.substr(PROP_ATTRIBUTE.length)] = value;
+		} else {
+			out.other[name] = value;
+		}
+	}
+	return out;
+}
+
+/**
+ * Find any problems storing a map in a Tiled file.
+ *
+ * @return {Array} of strings describing each problem.
+ */
+export function checkTiledLimits(map) {
+	let issues = [];
+	if (!(map instanceof Map2D)) {
+		issues.push('Only 2D maps can be stored in Tiled files.');
+		return issues;
+	}
+	for (const layer of map.layers) {
+		if (layer instanceof Map2D_Layer_Tiled) {
+			// Tiled can only store tile numbers, not arbitrary codes.
+			const bad = layer.tiles.flat().find(code => (
+				(code !== undefined)
+				&& (!Number.isInteger(code) || (code < 0) || (code >= TILED_GID_FLAGS))
+			));
+			if (bad !== undefined) {
+				issues.push(`The "${layer.title}" layer contains the tile code `
+					+ `${JSON.stringify(bad)}, but Tiled can only store tile codes that `
+					+ `are positive integers.`);
+			}
+		} else if (
+			!(layer instanceof Map2D_Layer_List)
+			&& !(layer instanceof Map2D_Layer_Path)
+		) {
+			issues.push(`The "${layer.title}" layer is of type "${layer.type}", `
+				+ `which cannot be stored in Tiled files.`);
+		}
+	}
+	return issues;
+}
+
+/**
+ * Convert a map into an object laid out like a Tiled TMJ file.
+ *
+ * Each tiled layer gets its own tileset, with tile codes stored as the tile's
+ * index in the tileset.  The tilesets refer to an image named after the layer
+ * (e.g. `background.png`) with 16 tiles across, which can be replaced in
+ * Tiled with the real tileset image.
+ *
+ * List layers become object layers, with each item a point object named after
+ * its code, or a rectangle if the item has a size.  Path layers become object
+ * layers of polylines.  Map attributes, map metadata and item properties
+ * become custom properties.
+ */
+export function mapToTiled(map) {
+	const handler = findSourceHandler(map);
+	const firstTiled = map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+	const tileW = firstTiled ? firstTiled.tileW : TILED_DEFAULT_TILE_SIZE;
+	const tileH = firstTiled ? firstTiled.tileH : TILED_DEFAULT_TILE_SIZE;
+	const size = map.getSize();
+
+	let doc = {
+		type: 'map',
+		version: TILED_VERSION,
+		orientation: 'orthogonal',
+		renderorder: 'right-down',
+		width: firstTiled ? firstTiled.layerW : Math.max(1, Math.ceil(size.x / tileW)),
+		height: firstTiled ? firstTiled.layerH : Math.max(1, Math.ceil(size.y / tileH)),
+		tilewidth: tileW,
+		tileheight: tileH,
+		infinite: false,
+		nextlayerid: map.layers.length + 1,
+		nextobjectid: 1,
+		properties: [
+			toProperty(PROP_GAMEMAP + 'source', handler ? handler.metadata().id : ''),
+		],
+		tilesets: [],
+		layers: [],
+	};
+	if (handler) {
+		doc.properties.push(
+			toProperty(PROP_GAMEMAP + 'sourceOptions', handler.createOptions(map))
+		);
+	}
+
+	for (const [ id, attr ] of Object.entries(map.attributes)) {
+		if (attr.value === undefined) continue;
+		doc.properties.push(toProperty(id, attr.value));
+	}
+	for (const [ key, value ] of Object.entries(map.metadata || {})) {
+		if (value === undefined) continue;
+		doc.properties.push(toProperty(PROP_METADATA + key, value));
+	}
+
+	let nextGid = 1;
+	map.layers.forEach((layer, index) => {
+		let out = {
+			id: index + 1,
+			name: layer.title,
+			x: 0,
+			y: 0,
+			opacity: 1,
+			visible: true,
+		};
+		const offsetX = layer.limits.offsetX || 0;
+		const offsetY = layer.limits.offsetY || 0;
+		if (offsetX) out.offsetx = offsetX;
+		if (offsetY) out.offsety = offsetY;
+
+		if (layer instanceof Map2D_Layer_Tiled) {
+			const codes = layer.tiles.flat().filter(c => c !== undefined);
+			const maxCode = codes.reduce((a, b) => Math.max(a, b), 0);
+			const rows = Math.ceil((maxCode + 1) / TILED_TILESET_COLUMNS);
+			const tileset = {
+				firstgid: nextGid,
+				name: layer.title,
+				tilewidth: layer.tileW,
+				tileheight: layer.tileH,
+				tilecount: rows * TILED_TILESET_COLUMNS,
+				columns: TILED_TILESET_COLUMNS,
+				image: layer.title.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.png',
+				imagewidth: TILED_TILESET_COLUMNS * layer.tileW,
+				imageheight: rows * layer.tileH,
+				margin: 0,
+				spacing: 0,
+			};
+			doc.tilesets.push(tileset);
+			nextGid += tileset.tilecount;
+
+			out.type = 'tilelayer';
+			out.width = layer.layerW;
+			out.height = layer.layerH;
+			out.data = layer.tiles.flat().map(
+				code => (code === undefined) ? 0 : (code + tileset.firstgid)
+			);
+
+		} else if (layer instanceof Map2D_Layer_List) {
+			out.type = 'objectgroup';
+			out.draworder = 'index';
+			out.objects = layer.items.map(item => {
+				let obj = {
+					id: doc.nextobjectid++,
+					name: String(item.code),
+					type: '',
+					x: item.x,
+					y: item.y,
+					width: item.width || 0,
+					height: item.height || 0,
+					rotation: 0,
+					visible: true,
+				};
+				if (!item.width && !item.height) obj.point = true;
+
+				let properties = [
+					toProperty(PROP_GAMEMAP + 'code', item.code),
+				];
+				for (const [ key, value ] of Object.entries(layer.getItemProperties(item))) {
+					if ((key === 'width') || (key === 'height')) continue;
+					if (value === undefined) continue;
+					properties.push(toProperty(key, value));
+				}
+				for (const [ id, value ] of Object.entries(item.attributeValues || {})) {
+					if (value === undefined) continue;
+					properties.push(toProperty(PROP_ATTRIBUTE + id, value));
+				}
+				obj.properties = properties;
+				return obj;
+			});
+
+		} else if (layer instanceof Map2D_Layer_Path) {
+			out.type = 'objectgroup';
+			out.draworder = 'index';
+			out.properties = [
+				toProperty(PROP_GAMEMAP + 'type', layer.type),
+				toProperty(PROP_GAMEMAP + 'relative', layer.relative),
+			];
+			out.objects = layer.paths.map((path, index) => ({
+				id: doc.nextobjectid++,
+				name: `Path ${index}`,
+				type: '',
+				x: 0,
+				y: 0,
+				width: 0,
+				height: 0,
+				rotation: 0,
+				visible: true,
+				polyline: path.map(pt => ({
+					x: pt.x,
+					y: pt.y,
+				})),
+			}));
+
+		} else {
+			throw new Error(`Layers of type "${layer.type}" cannot be stored in `
+				+ `Tiled files.`);
+		}
+
+		doc.layers.push(out);
+	});
+
+	return doc;
+}
+
+/**
+ * Decode the tile numbers in a layer's `data` field.
+ *
+ * @param {Array|string} data
+ *   Array of numbers, or a string of comma-separated numbers or base64 data.
+ *
+ * @param {string} encoding
+ *   `csv`, `base64` or undefined for an array.
+ *
+ * @param {string} compression
+ *   Compression used for base64 data.
+ *
+ * @return {Array} of global tile IDs.
+ */
+export function decodeLayerData(data, encoding, compression) {
+	if (Array.isArray(data)) return data;
+
+	if (encoding === 'csv') {
+		return data.split(',').map(v => v.trim()).filter(v => v.length).map(Number);
+	}
+
+	if (encoding === 'base64') {
+		if (compression) {
+			throw new Error(`Tile layers compressed with ${compression} are not `
+				+ `supported.  Please change the tile layer format to CSV or `
+				+ `uncompressed Base64 in Tiled's map properties.`);
+		}
+		const bin = atob(data.trim());
+		let gids = [];
+		for (let i = 0; i + 3 < bin.length; i += 4) {
+			gids.push((
+				bin.charCodeAt(i)
+				| (bin.charCodeAt(i + 1) << 8)
+				| (bin.charCodeAt(i + 2) << 16)
+				| (bin.charCodeAt(i + 3) << 24)
+			) >>> 0);
+		}
+		return gids;
+	}
+
+	throw new Error(`Unsupported tile layer encoding "${encoding}".`);
+}
+
+/**
+ * Copy one Tiled layer into a map layer.
+ */
+function fillLayer(layer, entry, doc) {
+	const tl = entry.tiledLayer;
+
+	switch (entry.type) {
+		case '2d.tiled': {
+			// Use the tileset each tile comes from to work out its code.
+			const firstGids = doc.tilesets.map(ts => ts.firstgid).sort((a, b) => b - a);
+			const gids = decodeLayerData(tl.data, tl.encoding, tl.compression);
+			let tiles = [];
+			for (let y = 0; y < tl.height; y++) {
+				let row = [];
+				for (let x = 0; x < tl.width; x++) {
+					let gid = gids[y * tl.width + x] || 0;
+					if (gid & TILED_GID_FLAGS) {
+						debug(`Ignoring flip flags on tile at (${x},${y}) in "${tl.name}"`);
+						gid = (gid & ~TILED_GID_FLAGS) >>> 0;
+					}
+					if (gid === 0) {
+						row.push(undefined);
+					} else {
+						const firstGid = firstGids.find(f => f <= gid) || 1;
+						row.push(gid - firstGid);
+					}
+				}
+				tiles.push(row);
+			}
+			layer.layerW = tl.width;
+			layer.layerH = tl.height;
+			layer.tileW = layer.tileW || doc.tilewidth;
+			layer.tileH = layer.tileH || doc.tileheight;
+			layer.tiles = tiles;
+			break;
+		}
+
+		case '2d.list':
+			layer.items = (tl.objects || []).map(obj => {
+				const props = splitProperties(obj.properties);
+				let code = props.gamemap.code;
+				if (code === undefined) {
+					// New objects added in Tiled only have a name.
+					code = /^-?[0-9]+$/.test(obj.name) ? parseInt(obj.name, 10) : obj.name;
+				}
+				let item = layer.createItem(code);
+				Object.assign(item, props.other);
+				item.x = Math.round(obj.x);
+				item.y = Math.round(obj.y);
+				if (!obj.point && (obj.width || obj.height)) {
+					item.width = Math.round(obj.width);
+					item.height = Math.round(obj.height);
+				}
+				if (Object.keys(props.attribute).length) {
+					item.attributeValues = props.attribute;
+				}
+				return item;
+			});
+			break;
+
+		case '2d.path':
+			layer.relative = !!entry.props.gamemap.relative;
+			layer.paths = (tl.objects || []).filter(obj => obj.polyline).map(
+				obj => obj.polyline.map(pt => ({
+					x: Math.round(obj.x + pt.x),
+					y: Math.round(obj.y + pt.y),
+				}))
+			);
+			break;
+	}
+
+	// Layers can be moved by a number of pixels in Tiled, as well as by
+	// mapToTiled() for layers with an offset.
+	layer.limits.offsetX = Math.round(tl.offsetx || 0);
+	layer.limits.offsetY = Math.round(tl.offsety || 0);
+}
+
+/**
+ * Convert an object laid out like a Tiled TMJ file into a map.
+ *
+ * If the file was written by `mapToTiled()`, the map will be in the same
+ * format it was originally, so it can be saved in that format again.
+ * Otherwise a plain `Map2D` is returned, with any map properties added as
+ * attributes.
+ */
+export function mapFromTiled(doc) {
+	if (doc.orientation !== 'orthogonal') {
+		throw new Error(`Only orthogonal Tiled maps are supported, this one is `
+			+ `${doc.orientation}.`);
+	}
+	if (doc.infinite) {
+		throw new Error('Infinite Tiled maps are not supported.  Please untick '
+			+ '"Infinite" in the map properties.');
+	}
+	doc.tilesets = doc.tilesets || [];
+
+	const props = splitProperties(doc.properties);
+	let map = createSourceMap(props.gamemap.source || null,
+		props.gamemap.sourceOptions);
+
+	for (let [ id, value ] of Object.entries(props.other)) {
+		if (!map.attributes[id]) {
+			if (props.gamemap.source) {
+				throw new Error(`Map property "${id}" is not an attribute supported `
+					+ `by the "${props.gamemap.source}" format.`);
+			}
+			// Plain Tiled maps have no attribute definitions, so make them up.
+			map.attributes[id] = {
+				title: id,
+				type: (typeof value === 'boolean') ? 'bool'
+					: Number.isInteger(value) ? 'int' : 'string',
+			};
+			if (typeof value === 'number' && !Number.isInteger(value)) {
+				value = String(value);
+			}
+		}
+		map.attributes[id].value = value;
+	}
+	map.metadata = props.metadata;
+
+	let entries = [];
+	for (const tl of doc.layers || []) {
+		const layerProps = splitProperties(tl.properties);
+		let type;
+		switch (tl.type) {
+			case 'tilelayer':
+				if (tl.chunks) {
+					throw new Error('Infinite Tiled maps are not supported.');
+				}
+				type = '2d.tiled';
+				break;
+			case 'objectgroup':
+				type = layerProps.gamemap.type || '2d.list';
+				break;
+			default:
+				throw new Error(`Tiled layers of type "${tl.type}" (in layer `
+					+ `"${tl.name}") are not supported.`);
+		}
+		entries.push({
+			type,
+			title: tl.name,
+			props: layerProps,
+			tiledLayer: tl,
+		});
+	}
+
+	replaceLayers(map, entries, (layer, entry) => fillLayer(layer, entry, doc));
+
+	return map;
+}
@@ -24,6 +24,15 @@ import * as formats from './formats/index.js';
 
 export * from './formats/index.js';
 export * from './interface/index.js';
+export * from './util/convert.js';
+export * from './util/diff.js';
+export * from './util/display.js';
+export * from './util/patch.js';
+export * from './util/render.js';
+export * from './util/search.js';
+export * from './util/source.js';
+export * from './util/stats.js';
+export * from './util/text.js';
 
 /**
  * Get a list of all the available handlers.
@@ -35,3 +44,51 @@ export * from './interface/index.js';
 export const all = [
 	...Object.values(formats),
 ];
+
+/**
+ * Get a handler by examining the file content.
+ *
+ * @param {Uint8Array} content
+ *   Map file content.
+ *
+ * @param {string} filename
+ *   Filename where `content` was read from.  This is required to identify
+ *   formats where the filename extension is significant.  This can be
+ *   omitted for less accurate autodetection.
+ *
+ * @return {Array<MapHandler>} from formats/*.js that can handle the
+ *   format, or an empty array if the format could not be identified.
+ *
+ * @example
+ * import { findHandler } from '@camoto/gamemap';
+ * const content = fs.readFileSync('level01.dav');
+ * const handlers = findHandler(content, 'level01.dav');
+ * if (handlers.length === 0) {
+ *   console.log('Unable to identify file format.');
+ *   return;
+ * }
+ * const md = handlers[0].metadata();
+ * console.log('File is in ' + md.id + ' format');
+ */
+export function findHandler(content, filename) {
+	if (content.length === undefined) {
+		throw new Error('content parameter must be Uint8Array or similar.');
+	}
+	let handlers = [];
+	for (const x of all) {
+		const metadata = x.metadata();
+		const confidence = x.identify(content, filename);
+		if (confidence.valid === true) {
+			debug(`Matched ${metadata.id}: ${confidence.reason}`);
+			handlers = [x];
+			break;
+		} else if (confidence.valid === undefined) {
+			debug(`Possible match for ${metadata.id}: ${confidence.reason}`);
+			handlers.push(x);
+			// keep going to look for a better match
+		} else {
+			debug(`Not ${metadata.id}: ${confidence.reason}`);
+		}
+	}
+	return handlers;
+}
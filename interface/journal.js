@@ -0,0 +1,212 @@
+/*
+ * Record of changes made to a map, for undo and redo.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * List of changes made to a map, grouped into transactions that can be undone
+ * and redone as a unit.
+ *
+ * Each map has one of these in `Map.journal`.  The editing functions on the
+ * map and its layers record each change here as they make it, so callers only
+ * need to wrap their edits in `Map.beginTransaction()` and
+ * `Map.endTransaction()` to give them a name the user will recognise, like
+ * "Flood fill" or "Delete item".
+ *
+ * Changes made outside of a transaction are still recorded, but each becomes
+ * its own transaction.
+ */
+export default class Journal
+{
+	constructor() {
+		/**
+		 * Transactions that can be undone, most recent last.
+		 *
+		 * Each entry is an object with a `title` property, and a `changes`
+		 * property which is the list of changes in the order they were made.
+		 * Each change is an object with a `title`, and `undo()` and `redo()`
+		 * functions that reverse and reapply the change.
+		 */
+		this.undoStack = [];
+
+		/**
+		 * Transactions that have been undone and can be redone, most recently
+		 * undone last.
+		 */
+		this.redoStack = [];
+
+		/**
+		 * Transaction currently being recorded, or `null` if none is open.
+		 */
+		this.current = null;
+
+		/**
+		 * Set while changes are being undone or redone, so that the editing
+		 * functions don't record the reversal as a new change.
+		 */
+		this.replaying = false;
+	}
+
+	/**
+	 * Start grouping changes together.
+	 *
+	 * @param {string} title
+	 *   User-friendly name for the transaction, e.g. "Flood fill".
+	 */
+	begin(title) {
+		if (this.current) {
+			throw new Error(`Cannot start transaction "${title}" as transaction `
+				+ `"${this.current.title}" is still open.`);
+		}
+		this.current = {
+			title,
+			changes: [],
+		};
+	}
+
+	/**
+	 * Finish the current transaction so it can be undone.
+	 *
+	 * Transactions that did not change anything are discarded.
+	 *
+	 * @return {Object} the transaction that was closed.
+	 */
+	end() {
+		const tx = this.current;
+		if (!tx) {
+			throw new Error('There is no open transaction to end.');
+		}
+		this.current = null;
+		if (tx.changes.length) {
+			this.undoStack.push(tx);
+			this.redoStack = [];
+		}
+		return tx;
+	}
+
+	/**
+	 * Undo any changes made so far in the current transaction and close it.
+	 *
+	 * This is for abandoning an edit part way through, such as when one step of
+	 * a multi-step operation fails.
+	 */
+	cancel() {
+		const tx = this.current;
+		if (!tx) {
+			throw new Error('There is no open transaction to cancel.');
+		}
+		this.current = null;
+		this.replay(() => {
+			for (let i = tx.changes.length - 1; i >= 0; i--) {
+				tx.changes[i].undo();
+			}
+		});
+	}
+
+	/**
+	 * Add a change to the journal.
+	 *
+	 * This is called by the editing functions and does not normally need to be
+	 * called directly.
+	 *
+	 * @param {Object} change
+	 *   Object with a `title` and `undo()` and `redo()` functions.
+	 */
+	record(change) {
+		if (this.replaying) return;
+		if (this.current) {
+			this.current.changes.push(change);
+		} else {
+			this.undoStack.push({
+				title: change.title,
+				changes: [ change ],
+			});
+			this.redoStack = [];
+		}
+	}
+
+	canUndo() {
+		return !this.current && (this.undoStack.length > 0);
+	}
+
+	canRedo() {
+		return !this.current && (this.redoStack.length > 0);
+	}
+
+	/**
+	 * Reverse the most recent transaction.
+	 *
+	 * @return {string} title of the transaction undone, or `null` if there was
+	 *   nothing to undo.
+	 */
+	undo() {
+		if (this.current) {
+			throw new Error('Cannot undo while a transaction is open.');
+		}
+		const tx = this.undoStack.pop();
+		if (!tx) return null;
+		this.replay(() => {
+			for (let i = tx.changes.length - 1; i >= 0; i--) {
+				tx.changes[i].undo();
+			}
+		});
+		this.redoStack.push(tx);
+		return tx.title;
+	}
+
+	/**
+	 * Reapply the most recently undone transaction.
+	 *
+	 * @return {string} title of the transaction redone, or `null` if there was
+	 *   nothing to redo.
+	 */
+	redo() {
+		if (this.current) {
+			throw new Error('Cannot redo while a transaction is open.');
+		}
+		const tx = this.redoStack.pop();
+		if (!tx) return null;
+		this.replay(() => {
+			for (const change of tx.changes) {
+				change.redo();
+			}
+		});
+		this.undoStack.push(tx);
+		return tx.title;
+	}
+
+	/**
+	 * Discard all recorded transactions.
+	 */
+	clear() {
+		this.undoStack = [];
+		this.redoStack = [];
+		this.current = null;
+	}
+
+	/**
+	 * Run a function with recording suspended.
+	 */
+	replay(fn) {
+		this.replaying = true;
+		try {
+			fn();
+		} finally {
+			this.replaying = false;
+		}
+	}
+}
@@ -17,15 +17,60 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+import EventEmitter from '../util/event-emitter.js';
+import Journal from './journal.js';
+
+/**
+ * Change an attribute value and let any listeners know.
+ */
+function writeAttribute(map, id, value) {
+	const attr = map.attributes[id];
+	const previous = attr.value;
+	attr.value = value;
+	map.emit('attribute', {
+		id,
+		value,
+		previous,
+	});
+}
+
+/**
+ * Change an item's attribute value and let any listeners know.
+ */
+function writeItemAttribute(map, item, id, value) {
+	const previous = item.attributeValues[id];
+	item.attributeValues[id] = value;
+	map.emit('itemAttribute', {
+		item,
+		id,
+		value,
+		previous,
+	});
+}
+
 /**
  * Base class describing the interface to a map.
  *
  * Instances of this class are returned when reading maps, and are passed
  * to the format handlers to produce new map files.
+ *
+ * Listeners can be added with `on()` to find out when the map changes.  Maps
+ * emit these events:
+ *
+ *  - `attribute`: A map attribute value was changed.  The event has `id`,
+ *    `value` and `previous` properties.
+ *
+ *  - `itemAttribute`: An attribute value on one of the map's items was
+ *    changed.  The event has the same properties as `attribute`, plus `item`.
+ *    Items with a `display` function should have it called again.
+ *
+ * Subclasses and layers add their own events too.
  */
-export default class Map
+export default class Map extends EventEmitter
 {
 	constructor() {
+		super();
+
 		/**
 		 * Any metadata describing the map goes here.
 		 *
@@ -136,5 +181,239 @@ export default class Map
 		 *  - gamegraphicsjs `Palette` instance: custom palette to use.
 		 */
 		this.palette = null;
+
+		/**
+		 * Record of changes made through the editing functions, so they can be
+		 * undone.  See `beginTransaction()`.
+		 */
+		this.journal = new Journal();
+	}
+
+	/**
+	 * Check whether a value is acceptable for an attribute.
+	 *
+	 * @param {Object} attr
+	 *   Attribute definition, from `this.attributes` or `this.itemAttributes`.
+	 *
+	 * @param value
+	 *   Value to check, in the form described for each attribute type above.
+	 *
+	 * @return {string} describing the problem, or `null` if the value is
+	 *   valid.
+	 */
+	static checkAttributeValue(attr, value) {
+		const presetCount = (attr.presets || []).length;
+		const isPreset = v => Number.isInteger(v) && (v >= 0) && (v < presetCount);
+
+		switch (attr.type) {
+			case 'preset-single':
+				if (!isPreset(value)) {
+					return `Value must be a preset index from 0 to ${presetCount - 1}.`;
+				}
+				break;
+
+			case 'preset-multiple0':
+			case 'preset-multiple1':
+				if (!Array.isArray(value) || !value.every(isPreset)) {
+					return `Value must be an array of preset indices from 0 to `
+						+ `${presetCount - 1}.`;
+				}
+				if (new Set(value).size !== value.length) {
+					return `The same preset cannot be selected more than once.`;
+				}
+				if ((attr.type === 'preset-multiple1') && (value.length === 0)) {
+					return `At least one preset must be selected.`;
+				}
+				break;
+
+			case 'string':
+				if (typeof value !== 'string') {
+					return `Value must be a string.`;
+				}
+				if (value.length < (attr.rangeMin || 0)) {
+					return `Value must be at least ${attr.rangeMin} characters long.`;
+				}
+				if (attr.rangeMax && (value.length > attr.rangeMax)) {
+					return `Value must be no more than ${attr.rangeMax} characters long.`;
+				}
+				break;
+
+			case 'int':
+				if (!Number.isInteger(value)) {
+					return `Value must be an integer.`;
+				}
+				if (
+					((attr.rangeMin !== undefined) && (value < attr.rangeMin))
+					|| ((attr.rangeMax !== undefined) && (value > attr.rangeMax))
+				) {
+					return `Value ${value} is outside the permitted range of `
+						+ `${attr.rangeMin} to ${attr.rangeMax}.`;
+				}
+				break;
+
+			case 'bool':
+				if (typeof value !== 'boolean') {
+					return `Value must be true or false.`;
+				}
+				break;
+
+			default:
+				return `Unknown attribute type "${attr.type}".`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check every attribute value in the map against its definition.
+	 *
+	 * @return {Array} of strings describing any invalid values.  An empty array
+	 *   means all values are valid.
+	 */
+	validateAttributes() {
+		let issues = [];
+		for (const [ id, attr ] of Object.entries(this.attributes)) {
+			const problem = this.constructor.checkAttributeValue(attr, attr.value);
+			if (problem) {
+				issues.push(`Map attribute "${attr.title || id}": ${problem}`);
+			}
+		}
+		return issues;
+	}
+
+	/**
+	 * Check the attribute values of a single item against `itemAttributes`.
+	 *
+	 * @param {Item} item
+	 *   Item to check.
+	 *
+	 * @return {Array} of strings describing any invalid values.
+	 */
+	validateItemAttributes(item) {
+		let issues = [];
+		for (const [ id, value ] of Object.entries(item.attributeValues || {})) {
+			const attr = this.itemAttributes[id];
+			if (!attr) {
+				issues.push(`Item attribute "${id}" is not defined by this map.`);
+				continue;
+			}
+			// A null value means the attribute is available but not set.
+			if (value === null) continue;
+			const problem = this.constructor.checkAttributeValue(attr, value);
+			if (problem) {
+				issues.push(`Item attribute "${attr.title || id}": ${problem}`);
+			}
+		}
+		return issues;
+	}
+
+	/**
+	 * Change the value of one of the map's attributes.
+	 *
+	 * @param {string} id
+	 *   Key into `this.attributes`.
+	 *
+	 * @param value
+	 *   New value for the attribute.  An exception is thrown if it is not valid
+	 *   for the attribute's type and range.
+	 */
+	setAttribute(id, value) {
+		const attr = this.attributes[id];
+		if (!attr) {
+			throw new Error(`Attribute "${id}" does not exist in this map.`);
+		}
+		const problem = this.constructor.checkAttributeValue(attr, value);
+		if (problem) {
+			throw new Error(`Cannot set attribute "${id}": ${problem}`);
+		}
+		const previous = attr.value;
+		if (previous === value) return;
+
+		writeAttribute(this, id, value);
+		this.journal.record({
+			title: `Change ${attr.title || id}`,
+			undo: () => writeAttribute(this, id, previous),
+			redo: () => writeAttribute(this, id, value),
+		});
+	}
+
+	/**
+	 * Change the value of one of an item's attributes.
+	 *
+	 * @param {Item} item
+	 *   Item to modify.
+	 *
+	 * @param {string} id
+	 *   Key into `this.itemAttributes`, which must also be present in
+	 *   `item.attributeValues` for the attribute to be available on this item.
+	 *
+	 * @param value
+	 *   New value for the attribute, or `null` to unset it.  An exception is
+	 *   thrown if it is not valid for the attribute's type and range.
+	 */
+	setItemAttribute(item, id, value) {
+		const attr = this.itemAttributes[id];
+		if (!attr || !item.attributeValues || !(id in item.attributeValues)) {
+			throw new Error(`Attribute "${id}" is not available for this item.`);
+		}
+		if (value !== null) {
+			const problem = this.constructor.checkAttributeValue(attr, value);
+			if (problem) {
+				throw new Error(`Cannot set item attribute "${id}": ${problem}`);
+			}
+		}
+		const previous = item.attributeValues[id];
+		if (previous === value) return;
+
+		writeItemAttribute(this, item, id, value);
+		this.journal.record({
+			title: `Change ${attr.title || id}`,
+			undo: () => writeItemAttribute(this, item, id, previous),
+			redo: () => writeItemAttribute(this, item, id, value),
+		});
+	}
+
+	/**
+	 * Group the following changes so they can be undone together.
+	 *
+	 * @param {string} title
+	 *   User-friendly name for the change, e.g. "Flood fill".
+	 */
+	beginTransaction(title) {
+		this.journal.begin(title);
+	}
+
+	/**
+	 * Finish the group of changes started with `beginTransaction()`.
+	 */
+	endTransaction() {
+		return this.journal.end();
+	}
+
+	/**
+	 * Revert the changes made since `beginTransaction()` and forget them.
+	 */
+	cancelTransaction() {
+		this.journal.cancel();
+	}
+
+	/**
+	 * Revert the most recent transaction.
+	 *
+	 * @return {string} title of the transaction undone, or `null` if there was
+	 *   nothing to undo.
+	 */
+	undo() {
+		return this.journal.undo();
+	}
+
+	/**
+	 * Reapply the most recently undone transaction.
+	 *
+	 * @return {string} title of the transaction redone, or `null` if there was
+	 *   nothing to redo.
+	 */
+	redo() {
+		return this.journal.redo();
 	}
 }
@@ -17,13 +17,64 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+import Item_Map2D_Layer_List from './item-map2d_layer_list.js';
 import Map2D_Layer from './map2d-layer.js';
 
+/**
+ * Put an item into the list and let any listeners know.
+ */
+function insertItem(layer, index, item) {
+	layer.items.splice(index, 0, item);
+	layer.emit('items', {
+		action: 'add',
+		item,
+		index,
+	});
+}
+
+/**
+ * Take an item out of the list and let any listeners know.
+ */
+function deleteItem(layer, index) {
+	const [ item ] = layer.items.splice(index, 1);
+	layer.emit('items', {
+		action: 'remove',
+		item,
+		index,
+	});
+	return item;
+}
+
+/**
+ * Change an item's coordinates and let any listeners know.
+ */
+function placeItem(layer, item, x, y) {
+	const previous = {
+		x: item.x,
+		y: item.y,
+	};
+	item.x = x;
+	item.y = y;
+	layer.emit('items', {
+		action: 'move',
+		item,
+		index: layer.items.indexOf(item),
+		previous,
+	});
+}
+
 /**
  * Interface to a single grid-based layer within a 2D stack.
  *
  * Instances of this class are returned when reading maps, and are passed
  * to the format handlers to produce new map files.
+ *
+ * As well as the events emitted by `Map2D_Layer`, this emits:
+ *
+ *  - `items`: An item was added, moved or removed.  The event has an `action`
+ *    property set to `add`, `move` or `remove`, plus `item` and `index`
+ *    properties.  Moves also include a `previous` object with the old `x` and
+ *    `y` coordinates.
  */
 export default class Map2D_Layer_List extends Map2D_Layer
 {
@@ -56,4 +107,200 @@ export default class Map2D_Layer_List extends Map2D_Layer
 		 */
 		this.items = [];
 	}
+
+	/**
+	 * Is the given coordinate within the limits of this layer?
+	 *
+	 * @param {Number} x
+	 *   X coordinate, in pixels.
+	 *
+	 * @param {Number} y
+	 *   Y coordinate, in pixels.
+	 *
+	 * @return {boolean} `true` if an item can be placed at this coordinate.
+	 */
+	contains(x, y) {
+		const { minX, minY, maxX, maxY } = this.limits;
+		return (
+			Number.isFinite(x) && Number.isFinite(y)
+			&& (x >= minX) && ((maxX === undefined) || (x <= maxX))
+			&& (y >= minY) && ((maxY === undefined) || (y <= maxY))
+		);
+	}
+
+	/**
+	 * Create a new item suitable for this layer.
+	 *
+	 * The item is not added to the layer, so it can be positioned first and
+	 * then passed to `addItem()`.  Format handlers override this to set up any
+	 * extra properties the item needs, such as its `display` info.
+	 *
+	 * @param {object} code
+	 *   Item code, as used in the `code` property of each item.
+	 *
+	 * @return {Item_Map2D_Layer_List} new item at (0,0).
+	 */
+	createItem(code) {
+		let item = new Item_Map2D_Layer_List();
+		item.x = 0;
+		item.y = 0;
+		item.code = code;
+		return item;
+	}
+
+	/**
+	 * Get the properties of an item that need to be saved.
+	 *
+	 * Only values that differ from a new item with the same code are included,
+	 * as the rest will be filled in again by `createItem()` when it is loaded.
+	 * Values worked out by the format handler, like `display`, are never
+	 * included.  The `code`, `x`, `y` and `attributeValues` properties are left
+	 * for the caller to handle.
+	 *
+	 * @param {Item_Map2D_Layer_List} item
+	 *   Item to examine, which does not have to be in this layer yet.
+	 *
+	 * @return {Object} of property names and values.
+	 */
+	getItemProperties(item) {
+		const blank = this.createItem(item.code);
+		let out = {};
+		for (const [ key, value ] of Object.entries(item)) {
+			if ([ 'code', 'x', 'y', 'attributeValues' ].includes(key)) continue;
+			if ([ 'display', 'options' ].includes(key)) continue;
+			if (typeof value === 'function') continue;
+			if (JSON.stringify(value) === JSON.stringify(blank[key])) continue;
+			out[key] = value;
+		}
+		return out;
+	}
+
+	/**
+	 * Find an item's position in `this.items`.
+	 *
+	 * @param {Object|Number} item
+	 *   The item itself, or its index.
+	 *
+	 * @return {Number} index into `this.items`.  Throws an exception if the item
+	 *   is not in this layer.
+	 */
+	indexOfItem(item) {
+		const index = Number.isInteger(item) ? item : this.items.indexOf(item);
+		if ((index < 0) || (index >= this.items.length)) {
+			throw new Error(`Item ${item} is not in the "${this.title}" layer.`);
+		}
+		return index;
+	}
+
+	/**
+	 * Add an item to the layer.
+	 *
+	 * @param {Item_Map2D_Layer_List} item
+	 *   Item to add, with its `x` and `y` properties already set.
+	 *
+	 * @param {Number} index
+	 *   Position in `this.items` to insert the item.  Defaults to the end of
+	 *   the list.
+	 */
+	addItem(item, index = this.items.length) {
+		if (!this.contains(item.x, item.y)) {
+			throw new Error(`Item coordinate (${item.x},${item.y}) is outside the `
+				+ `limits of the "${this.title}" layer.`);
+		}
+		insertItem(this, index, item);
+
+		if (this.journal) {
+			this.journal.record({
+				title: 'Add item',
+				undo: () => deleteItem(this, index),
+				redo: () => insertItem(this, index, item),
+			});
+		}
+	}
+
+	/**
+	 * Change an item's location.
+	 *
+	 * @param {Object|Number} item
+	 *   The item to move, or its index.
+	 *
+	 * @param {Number} x
+	 *   New X coordinate, in pixels.
+	 *
+	 * @param {Number} y
+	 *   New Y coordinate, in pixels.
+	 */
+	moveItem(item, x, y) {
+		const target = this.items[this.indexOfItem(item)];
+		if (!this.contains(x, y)) {
+			throw new Error(`Item coordinate (${x},${y}) is outside the limits of `
+				+ `the "${this.title}" layer.`);
+		}
+		const oldX = target.x, oldY = target.y;
+		if ((oldX === x) && (oldY === y)) return;
+		placeItem(this, target, x, y);
+
+		if (this.journal) {
+			this.journal.record({
+				title: 'Move item',
+				undo: () => placeItem(this, target, oldX, oldY),
+				redo: () => placeItem(this, target, x, y),
+			});
+		}
+	}
+
+	/**
+	 * Remove an item from the layer.
+	 *
+	 * @param {Object|Number} item
+	 *   The item to remove, or its index.
+	 *
+	 * @return {Object} the item that was removed.
+	 */
+	removeItem(item) {
+		const index = this.indexOfItem(item);
+		const removed = deleteItem(this, index);
+
+		if (this.journal) {
+			this.journal.record({
+				title: 'Delete item',
+				undo: () => insertItem(this, index, removed),
+				redo: () => deleteItem(this, index),
+			});
+		}
+
+		return removed;
+	}
+
+	/**
+	 * Move all the items and remove any that end up outside the layer.
+	 *
+	 * See `Map2D_Layer.resize()`.  Items are kept if they are still inside both
+	 * the new layer size and the coordinate limits in `this.limits`.
+	 */
+	resize(width, height, offsetX, offsetY) {
+		let maxX = width - 1, maxY = height - 1;
+		if (this.limits.maxX !== undefined) maxX = Math.min(maxX, this.limits.maxX);
+		if (this.limits.maxY !== undefined) maxY = Math.min(maxY, this.limits.maxY);
+
+		let kept = [], removed = [];
+		for (const item of this.items) {
+			const x = item.x + offsetX;
+			const y = item.y + offsetY;
+			if (
+				(x < this.limits.minX) || (x > maxX)
+				|| (y < this.limits.minY) || (y > maxY)
+			) {
+				removed.push(item);
+				continue;
+			}
+			item.x = x;
+			item.y = y;
+			kept.push(item);
+		}
+		this.items = kept;
+		this.emit('resize', {});
+
+		return removed;
+	}
 }
@@ -0,0 +1,199 @@
+/*
+ * Layer comprised of paths, each an ordered list of points.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Map2D_Layer from './map2d-layer.js';
+
+/**
+ * Replace the points in a path and let any listeners know.
+ */
+function writePath(layer, pathIndex, points) {
+	layer.paths[pathIndex] = points;
+	layer.emit('paths', {
+		path: pathIndex,
+	});
+}
+
+/**
+ * Interface to a layer of paths, such as the tracks followed by enemies or the
+ * route taken by a warp.
+ *
+ * Instances of this class are returned when reading maps, and are passed
+ * to the format handlers to produce new map files.
+ *
+ * As well as the events emitted by `Map2D_Layer`, this emits:
+ *
+ *  - `paths`: A path was changed.  The event has a `path` property with the
+ *    index of the path in `this.paths`.
+ */
+export default class Map2D_Layer_Path extends Map2D_Layer
+{
+	constructor(n = {}) {
+		super(n);
+
+		this.type = '2d.path';
+
+		const nl = (n && n.limits) || {};
+		this.limits = {
+			...this.limits,
+
+			/**
+			 * Smallest and largest number of paths in the layer.  An undefined
+			 * maximum means no limit.
+			 */
+			minPaths: nl.minPaths || 0,
+			maxPaths: nl.maxPaths || undefined,
+
+			/**
+			 * Largest number of points in each path.  Undefined means no limit.
+			 */
+			maxPoints: nl.maxPoints || undefined,
+		};
+
+		/**
+		 * `true` if the point coordinates are relative to whatever is following
+		 * the path (such as an enemy's starting point), or `false` if they are
+		 * pixel coordinates from the top-left of the map.
+		 */
+		this.relative = n.relative || false;
+
+		/**
+		 * Array of paths.  Each path is an array of points in the order they are
+		 * visited, and each point is an object with `x` and `y` properties in
+		 * pixels.
+		 */
+		this.paths = n.paths || [];
+	}
+
+	/**
+	 * Move the points in non-relative paths along with the rest of the map.
+	 *
+	 * See `Map2D_Layer.resize()`.  Points are kept even if they end up outside
+	 * the map, as removing them would change the shape of the path.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	resize(width, height, offsetX, offsetY) {
+		if (!this.relative) {
+			this.paths = this.paths.map(path => path.map(pt => ({
+				...pt,
+				x: pt.x + offsetX,
+				y: pt.y + offsetY,
+			})));
+		}
+		this.emit('resize', {});
+		return [];
+	}
+
+	/**
+	 * Change the points in one path, recording the change in the journal.
+	 */
+	updatePath(pathIndex, title, fn) {
+		const previous = this.paths[pathIndex];
+		if (!previous) {
+			throw new Error(`Path ${pathIndex} does not exist in the `
+				+ `"${this.title}" layer.`);
+		}
+		const points = previous.slice();
+		fn(points);
+		writePath(this, pathIndex, points);
+
+		if (this.journal) {
+			this.journal.record({
+				title,
+				undo: () => writePath(this, pathIndex, previous),
+				redo: () => writePath(this, pathIndex, points),
+			});
+		}
+	}
+
+	/**
+	 * Add a point to a path.
+	 *
+	 * @param {Number} pathIndex
+	 *   Index into `this.paths`.
+	 *
+	 * @param {Number} pointIndex
+	 *   Position in the path to insert the new point.  Use the path length to
+	 *   add the point at the end.
+	 *
+	 * @param {Object} point
+	 *   Object with `x` and `y` properties.
+	 */
+	insertPoint(pathIndex, pointIndex, point) {
+		const { maxPoints } = this.limits;
+		const path = this.paths[pathIndex];
+		if (path && (maxPoints !== undefined) && (path.length >= maxPoints)) {
+			throw new Error(`Path ${pathIndex} already has the maximum of `
+				+ `${maxPoints} points.`);
+		}
+		this.updatePath(pathIndex, 'Add path point', points => {
+			points.splice(pointIndex, 0, {
+				x: point.x,
+				y: point.y,
+			});
+		});
+	}
+
+	/**
+	 * Change the location of a point in a path.
+	 *
+	 * @param {Number} pathIndex
+	 *   Index into `this.paths`.
+	 *
+	 * @param {Number} pointIndex
+	 *   Index of the point within the path.
+	 *
+	 * @param {Number} x
+	 *   New X coordinate, in pixels.
+	 *
+	 * @param {Number} y
+	 *   New Y coordinate, in pixels.
+	 */
+	movePoint(pathIndex, pointIndex, x, y) {
+		this.updatePath(pathIndex, 'Move path point', points => {
+			if (!points[pointIndex]) {
+				throw new Error(`Point ${pointIndex} does not exist in path `
+					+ `${pathIndex}.`);
+			}
+			points[pointIndex] = {
+				...points[pointIndex],
+				x,
+				y,
+			};
+		});
+	}
+
+	/**
+	 * Remove a point from a path.
+	 *
+	 * @param {Number} pathIndex
+	 *   Index into `this.paths`.
+	 *
+	 * @param {Number} pointIndex
+	 *   Index of the point within the path.
+	 */
+	removePoint(pathIndex, pointIndex) {
+		this.updatePath(pathIndex, 'Delete path point', points => {
+			if (!points[pointIndex]) {
+				throw new Error(`Point ${pointIndex} does not exist in path `
+					+ `${pathIndex}.`);
+			}
+			points.splice(pointIndex, 1);
+		});
+	}
+}
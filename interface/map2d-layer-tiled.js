@@ -19,11 +19,66 @@
 
 import Map2D_Layer from './map2d-layer.js';
 
+/**
+ * Write a list of tile changes into a layer.
+ *
+ * All the tile editing functions end up here, once the changes have been
+ * validated.
+ *
+ * @param {Map2D_Layer_Tiled} layer
+ *   Layer to modify.
+ *
+ * @param {Array} changes
+ *   List of objects with `x`, `y` and `code` properties.
+ *
+ * @return {Number} of tiles that were actually changed.
+ */
+function writeTiles(layer, changes) {
+	let previous = [];
+	let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+	for (const c of changes) {
+		const code = layer.tiles[c.y][c.x];
+		if (code === c.code) continue;
+		previous.push({x: c.x, y: c.y, code});
+		layer.tiles[c.y][c.x] = c.code;
+		x1 = Math.min(x1, c.x);
+		y1 = Math.min(y1, c.y);
+		x2 = Math.max(x2, c.x);
+		y2 = Math.max(y2, c.y);
+	}
+
+	if (previous.length) {
+		layer.emit('tiles', {
+			x: x1,
+			y: y1,
+			width: x2 - x1 + 1,
+			height: y2 - y1 + 1,
+		});
+	}
+
+	if (layer.journal && previous.length) {
+		const applied = changes.slice();
+		layer.journal.record({
+			title: 'Change tiles',
+			undo: () => writeTiles(layer, previous),
+			redo: () => writeTiles(layer, applied),
+		});
+	}
+
+	return previous.length;
+}
+
 /**
  * Interface to a single grid-based layer within a 2D stack.
  *
  * Instances of this class are returned when reading maps, and are passed
  * to the format handlers to produce new map files.
+ *
+ * As well as the events emitted by `Map2D_Layer`, this emits:
+ *
+ *  - `tiles`: One or more tiles were changed.  The event has `x`, `y`,
+ *    `width` and `height` properties giving the rectangle (in tiles) that
+ *    contains all the changed tiles.
  */
 export default class Map2D_Layer_Tiled extends Map2D_Layer
 {
@@ -79,7 +134,7 @@ export default class Map2D_Layer_Tiled extends Map2D_Layer
 		 * Typically this will be something like 8x8 or 16x16.
 		 */
 		this.tileW = n.tileW;
-		this.tileH = n.tileH
+		this.tileH = n.tileH;
 
 		/**
 		 * Size of the layer, in number of tiles.
@@ -155,6 +210,42 @@ export default class Map2D_Layer_Tiled extends Map2D_Layer
 		};
 	}
 
+	/**
+	 * Change the number of tiles in the layer.
+	 *
+	 * See `Map2D_Layer.resize()`.  The pixel values are converted into tiles,
+	 * with the layer extended to cover any partial tiles.  Any new space is
+	 * filled with blank (`undefined`) tiles.
+	 */
+	resize(width, height, offsetX, offsetY) {
+		const newW = Math.ceil(width / this.tileW);
+		const newH = Math.ceil(height / this.tileH);
+		const shiftX = Math.round(offsetX / this.tileW);
+		const shiftY = Math.round(offsetY / this.tileH);
+
+		let tiles = [];
+		for (let y = 0; y < newH; y++) {
+			let row = new Array(newW).fill(undefined);
+			const srcRow = this.tiles[y - shiftY];
+			if (srcRow) {
+				for (let x = 0; x < newW; x++) {
+					const srcX = x - shiftX;
+					if ((srcX >= 0) && (srcX < this.layerW)) {
+						row[x] = srcRow[srcX];
+					}
+				}
+			}
+			tiles.push(row);
+		}
+
+		this.tiles = tiles;
+		this.layerW = newW;
+		this.layerH = newH;
+		this.emit('resize', {});
+
+		return [];
+	}
+
 	/**
 	 * Is the given tile permitted at the specified location?
 	 *
@@ -185,4 +276,303 @@ export default class Map2D_Layer_Tiled extends Map2D_Layer
 				+ 'map layer.',
 		};
 	}
+
+	/**
+	 * List every tile code that can be placed in this layer.
+	 *
+	 * This is used for things like reporting which tiles a level does not use.
+	 * Format handlers should override this if the set of codes is known.
+	 *
+	 * @return {Array} of tile codes, or `null` if the format does not limit the
+	 *   codes to a known set.
+	 */
+	getAvailableCodes() {
+		return null;
+	}
+
+	/**
+	 * Count the places in the layer that can hold a tile.
+	 *
+	 * This is normally every cell in the layer, but formats that store a fixed
+	 * number of tiles may not be able to use all of them.  Format handlers
+	 * should override this in that case.
+	 *
+	 * @return {Number} of cells that can hold a tile.
+	 */
+	getCapacity() {
+		return this.layerW * this.layerH;
+	}
+
+	/**
+	 * Is the given coordinate inside the layer?
+	 *
+	 * @param {Number} x
+	 *   X coordinate, in tiles.
+	 *
+	 * @param {Number} y
+	 *   Y coordinate, in tiles.
+	 *
+	 * @return {boolean} `true` if the coordinate is within `layerW` and
+	 *   `layerH`.
+	 */
+	contains(x, y) {
+		return (
+			Number.isInteger(x) && Number.isInteger(y)
+			&& (x >= 0) && (x < this.layerW)
+			&& (y >= 0) && (y < this.layerH)
+		);
+	}
+
+	/**
+	 * Make sure a list of tile changes can all be made.
+	 *
+	 * @param {Array} changes
+	 *   List of objects with `x`, `y` and `code` properties.
+	 *
+	 * @return Nothing, but throws an exception if any of the changes are out of
+	 *   bounds or not permitted by `isPermittedAt()`.
+	 */
+	checkChanges(changes) {
+		for (const c of changes) {
+			if (!this.contains(c.x, c.y)) {
+				throw new Error(`Tile coordinate (${c.x},${c.y}) is outside the `
+					+ `${this.layerW}x${this.layerH} layer.`);
+			}
+			const permitted = this.isPermittedAt(c.x, c.y, c.code);
+			if (!permitted.valid) {
+				throw new Error(`Tile ${c.code} is not permitted at (${c.x},${c.y}): `
+					+ permitted.reason);
+			}
+		}
+	}
+
+	/**
+	 * Get the tile code at the given location.
+	 *
+	 * @param {Number} x
+	 *   X coordinate, in tiles.
+	 *
+	 * @param {Number} y
+	 *   Y coordinate, in tiles.
+	 *
+	 * @return Tile code, which will be `undefined` if there is no tile there.
+	 *   Throws an exception if the coordinate is outside the layer.
+	 */
+	getTile(x, y) {
+		if (!this.contains(x, y)) {
+			throw new Error(`Tile coordinate (${x},${y}) is outside the `
+				+ `${this.layerW}x${this.layerH} layer.`);
+		}
+		return this.tiles[y][x];
+	}
+
+	/**
+	 * Change the tile at the given location.
+	 *
+	 * @param {Number} x
+	 *   X coordinate, in tiles.
+	 *
+	 * @param {Number} y
+	 *   Y coordinate, in tiles.
+	 *
+	 * @param code
+	 *   New tile code, or `undefined` to remove the tile.
+	 *
+	 * @return {Number} of tiles changed, which is `0` if the tile was already
+	 *   set to `code`.  Throws an exception if the coordinate is outside the
+	 *   layer or the tile is not permitted there.
+	 */
+	setTile(x, y, code) {
+		const changes = [ {x, y, code} ];
+		this.checkChanges(changes);
+		return writeTiles(this, changes);
+	}
+
+	/**
+	 * Set every tile in a rectangle to the same code.
+	 *
+	 * The rectangle is clipped to the edges of the layer.  If the code is not
+	 * permitted at any location then nothing is changed.
+	 *
+	 * @param {Number} x
+	 *   Left edge of the rectangle, in tiles.
+	 *
+	 * @param {Number} y
+	 *   Top edge of the rectangle, in tiles.
+	 *
+	 * @param {Number} width
+	 *   Rectangle width, in tiles.
+	 *
+	 * @param {Number} height
+	 *   Rectangle height, in tiles.
+	 *
+	 * @param code
+	 *   Tile code to write.
+	 *
+	 * @return {Number} of tiles changed.
+	 */
+	fillRect(x, y, width, height, code) {
+		const x1 = Math.max(0, x), x2 = Math.min(this.layerW, x + width);
+		const y1 = Math.max(0, y), y2 = Math.min(this.layerH, y + height);
+
+		let changes = [];
+		for (let ty = y1; ty < y2; ty++) {
+			for (let tx = x1; tx < x2; tx++) {
+				changes.push({x: tx, y: ty, code});
+			}
+		}
+		this.checkChanges(changes);
+		return writeTiles(this, changes);
+	}
+
+	/**
+	 * Replace the area of matching tiles around a point with a new code.
+	 *
+	 * Starting at the given location, every tile with the same code as the one
+	 * there that is connected to it horizontally or vertically is changed.
+	 * Nothing is changed if the new code is not permitted at any of them.
+	 *
+	 * @param {Number} x
+	 *   X coordinate of the starting tile.
+	 *
+	 * @param {Number} y
+	 *   Y coordinate of the starting tile.
+	 *
+	 * @param code
+	 *   Tile code to write.
+	 *
+	 * @return {Number} of tiles changed.
+	 */
+	floodFill(x, y, code) {
+		const target = this.getTile(x, y);
+		if (target === code) return 0;
+
+		let changes = [];
+		let visited = new Set();
+		let pending = [ {x, y} ];
+		while (pending.length) {
+			const pt = pending.pop();
+			if (!this.contains(pt.x, pt.y)) continue;
+			const key = pt.y * this.layerW + pt.x;
+			if (visited.has(key)) continue;
+			visited.add(key);
+			if (this.tiles[pt.y][pt.x] !== target) continue;
+
+			changes.push({x: pt.x, y: pt.y, code});
+			pending.push(
+				{x: pt.x - 1, y: pt.y},
+				{x: pt.x + 1, y: pt.y},
+				{x: pt.x, y: pt.y - 1},
+				{x: pt.x, y: pt.y + 1},
+			);
+		}
+		this.checkChanges(changes);
+		return writeTiles(this, changes);
+	}
+
+	/**
+	 * Change every tile with one code into another code.
+	 *
+	 * Nothing is changed if the new code is not permitted at any of the
+	 * matching tiles.
+	 *
+	 * @param code
+	 *   Tile code to look for, or `undefined` to fill in the empty tiles.
+	 *
+	 * @param newCode
+	 *   Tile code to write, or `undefined` to remove the tiles.
+	 *
+	 * @param {Object} area
+	 *   Optional rectangle with `x`, `y`, `width` and `height` properties, in
+	 *   tiles, to only replace tiles inside it.  The default is the whole layer.
+	 *
+	 * @return {Number} of tiles changed.
+	 */
+	replaceTiles(code, newCode, area) {
+		const a = area || { x: 0, y: 0, width: this.layerW, height: this.layerH };
+		const x1 = Math.max(0, a.x), x2 = Math.min(this.layerW, a.x + a.width);
+		const y1 = Math.max(0, a.y), y2 = Math.min(this.layerH, a.y + a.height);
+		if (code === newCode) return 0;
+
+		let changes = [];
+		for (let ty = y1; ty < y2; ty++) {
+			for (let tx = x1; tx < x2; tx++) {
+				if (this.tiles[ty][tx] !== code) continue;
+				changes.push({x: tx, y: ty, code: newCode});
+			}
+		}
+		this.checkChanges(changes);
+		return writeTiles(this, changes);
+	}
+
+	/**
+	 * Copy a rectangle of tiles so it can be pasted elsewhere.
+	 *
+	 * @param {Number} x
+	 *   Left edge of the rectangle, in tiles.
+	 *
+	 * @param {Number} y
+	 *   Top edge of the rectangle, in tiles.
+	 *
+	 * @param {Number} width
+	 *   Rectangle width, in tiles.
+	 *
+	 * @param {Number} height
+	 *   Rectangle height, in tiles.
+	 *
+	 * @return {Object} stamp with `width` and `height` properties, and a `tiles`
+	 *   property in the same `tiles[y][x]` arrangement as the layer.  The stamp
+	 *   is clipped to the edges of the layer, so may be smaller than requested.
+	 *   It does not refer back to the layer, so can be pasted into other layers
+	 *   and maps too.
+	 */
+	copyRegion(x, y, width, height) {
+		const x1 = Math.max(0, x), x2 = Math.min(this.layerW, x + width);
+		const y1 = Math.max(0, y), y2 = Math.min(this.layerH, y + height);
+
+		let tiles = [];
+		for (let ty = y1; ty < y2; ty++) {
+			tiles.push(this.tiles[ty].slice(x1, x2));
+		}
+		return {
+			width: Math.max(0, x2 - x1),
+			height: tiles.length,
+			tiles,
+		};
+	}
+
+	/**
+	 * Write a stamp from `copyRegion()` into the layer.
+	 *
+	 * Any part of the stamp that falls outside the layer is ignored.  If any of
+	 * the tiles are not permitted in their new location, nothing is changed.
+	 *
+	 * @param {Object} stamp
+	 *   Stamp returned by `copyRegion()`.
+	 *
+	 * @param {Number} x
+	 *   Where to put the left edge of the stamp, in tiles.
+	 *
+	 * @param {Number} y
+	 *   Where to put the top edge of the stamp, in tiles.
+	 *
+	 * @param {Object} options
+	 *   Set `skipBlank` to `true` to leave the existing tiles in place wherever
+	 *   the stamp has no tile (`undefined`), instead of erasing them.
+	 *
+	 * @return {Number} of tiles changed.
+	 */
+	pasteRegion(stamp, x, y, options = {}) {
+		let changes = [];
+		for (let sy = 0; sy < stamp.height; sy++) {
+			for (let sx = 0; sx < stamp.width; sx++) {
+				const code = stamp.tiles[sy][sx];
+				if (options.skipBlank && (code === undefined)) continue;
+				if (!this.contains(x + sx, y + sy)) continue;
+				changes.push({x: x + sx, y: y + sy, code});
+			}
+		}
+		this.checkChanges(changes);
+		return writeTiles(this, changes);
+	}
 }
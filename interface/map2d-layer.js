@@ -17,15 +17,26 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+import EventEmitter from '../util/event-emitter.js';
+
 /**
  * Interface to a single grid-based layer within a 2D stack.
  *
  * Instances of this class are returned when reading maps, and are passed
  * to the format handlers to produce new map files.
+ *
+ * Listeners can be added with `on()` to find out when the layer changes.  All
+ * layers emit these events:
+ *
+ *  - `resize`: The layer was resized, so everything in it should be redrawn.
+ *
+ * Each layer type adds events for its own content.
  */
-export default class Map2D_Layer
+export default class Map2D_Layer extends EventEmitter
 {
 	constructor(n = {}) {
+		super();
+
 		/**
 		 * Various limits of this map format.  Following these limitations ensures
 		 * that the map will save successfully later.
@@ -48,6 +59,14 @@ export default class Map2D_Layer
 		 */
 		this.title = n.title || '?';
 
+		/**
+		 * Journal to record changes into, so they can be undone.
+		 *
+		 * This is set to the map's journal when the layer is added to a map.
+		 * Changes made to a layer that isn't in a map are not recorded.
+		 */
+		this.journal = null;
+
 		/**
 		 * Two-dimensional array listing all the items in the layer grid.
 		 *
@@ -58,17 +77,45 @@ export default class Map2D_Layer
 		 *
 		 * Each item is a {Number} referring to a map code.
 		 */
-//		this.items = [];
+		//this.items = [];
 
 		/**
 		 * Two-dimensional array of all possible items that can be placed in the
 		 * map.  Same arrangement as `this.items`, but suitable for display to the
 		 * user as a selection of available tiles.
 		 */
-//		this.availableItems = [];
+		//this.availableItems = [];
 	}
 
 	setTilesets(tilesets) {
 		this.tilesets = tilesets;
 	}
+
+	/**
+	 * Change the area covered by this layer.
+	 *
+	 * This is called by `Map2D.resize()` for each layer in the map, so layers are
+	 * always resized together.  All values are in pixels, so that layers with
+	 * different tile sizes (or no tiles at all) can be resized consistently.
+	 *
+	 * @param {Number} width
+	 *   New width of the layer, in pixels.
+	 *
+	 * @param {Number} height
+	 *   New height of the layer, in pixels.
+	 *
+	 * @param {Number} offsetX
+	 *   Number of pixels to move the existing content by, negative moves left.
+	 *   Content that ends up outside the new layer size is discarded.
+	 *
+	 * @param {Number} offsetY
+	 *   Number of pixels to move the existing content by, negative moves up.
+	 *
+	 * @return {Array} of any items that were removed because they no longer fit
+	 *   within the layer, or an empty array.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	resize(width, height, offsetX, offsetY) {
+		throw new Error('Not implemented yet.');
+	}
 }
@@ -18,6 +18,8 @@
  */
 
 import Map from './map.js';
+import Map2D_Layer from './map2d-layer.js';
+import Map2D_Layer_Tiled from './map2d-layer-tiled.js';
 
 /// How the map background is drawn behind the level.
 const BackgroundAttachment = {
@@ -34,11 +36,107 @@ const BackgroundAttachment = {
 	SingleColour: 3,
 };
 
+/// Which part of the map stays put when it is resized.
+const ResizeAnchor = {
+	TopLeft: 0,
+	Top: 1,
+	TopRight: 2,
+	Left: 3,
+	Centre: 4,
+	Right: 5,
+	BottomLeft: 6,
+	Bottom: 7,
+	BottomRight: 8,
+};
+
+/**
+ * Take a copy of everything in the layers that `resize()` changes.
+ *
+ * Only the arrays are copied, not the tiles and items in them, as those will
+ * be kept when the snapshot is restored.
+ */
+function captureLayers(map) {
+	return map.layers.map(layer => ({
+		layer,
+		tiles: layer.tiles,
+		layerW: layer.layerW,
+		layerH: layer.layerH,
+		items: layer.items && layer.items.map(item => ({
+			item,
+			x: item.x,
+			y: item.y,
+		})),
+		// Individual paths are replaced rather than modified, so the outer array
+		// is all that needs copying.
+		paths: layer.paths && layer.paths.slice(),
+	}));
+}
+
+/**
+ * Put the layers back the way they were when `captureLayers()` was called.
+ */
+function restoreLayers(map, snapshot) {
+	for (const s of snapshot) {
+		if (s.tiles) {
+			s.layer.tiles = s.tiles;
+			s.layer.layerW = s.layerW;
+			s.layer.layerH = s.layerH;
+		}
+		if (s.items) {
+			s.layer.items = s.items.map(i => {
+				i.item.x = i.x;
+				i.item.y = i.y;
+				return i.item;
+			});
+		}
+		if (s.paths) {
+			s.layer.paths = s.paths.slice();
+		}
+		s.layer.emit('resize', {});
+	}
+	map.emit('resize', map.mapSize);
+}
+
+/**
+ * Is the value a link ID that is in use?
+ *
+ * `null` means the item does not support links, and `0` for groups means the
+ * item is not currently in one.
+ */
+function isLinkId(id) {
+	return (id !== null) && (id !== undefined) && (id !== 0);
+}
+
+/// The array behind each map's `layers` property.
+const layerLists = new WeakMap();
+
+/**
+ * Wrap an array of layers so that every layer put into it records its changes
+ * in the map's journal, however it gets there.
+ */
+function connectLayers(map, layers) {
+	for (const layer of layers) {
+		if (layer instanceof Map2D_Layer) layer.journal = map.journal;
+	}
+	return new Proxy(layers, {
+		set(target, prop, value) {
+			if (value instanceof Map2D_Layer) value.journal = map.journal;
+			target[prop] = value;
+			return true;
+		},
+	});
+}
+
 /**
  * Class describing the interface to a grid-based map.
  *
  * Instances of this class are returned when reading maps, and are passed
  * to the format handlers to produce new map files.
+ *
+ * As well as the events emitted by `Map`, this emits:
+ *
+ *  - `resize`: The map was resized.  The event has `x` and `y` properties
+ *    with the new size in tiles, as per `mapSize`.
  */
 export default class Map2D extends Map
 {
@@ -73,33 +171,75 @@ export default class Map2D extends Map
 		};
 
 		/**
-		 * Size of all the layers, in number of tiles.
+		 * Limits on the size of the whole map, in number of tiles.
 		 *
-		 * `undefined` means the map size is set by the layers and should not be
-		 * changed here.  If this value is set, it will be an object with `x` and
-		 * `y` members and can be modified within the limits indicated by
-		 * `this.limits.minimumMapSize` and `this.limits.maximumMapSize`.
+		 * These are used by `queryResize()`.  For maps that cannot be resized, the
+		 * minimum and maximum will be the same.  An `undefined` maximum means
+		 * there is no limit.
 		 */
-//		this.mapSize = undefined;
+		const nl = n.limits || {};
+		this.limits = {
+			minimumMapSize: nl.minimumMapSize || {x: 1, y: 1},
+			maximumMapSize: nl.maximumMapSize || {x: undefined, y: undefined},
+		};
 
-		/**
-		 * An array of all the layers in the map.
-		 *
-		 * Each element in the array is a `Map2D_Layer` object.
-		 */
 		this.layers = [];
 	}
 
+	/**
+	 * An array of all the layers in the map.
+	 *
+	 * Each element in the array is a `Map2D_Layer` object.  Layers are connected
+	 * to the map's journal as soon as they are added, so all changes made to
+	 * them can be undone.
+	 */
+	get layers() {
+		return layerLists.get(this);
+	}
+
+	set layers(list) {
+		layerLists.set(this, connectLayers(this, list));
+	}
+
 	/**
 	 * Get the dimensions of the whole map, in pixels.
 	 *
 	 * This can be used for a bounding box or canvas size that will contain the
 	 * entire level.
+	 *
+	 * The default implementation returns the area covered by all the tiled
+	 * layers, including their offsets.
 	 */
 	getSize() {
+		let size = {
+			x: 0,
+			y: 0,
+		};
+		for (const layer of this.layers) {
+			if (!(layer instanceof Map2D_Layer_Tiled)) continue;
+			size.x = Math.max(size.x,
+				(layer.limits.offsetX || 0) + layer.layerW * layer.tileW);
+			size.y = Math.max(size.y,
+				(layer.limits.offsetY || 0) + layer.layerH * layer.tileH);
+		}
+		return size;
+	}
+
+	/**
+	 * Size of the map, in number of tiles.
+	 *
+	 * This is the size of the first tiled layer, which is the one used to
+	 * measure the map for `queryResize()` and `resize()`.  It is `undefined` if
+	 * the map has no tiled layers.
+	 *
+	 * @return {object} with `.x` and `.y` properties.
+	 */
+	get mapSize() {
+		const layer = this.layers.find(l => l instanceof Map2D_Layer_Tiled);
+		if (!layer) return undefined;
 		return {
-			x: undefined,
-			y: undefined,
+			x: layer.layerW,
+			y: layer.layerH,
 		};
 	}
 
@@ -115,18 +255,25 @@ export default class Map2D extends Map
 	 * still call this parent implementation to handle the size limits.
 	 *
 	 * @param {object} proposed
-	 *   Object with `.x` and `.y` properties containing the intended new size.
+	 *   Object with `.x` and `.y` properties containing the intended new size,
+	 *   in number of tiles.
 	 *
 	 * @return {object} in same format as `proposed` but with the properties
 	 *   adjusted.
 	 */
 	queryResize(proposed) {
-		let permitted = {...proposed};
+		let permitted = {
+			x: Math.floor(proposed.x),
+			y: Math.floor(proposed.y),
+		};
 
-		permitted.x = Math.min(permitted.x, this.limits.maximumMapSize.x);
-		permitted.x = Math.max(permitted.x, this.limits.minimumMapSize.x);
-		permitted.y = Math.min(permitted.y, this.limits.maximumMapSize.y);
-		permitted.y = Math.max(permitted.y, this.limits.minimumMapSize.y);
+		const { minimumMapSize: min, maximumMapSize: max } = this.limits;
+		if (max.x !== undefined) permitted.x = Math.min(permitted.x, max.x);
+		if (max.y !== undefined) permitted.y = Math.min(permitted.y, max.y);
+		permitted.x = Math.max(permitted.x, min.x, 1);
+		permitted.y = Math.max(permitted.y, min.y, 1);
+
+		return permitted;
 	}
 
 	/**
@@ -137,20 +284,188 @@ export default class Map2D extends Map
 	 * caller tried to set a new size without running it through `queryResize()`
 	 * first.
 	 *
-	 * Implementations should override this to perform the actual resize, although
-	 * still call this function first to enforce the `queryResize()` requirement.
+	 * Each layer is then resized to cover the same area as the first tiled layer,
+	 * with the existing content shifted according to `anchor`.  Tiles that no
+	 * longer fit are discarded, and any new space is left blank.  Items in list
+	 * layers are moved along with the tiles, and removed if they end up outside
+	 * the map.
+	 *
+	 * Implementations only need to override this if there is extra work to do
+	 * beyond resizing the layers, and should still call this function.
 	 *
 	 * @param {object} newSize
-	 *   Object with `.x` and `.y` properties containing the intended new size.
+	 *   Object with `.x` and `.y` properties containing the intended new size,
+	 *   in number of tiles.
+	 *
+	 * @param {Number} anchor
+	 *   One of the `Map2D.ResizeAnchor` values, indicating which part of the
+	 *   existing map will remain in place.  For example `BottomRight` will add or
+	 *   remove space from the top and left edges.  Defaults to `TopLeft`.
 	 *
-	 * @return No return value but may throw an exception.
+	 * @return {Array} of objects, one for each item that was removed because it
+	 *   no longer fits in the map.  Each has a `layer` property with the layer
+	 *   index and an `item` property with the item itself.
 	 */
-	resize(newSize) {
+	resize(newSize, anchor = ResizeAnchor.TopLeft) {
 		const permitted = this.queryResize(newSize);
 		if ((permitted.x !== newSize.x) || (permitted.y !== newSize.y)) {
 			throw new Error('Requested map size is invalid.');
 		}
+
+		const reference = this.layers.find(l => l instanceof Map2D_Layer_Tiled);
+		if (!reference) {
+			throw new Error('This map has no tiled layers to resize.');
+		}
+
+		// Work out how far the existing content moves, in pixels, using the tile
+		// size of the layer the map size is measured in.
+		const alignX = (anchor % 3) / 2;
+		const alignY = Math.floor(anchor / 3) / 2;
+		const pixelW = newSize.x * reference.tileW;
+		const pixelH = newSize.y * reference.tileH;
+		const offsetX = Math.floor((newSize.x - reference.layerW) * alignX) * reference.tileW;
+		const offsetY = Math.floor((newSize.y - reference.layerH) * alignY) * reference.tileH;
+
+		const before = captureLayers(this);
+
+		let removed = [];
+		this.layers.forEach((layer, index) => {
+			const lost = layer.resize(pixelW, pixelH, offsetX, offsetY) || [];
+			for (const item of lost) {
+				removed.push({
+					layer: index,
+					item,
+				});
+			}
+		});
+
+		const after = captureLayers(this);
+		this.journal.record({
+			title: 'Resize map',
+			undo: () => restoreLayers(this, before),
+			redo: () => restoreLayers(this, after),
+		});
+		this.emit('resize', this.mapSize);
+
+		return removed;
+	}
+
+	/**
+	 * Get every item in every list layer.
+	 *
+	 * @return {Array} of objects with `layer` (index into `this.layers`),
+	 *   `index` (index into the layer's `items`) and `item` properties.
+	 */
+	getItems() {
+		let refs = [];
+		this.layers.forEach((layer, l) => {
+			if (!layer.items) return;
+			layer.items.forEach((item, index) => {
+				refs.push({
+					layer: l,
+					index,
+					item,
+				});
+			});
+		});
+		return refs;
+	}
+
+	/**
+	 * Work out which items are linked together.
+	 *
+	 * Items are linked when one item's `idSource` matches another item's
+	 * `idTarget` (e.g. a switch and the platform it controls), or when they
+	 * share the same `idGroup`.
+	 *
+	 * @return {Object} with `sources`, `targets` and `groups` properties.  Each
+	 *   is an object keyed by link ID, where each value is an array of items in
+	 *   the same form returned by `getItems()`.
+	 */
+	getLinkGraph() {
+		let graph = {
+			sources: {},
+			targets: {},
+			groups: {},
+		};
+		const add = (list, id, ref) => {
+			if (!list[id]) list[id] = [];
+			list[id].push(ref);
+		};
+		for (const ref of this.getItems()) {
+			const { item } = ref;
+			if (isLinkId(item.idSource)) add(graph.sources, item.idSource, ref);
+			if (isLinkId(item.idTarget)) add(graph.targets, item.idTarget, ref);
+			if (isLinkId(item.idGroup)) add(graph.groups, item.idGroup, ref);
+		}
+		return graph;
+	}
+
+	/**
+	 * Get the items a source item is linked to.
+	 *
+	 * @param {Item} item
+	 *   Item to look up, such as a switch or teleporter entrance.
+	 *
+	 * @return {Array} of items (as per `getItems()`) whose `idTarget` matches
+	 *   this item's `idSource`.  Empty if there are none, or if the item is not
+	 *   a link source.
+	 */
+	getLinkTargets(item) {
+		if (!isLinkId(item.idSource)) return [];
+		return this.getItems().filter(ref => ref.item.idTarget === item.idSource);
+	}
+
+	/**
+	 * Find any links that don't lead anywhere.
+	 *
+	 * @return {Array} of strings describing each source with no target, target
+	 *   with no source, and group with only one member.
+	 */
+	checkLinks() {
+		const graph = this.getLinkGraph();
+		const describe = ref => `Layer ${ref.layer} item #${ref.index} at `
+			+ `(${ref.item.x},${ref.item.y})`;
+
+		let issues = [];
+		for (const [ id, refs ] of Object.entries(graph.sources)) {
+			if (graph.targets[id]) continue;
+			for (const ref of refs) {
+				issues.push(`${describe(ref)} is the source of link ${id}, but nothing `
+					+ `is the target of this link.`);
+			}
+		}
+		for (const [ id, refs ] of Object.entries(graph.targets)) {
+			if (graph.sources[id]) continue;
+			for (const ref of refs) {
+				issues.push(`${describe(ref)} is the target of link ${id}, but nothing `
+					+ `is the source of this link.`);
+			}
+		}
+		for (const [ id, refs ] of Object.entries(graph.groups)) {
+			if (refs.length > 1) continue;
+			issues.push(`${describe(refs[0])} is the only member of group ${id}.`);
+		}
+		return issues;
+	}
+
+	/**
+	 * Check the map attributes, and the attributes of every item in the list
+	 * layers.
+	 */
+	validateAttributes() {
+		let issues = super.validateAttributes();
+		this.layers.forEach((layer, l) => {
+			if (!layer.items) return;
+			layer.items.forEach((item, i) => {
+				for (const problem of this.validateItemAttributes(item)) {
+					issues.push(`Layer ${l} item #${i}: ${problem}`);
+				}
+			});
+		});
+		return issues;
 	}
 }
 
 Map2D.BackgroundAttachment = BackgroundAttachment;
+Map2D.ResizeAnchor = ResizeAnchor;
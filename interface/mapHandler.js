@@ -55,6 +55,37 @@ export default class MapHandler
 		};
 	}
 
+	/**
+	 * See if the given map is in the format supported by this handler.
+	 *
+	 * This is used for format autodetection.
+	 *
+	 * @note More than one handler might report that it supports a file format,
+	 *   such as the case of a plain tile array with no header, which could be
+	 *   a valid map in a number of different file formats.
+	 *
+	 * @param {Uint8Array} content
+	 *   The map file to examine.
+	 *
+	 * @param {string} filename
+	 *   The map's filename in case it is relevant, for those formats where the
+	 *   filename extension is significant.
+	 *
+	 * @return {Object} with a `.valid` property, set to `true` if the data is
+	 *   definitely in this format, `false` if it is definitely not in this
+	 *   format, and `undefined` if it's possible the data is in this format but
+	 *   there is not enough information to know for certain one way or the other.
+	 *   The `.reason` property contains a technical explanation for the decision.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static identify(content, filename) {
+		return {
+			valid: false,
+			reason: 'The identify() function has not been implemented by this format '
+				+ 'handler, so it cannot be autodetected.',
+		};
+	}
+
 	/**
 	 * Identify any problems writing the given map in the current format.
 	 *
@@ -66,19 +97,115 @@ export default class MapHandler
 	 *   indicates no problems.
 	 */
 	static checkLimits(map) {
-		const { limits } = this.metadata();
 		let issues = [];
 
-		// TODO: scan layers and ensure `items` matches the layer dimensions.
-		if (false) {
-			issues.push(`The dimensions of the layer item array do not match the map `
-				+ `dimensions.  If you have resized this level, it is a bug in the `
-				+ `level editor.  If not, it is a bug in the map handler.`);
+		// Ensure the attribute values are all within their permitted ranges.
+		if (map.validateAttributes) {
+			issues.push(...map.validateAttributes());
+		}
+
+		// Ensure linked items (switches, teleporters, etc.) all have a partner.
+		if (map.checkLinks) {
+			issues.push(...map.checkLinks());
+		}
+
+		// Ensure the tile arrays match the layer dimensions.
+		for (const layer of map.layers || []) {
+			if (!layer.tiles) continue;
+			if (
+				(layer.tiles.length !== layer.layerH)
+				|| layer.tiles.some(row => row.length !== layer.layerW)
+			) {
+				issues.push(`The dimensions of the tile array in the "${layer.title}" `
+					+ `layer do not match the layer dimensions.  If you have resized this `
+					+ `level, it is a bug in the level editor.  If not, it is a bug in `
+					+ `the map handler.`);
+			}
+		}
+
+		// Ensure every tile is one the layer can store at that position.  Blank
+		// tiles are left out, as every format can write an empty spot.
+		for (const layer of map.layers || []) {
+			if (!layer.tiles || !layer.isPermittedAt) continue;
+			let count = 0, first;
+			layer.tiles.forEach((row, y) => row.forEach((code, x) => {
+				if (code === undefined) return;
+				const permitted = layer.isPermittedAt(x, y, code);
+				if (permitted.valid) return;
+				count++;
+				if (!first) first = { x, y, code, reason: permitted.reason };
+			}));
+			if (count) {
+				issues.push(`${count} of the tiles in the "${layer.title}" layer `
+					+ `cannot be stored, such as code ${first.code} at (${first.x}, `
+					+ `${first.y}): ${first.reason}`);
+			}
+		}
+
+		// Ensure the number of paths and points are within the layer limits.
+		for (const layer of map.layers || []) {
+			if (!layer.paths) continue;
+			const { minPaths, maxPaths, maxPoints } = layer.limits;
+			if (layer.paths.length < minPaths) {
+				issues.push(`The "${layer.title}" layer has ${layer.paths.length} `
+					+ `paths, but the minimum is ${minPaths}.`);
+			}
+			if ((maxPaths !== undefined) && (layer.paths.length > maxPaths)) {
+				issues.push(`The "${layer.title}" layer has ${layer.paths.length} `
+					+ `paths, but the maximum is ${maxPaths}.`);
+			}
+			if (maxPoints !== undefined) {
+				layer.paths.forEach((path, index) => {
+					if (path.length > maxPoints) {
+						issues.push(`Path ${index} in the "${layer.title}" layer has `
+							+ `${path.length} points, but the maximum is ${maxPoints}.`);
+					}
+				});
+			}
 		}
 
 		return issues;
 	}
 
+	/**
+	 * Report how much of each of the format's fixed limits a map uses.
+	 *
+	 * This lets the user see how close a map is to a limit before
+	 * `checkLimits()` stops it from being saved.  The default implementation
+	 * covers the path limits in each layer's `limits`, and handlers should add
+	 * any limits of their own.
+	 *
+	 * @param {Map} map
+	 *   Map to examine.
+	 *
+	 * @return {Array} of objects, each with a `title` describing the limit, and
+	 *   `used` and `max` numbers.
+	 */
+	static usage(map) {
+		let usage = [];
+		for (const layer of map.layers || []) {
+			if (!layer.paths) continue;
+			const { maxPaths, maxPoints } = layer.limits;
+			if (maxPaths !== undefined) {
+				usage.push({
+					title: `Paths in the "${layer.title}" layer`,
+					used: layer.paths.length,
+					max: maxPaths,
+				});
+			}
+			if (maxPoints !== undefined) {
+				layer.paths.forEach((path, index) => {
+					usage.push({
+						title: `Points in path ${index} of the "${layer.title}" layer`,
+						used: path.length,
+						max: maxPoints,
+					});
+				});
+			}
+		}
+		return usage;
+	}
+
 	/**
 	 * Get a list of supplementary files needed to use the format.
 	 *
@@ -107,6 +234,43 @@ export default class MapHandler
 		return null;
 	}
 
+	/**
+	 * Create a new, empty map in this format.
+	 *
+	 * The map will have all the layers and attributes the format supports, set
+	 * to their defaults, with all tiles blank and no items, so that it can be
+	 * passed straight to `generate()` to produce a valid file.
+	 *
+	 * @param {Object} options
+	 *   Format-specific options, such as the map dimensions.  Any options not
+	 *   supplied will use the format's defaults.
+	 *
+	 * @return {Map} instance.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static create(options = {}) {
+		throw new Error('Not implemented yet.');
+	}
+
+	/**
+	 * Get the options that `create()` needs to make a blank map like this one.
+	 *
+	 * This is used when a map is stored in another format, such as JSON, so
+	 * that when it is loaded again the blank map it is loaded into has the same
+	 * dimensions, limits and layers as the original.  The default
+	 * implementation returns no options, which suits formats where every map
+	 * has the same structure.
+	 *
+	 * @param {Map} map
+	 *   Map previously returned by `create()` or `parse()`.
+	 *
+	 * @return {Object} of options to pass to `create()`.
+	 */
+	// eslint-disable-next-line no-unused-vars
+	static createOptions(map) {
+		return {};
+	}
+
 	/**
 	 * Read the given map file.
 	 *
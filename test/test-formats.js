@@ -0,0 +1,550 @@
+/*
+ * Tests that apply to every format handler.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import {
+	all as gamemapFormats,
+	findHandler,
+	findSourceHandler,
+	map_cosmo,
+	map_ddave,
+	map_json,
+	map_tiled_tmj,
+	map_tiled_tmx,
+	Map2D,
+	Map2D_Layer_List,
+	Map2D_Layer_Path,
+	Map2D_Layer_Tiled,
+} from '../index.js';
+
+for (const handler of gamemapFormats) {
+	const md = handler.metadata();
+
+	describe(`Standard tests for ${md.title} [${md.id}]`, function() {
+
+		describe('create()', function() {
+
+			it('should produce a map that passes checkLimits()', function() {
+				const map = handler.create();
+				assert.ok(map.layers.length > 0);
+				assert.deepStrictEqual(handler.checkLimits(map), []);
+			});
+
+			it('should size the tile arrays to match the layer', function() {
+				const map = handler.create();
+				for (const layer of map.layers) {
+					if (!(layer instanceof Map2D_Layer_Tiled)) continue;
+					assert.strictEqual(layer.tiles.length, layer.layerH);
+					for (const row of layer.tiles) {
+						assert.strictEqual(row.length, layer.layerW);
+					}
+				}
+			});
+
+			it('should be recognised by findSourceHandler()', function() {
+				const map = handler.create();
+				// Interchange formats don't have a map class of their own.
+				const expected = (map.constructor === Map2D) ? null : handler;
+				assert.strictEqual(findSourceHandler(map), expected);
+			});
+
+		});
+
+		describe('generate()', function() {
+
+			it('should write a blank map that can be read back', function() {
+				const map = handler.create();
+				const output = handler.generate(map);
+				const map2 = handler.parse(output);
+				assert.strictEqual(map2.layers.length, map.layers.length);
+				for (let l = 0; l < map.layers.length; l++) {
+					assert.strictEqual(map2.layers[l].layerW, map.layers[l].layerW);
+					assert.strictEqual(map2.layers[l].layerH, map.layers[l].layerH);
+				}
+				for (const [ id, a ] of Object.entries(map.attributes)) {
+					assert.strictEqual(map2.attributes[id].value, a.value);
+				}
+			});
+
+		});
+
+		describe('identify()', function() {
+
+			it('should recognise its own files', function() {
+				const output = handler.generate(handler.create());
+				const result = handler.identify(output.main, 'test.dav');
+				assert.notStrictEqual(result.valid, false, result.reason);
+			});
+
+			it('should be found by findHandler()', function() {
+				const output = handler.generate(handler.create());
+				const handlers = findHandler(output.main, 'test.dav');
+				assert.ok(handlers.includes(handler));
+			});
+
+		});
+
+	});
+}
+
+/**
+ * Build a Cosmo level file, laid out the same way as the ones shipped with the
+ * game.
+ *
+ * `tiles` is a list of `[offset, value]` pairs giving the raw 16-bit values
+ * to store, and every other tile is left as zero.
+ */
+function cosmoFile({flags = 0, width = 64, actors = [], tiles = []}) {
+	const lenActors = actors.length * 6;
+	let content = new Uint8Array(6 + lenActors + 32764 * 2);
+	let dv = new DataView(content.buffer);
+	dv.setUint16(0, flags, true);
+	dv.setUint16(2, width, true);
+	dv.setUint16(4, lenActors / 2, true);
+	actors.forEach((a, i) => {
+		dv.setUint16(6 + i * 6, a.type, true);
+		dv.setUint16(6 + i * 6 + 2, a.x, true);
+		dv.setUint16(6 + i * 6 + 4, a.y, true);
+	});
+	for (const [ offset, value ] of tiles) {
+		dv.setUint16(6 + lenActors + offset * 2, value, true);
+	}
+	return content;
+}
+
+describe('Extra tests for map-cosmo', function() {
+
+	it('should keep the partial last row', function() {
+		// 32764 tiles is 511 full rows of 64, plus 60 tiles in the last row.
+		const content = cosmoFile({
+			tiles: [
+				[ 0, 8 ],
+				[ 511 * 64, 16 ],
+				[ 32763, 24 ],
+			],
+		});
+		const map = map_cosmo.parse({main: content});
+		const bg = map.layers[0];
+		assert.strictEqual(bg.layerH, 512);
+		assert.strictEqual(bg.tiles.length, 512);
+		assert.strictEqual(bg.tiles[0][0], 1);
+		assert.strictEqual(bg.tiles[511][0], 2);
+		assert.strictEqual(bg.tiles[511][59], 3);
+		assert.strictEqual(bg.tiles[511][60], undefined);
+		assert.deepStrictEqual(map_cosmo.checkLimits(map), []);
+
+		// The rest of the row is not stored in the file, so it can't be used.
+		assert.throws(() => bg.setTile(60, 511, 1), /larger than the maximum/);
+		assert.strictEqual(bg.setTile(59, 511, undefined), 1);
+		bg.tiles[511][63] = 16;
+		assert.strictEqual(map_cosmo.checkLimits(map).length, 1);
+	});
+
+	it('should write a level back out unchanged', function() {
+		const content = cosmoFile({
+			tiles: [
+				[ 0, 8 ],
+				[ 100, 16000 ],
+				[ 32700, 8 * 1999 ],
+				[ 32763, 16000 + 40 * 999 ],
+			],
+		});
+		const map = map_cosmo.parse({main: content});
+		assert.deepStrictEqual(map_cosmo.generate(map).main, content);
+	});
+
+	it('should load the actor layer', function() {
+		const content = cosmoFile({
+			actors: [
+				{ type: 0, x: 3, y: 5 },
+				{ type: 51, x: 10, y: 2 },
+			],
+		});
+		const map = map_cosmo.parse({main: content});
+		assert.strictEqual(map.layers.length, 2);
+		const actors = map.layers[1];
+		assert.ok(actors instanceof Map2D_Layer_List);
+		assert.strictEqual(actors.title, 'Actors');
+		assert.deepStrictEqual(actors.items.map(i => i.code), [ 0, 51 ]);
+
+		const tileset = [];
+		map.setTilesets({ solid: [], masked: [], actors: tileset });
+		assert.strictEqual(actors.tileset, tileset);
+
+		// The actors must be written back too.
+		assert.deepStrictEqual(map_cosmo.generate(map).main, content);
+	});
+
+	it('should convert actor coordinates between tiles and pixels', function() {
+		const content = cosmoFile({
+			actors: [
+				{ type: 51, x: 3, y: 5 },
+			],
+		});
+		const map = map_cosmo.parse({main: content});
+		const item = map.layers[1].items[0];
+		assert.strictEqual(item.x, 3 * 8);
+		assert.strictEqual(item.y, 5 * 8);
+
+		// Positions between tiles are rounded down to the tile they are in.
+		item.x = 12 * 8 + 7;
+		item.y = 4 * 8 + 1;
+		const expected = cosmoFile({
+			actors: [
+				{ type: 51, x: 12, y: 4 },
+			],
+		});
+		assert.deepStrictEqual(map_cosmo.generate(map).main, expected);
+	});
+
+	it('should draw both crate types with their contents', function() {
+		const content = cosmoFile({
+			actors: [
+				{ type: 112, x: 0, y: 0 },
+				{ type: 124, x: 1, y: 0 },
+			],
+		});
+		const map = map_cosmo.parse({main: content});
+		const [ crate112, crate124 ] = map.layers[1].items;
+		assert.deepStrictEqual(crate112.display, [ { i: 0 }, { i: 82 } ]);
+		assert.deepStrictEqual(crate124.display, [ { i: 0 }, { i: 94 } ]);
+	});
+
+	it('should encode solid and masked tiles', function() {
+		// Solid tiles are stored as the tile number times 8, and masked tiles as
+		// 16000 plus the tile number times 40.
+		const content = cosmoFile({
+			tiles: [
+				[ 0, 8 * 5 ],
+				[ 1, 8 * 1999 ],
+				[ 2, 16000 ],
+				[ 3, 16000 + 40 * 7 ],
+			],
+		});
+		const map = map_cosmo.parse({main: content});
+		assert.deepStrictEqual(map.layers[0].tiles[0].slice(0, 5), [
+			5, 1999, 2000, 2007, undefined,
+		]);
+
+		const output = map_cosmo.generate(map).main;
+		assert.strictEqual(output.length, 6 + 32764 * 2);
+		assert.deepStrictEqual(output, content);
+	});
+
+	it('should turn the header flags into attributes', function() {
+		const content = cosmoFile({
+			flags: (5 << 11) | (3 << 8) | 0x80 | 0x20 | 9,
+		});
+		const map = map_cosmo.parse({main: content});
+		const values = {};
+		for (const [ id, a ] of Object.entries(map.attributes)) {
+			values[id] = a.value;
+		}
+		assert.deepStrictEqual(values, {
+			bgmusic: 5,
+			animation: 3,
+			backdrop: 9,
+			bgScrollX: false,
+			bgScrollY: true,
+			rain: true,
+		});
+		assert.deepStrictEqual(map_cosmo.generate(map).main, content);
+
+		// New maps get the same attributes, all switched off.
+		const blank = map_cosmo.create();
+		assert.deepStrictEqual(Object.keys(blank.attributes), Object.keys(values));
+		assert.strictEqual(blank.attributes.rain.value, false);
+	});
+
+});
+
+/**
+ * Build a Dangerous Dave level file, laid out the same way as the ones
+ * extracted from the game.
+ *
+ * Normal levels start with the monster path, stored as the distance between
+ * each point and ending with 0xEA 0xEA, then the tiles, then some padding.
+ * The title screen map only has the tiles.
+ */
+function ddaveFile({path = [], tiles = [], titleScreen = false}) {
+	if (titleScreen) {
+		return Uint8Array.from(tiles);
+	}
+	let content = new Uint8Array(256 + 1000 + 24);
+	path.forEach((pt, i) => {
+		content[i * 2] = pt.x & 0xFF;
+		content[i * 2 + 1] = pt.y & 0xFF;
+	});
+	content[path.length * 2] = 0xEA;
+	content[path.length * 2 + 1] = 0xEA;
+	content.set(tiles, 256);
+	return content;
+}
+
+describe('Extra tests for map-ddave', function() {
+
+	it('should write a level back out unchanged', function() {
+		let tiles = new Array(1000).fill(0);
+		tiles[0] = 1;
+		tiles[101] = 20;
+		tiles[999] = 255;
+		const content = ddaveFile({
+			path: [
+				{ x: 5, y: 0 },
+				{ x: -3, y: 10 },
+			],
+			tiles,
+		});
+		const map = map_ddave.parse({main: content});
+		assert.strictEqual(map.layers[0].tiles[1][1], 20);
+		assert.deepStrictEqual(map_ddave.checkLimits(map), []);
+		const path = map.layers.find(l => l instanceof Map2D_Layer_Path);
+		assert.deepStrictEqual(path.paths[0], [
+			{ x: 5, y: 0 },
+			{ x: 2, y: 10 },
+		]);
+		assert.deepStrictEqual(map_ddave.generate(map).main, content);
+	});
+
+	it('should write the title screen back out unchanged', function() {
+		const tiles = Array.from({ length: 70 }, (v, i) => i);
+		const content = ddaveFile({ tiles, titleScreen: true });
+		const map = map_ddave.parse({main: content});
+		assert.strictEqual(map.layers[0].layerW, 10);
+		assert.strictEqual(map.layers[0].layerH, 7);
+		assert.ok(!map.layers.some(l => l instanceof Map2D_Layer_Path));
+		assert.deepStrictEqual(map_ddave.generate(map).main, content);
+	});
+
+	it('should add a player layer when given a start position', function() {
+		const content = ddaveFile({});
+		const map = map_ddave.parse({main: content}, {
+			playerStartX: 32,
+			playerStartY: 48,
+		});
+		const player = map.layers.find(l => l.title === 'Player');
+		assert.ok(player instanceof Map2D_Layer_List);
+		assert.strictEqual(player.items.length, 1);
+		assert.strictEqual(player.items[0].x, 32);
+		assert.strictEqual(player.items[0].y, 48);
+		assert.deepStrictEqual(map_ddave.generate(map).main, content);
+	});
+
+});
+
+describe('Extra tests for map-json', function() {
+
+	it('should convert back to the original format unchanged', function() {
+		let map = map_ddave.create();
+		map.layers[0].setTile(3, 2, 7);
+		let path = map.layers.find(l => l instanceof Map2D_Layer_Path);
+		path.insertPoint(0, 0, {x: 5, y: -3});
+		const original = map_ddave.generate(map).main;
+
+		const json = map_json.generate(map).main;
+		const map2 = map_json.parse({main: json});
+		assert.strictEqual(map2.constructor, map.constructor);
+		assert.deepStrictEqual(map_ddave.generate(map2).main, original);
+	});
+
+	it('should keep the structure of the original map', function() {
+		const content = ddaveFile({
+			tiles: Array.from({ length: 70 }, (v, i) => i),
+			titleScreen: true,
+		});
+		const map = map_ddave.parse({main: content}, { monsterTileIndex: 4 });
+
+		const map2 = map_json.parse(map_json.generate(map));
+		assert.deepStrictEqual(map2.layers[0].limits, map.layers[0].limits);
+		assert.deepStrictEqual(map2.limits, map.limits);
+		assert.strictEqual(map2.layers.length, map.layers.length);
+		assert.strictEqual(map2.layers[1].tileIndex, 4);
+		assert.deepStrictEqual(map_ddave.checkLimits(map2), []);
+		assert.deepStrictEqual(map_ddave.generate(map2).main, content);
+	});
+
+	it('should keep items, attributes and links', function() {
+		let map = map_cosmo.create();
+		map.attributes.bgmusic.value = 5;
+		map.metadata.title = 'Test level';
+		let actors = map.layers[1];
+		let item = actors.createItem(51);
+		item.x = 16;
+		item.y = 24;
+		item.idSource = 3;
+		item.attributeValues.message = 2;
+		actors.items.push(item);
+
+		const map2 = map_json.parse(map_json.generate(map));
+		assert.strictEqual(map2.attributes.bgmusic.value, 5);
+		assert.strictEqual(map2.metadata.title, 'Test level');
+		const item2 = map2.layers[1].items[0];
+		assert.strictEqual(item2.code, 51);
+		assert.strictEqual(item2.x, 16);
+		assert.strictEqual(item2.y, 24);
+		assert.strictEqual(item2.idSource, 3);
+		assert.deepStrictEqual(item2.attributeValues, {message: 2});
+		// The display info comes from the format handler, not the file.
+		assert.deepStrictEqual(item2.display, item.display);
+	});
+
+	it('should store maps that did not come from a format handler', function() {
+		let map = map_json.create();
+		map.attributes.lives = {
+			title: 'Lives',
+			type: 'int',
+			rangeMin: 1,
+			rangeMax: 9,
+			value: 3,
+		};
+		let list = new Map2D_Layer_List();
+		list.title = 'Items';
+		list.items.push(list.createItem('key'));
+		map.layers.push(list);
+
+		const text = new TextDecoder().decode(map_json.generate(map).main);
+		assert.ok(text.includes('"source": null'));
+		// Each item is on its own line.
+		assert.ok(text.includes('{"code":"key","x":0,"y":0}'));
+
+		const map2 = map_json.parse({main: new TextEncoder().encode(text)});
+		assert.deepStrictEqual(map2.attributes.lives, map.attributes.lives);
+		assert.ok(map2.layers[0] instanceof Map2D_Layer_Tiled);
+		assert.strictEqual(map2.layers[0].tiles[0][0], undefined);
+		assert.strictEqual(map2.layers[1].items[0].code, 'key');
+	});
+
+	it('should allow any tile in maps that did not come from a format handler', function() {
+		let map = map_json.create();
+		assert.strictEqual(map.layers[0].setTile(2, 3, 500), 1);
+		assert.strictEqual(map.layers[0].fillRect(0, 0, 2, 2, 'grass'), 4);
+
+		// Layers read back from the file can be edited too.
+		const map2 = map_json.parse(map_json.generate(map));
+		assert.strictEqual(map2.layers[0].getTile(2, 3), 500);
+		assert.strictEqual(map2.layers[0].setTile(2, 3, 7), 1);
+	});
+
+	it('should refuse files from a newer version', function() {
+		const doc = {
+			format: 'map-json',
+			version: 999,
+			type: 'map2d',
+			layers: [],
+		};
+		const content = new TextEncoder().encode(JSON.stringify(doc));
+		assert.throws(() => map_json.parse({main: content}), /version 999/);
+	});
+
+});
+
+for (const handler of [ map_tiled_tmj, map_tiled_tmx ]) {
+	const md = handler.metadata();
+
+	describe(`Extra tests for ${md.id}`, function() {
+
+		it('should convert back to the original format unchanged', function() {
+			let map = map_ddave.create();
+			map.layers[0].setTile(3, 2, 7);
+			let path = map.layers.find(l => l instanceof Map2D_Layer_Path);
+			path.insertPoint(0, 0, {x: 5, y: -3});
+			const original = map_ddave.generate(map).main;
+
+			const map2 = handler.parse(handler.generate(map));
+			assert.strictEqual(map2.constructor, map.constructor);
+			assert.deepStrictEqual(map_ddave.generate(map2).main, original);
+		});
+
+		it('should keep the structure of the original map', function() {
+			const content = ddaveFile({
+				tiles: Array.from({ length: 70 }, (v, i) => i),
+				titleScreen: true,
+			});
+			const map = map_ddave.parse({main: content});
+
+			const map2 = handler.parse(handler.generate(map));
+			assert.deepStrictEqual(map2.layers[0].limits, map.layers[0].limits);
+			assert.deepStrictEqual(map_ddave.checkLimits(map2), []);
+			assert.deepStrictEqual(map_ddave.generate(map2).main, content);
+		});
+
+		it('should store items as objects and attributes as properties', function() {
+			let map = map_cosmo.create();
+			map.attributes.bgmusic.value = 5;
+			map.attributes.rain.value = true;
+			let actors = map.layers[1];
+			let item = actors.createItem(51);
+			item.x = 16;
+			item.y = 24;
+			item.idSource = 3;
+			item.attributeValues.message = 2;
+			actors.items.push(item);
+
+			const output = handler.generate(map);
+			const text = new TextDecoder().decode(output.main);
+			assert.ok(text.includes('rain'));
+			assert.ok(text.includes('attribute:message'));
+
+			const map2 = handler.parse(output);
+			assert.strictEqual(map2.attributes.bgmusic.value, 5);
+			assert.strictEqual(map2.attributes.rain.value, true);
+			const item2 = map2.layers[1].items[0];
+			assert.strictEqual(item2.code, 51);
+			assert.strictEqual(item2.x, 16);
+			assert.strictEqual(item2.y, 24);
+			assert.strictEqual(item2.idSource, 3);
+			assert.deepStrictEqual(item2.attributeValues, {message: 2});
+		});
+
+		it('should keep layer offsets', function() {
+			let map = map_cosmo.create();
+			map.layers[1].limits.offsetX = 4;
+			map.layers[1].limits.offsetY = -8;
+			const output = handler.generate(map);
+
+			const map2 = handler.parse(output);
+			assert.strictEqual(map2.layers[0].limits.offsetX, 0);
+			assert.strictEqual(map2.layers[0].limits.offsetY, 0);
+			assert.strictEqual(map2.layers[1].limits.offsetX, 4);
+			assert.strictEqual(map2.layers[1].limits.offsetY, -8);
+
+			// Move the layer somewhere else, as if it had been dragged in Tiled.
+			const text = new TextDecoder().decode(output.main)
+				.replace(/(offsetx(?:": |="))4/, '$112');
+			const map3 = handler.parse({main: new TextEncoder().encode(text)});
+			assert.strictEqual(map3.layers[1].limits.offsetX, 12);
+			assert.strictEqual(map3.layers[1].limits.offsetY, -8);
+		});
+
+		it('should leave blank tiles empty', function() {
+			let map = handler.create();
+			map.layers[0].tiles[1][2] = 0;
+			const map2 = handler.parse(handler.generate(map));
+			assert.strictEqual(map2.layers[0].tiles[0][0], undefined);
+			assert.strictEqual(map2.layers[0].tiles[1][2], 0);
+		});
+
+		it('should refuse tile codes Tiled cannot store', function() {
+			let map = handler.create();
+			map.layers[0].tiles[0][0] = 'water';
+			assert.strictEqual(handler.checkLimits(map).length, 1);
+		});
+
+	});
+}
@@ -0,0 +1,1214 @@
+/*
+ * Tests for the generic map interface classes.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import {
+	applyPatch,
+	checkPatch,
+	convertMap,
+	createPatch,
+	diffMaps,
+	findCode,
+	map_cosmo,
+	map_ddave,
+	map_json,
+	mapStats,
+	Map2D,
+	Map2D_Layer_List,
+	Map2D_Layer_Path,
+	Map2D_Layer_Tiled,
+	Item,
+	Item_Map2D_Layer_List,
+	parseDisplayText,
+	patchFromJSON,
+	patchToJSON,
+	renderMap,
+	replaceCode,
+	resolveItemDisplay,
+	resolveTileDisplay,
+	tilesFromText,
+	tilesToText,
+} from '../index.js';
+
+// Tiled layer that permits every tile code except 99.
+class TestLayer extends Map2D_Layer_Tiled
+{
+	isPermittedAt(x, y, code) {
+		if (code === 99) {
+			return {
+				valid: false,
+				reason: 'Code 99 is not permitted.',
+			};
+		}
+		return { valid: true };
+	}
+}
+
+// Create a 4x3 map of 8x8 tiles numbered 0..11, with one item on tile 5.
+function createTestMap() {
+	let map = new Map2D();
+
+	let tiles = [];
+	for (let y = 0; y < 3; y++) {
+		tiles.push([0, 1, 2, 3].map(x => y * 4 + x));
+	}
+	map.layers.push(new TestLayer({
+		title: 'Tiles',
+		layerW: 4,
+		layerH: 3,
+		tileW: 8,
+		tileH: 8,
+		tiles,
+	}));
+
+	let list = new Map2D_Layer_List();
+	let item = new Item_Map2D_Layer_List();
+	item.x = 8;
+	item.y = 8;
+	item.code = 'A';
+	list.items.push(item);
+	map.layers.push(list);
+
+	return map;
+}
+
+describe('Map2D', function() {
+
+	describe('queryResize()', function() {
+
+		it('should clamp to the map limits', function() {
+			let map = createTestMap();
+			map.limits.maximumMapSize = {x: 10, y: 5};
+			assert.deepStrictEqual(map.queryResize({x: 20, y: 0}), {x: 10, y: 1});
+		});
+
+	});
+
+	describe('resize()', function() {
+
+		it('should keep the top-left in place by default', function() {
+			let map = createTestMap();
+			map.resize({x: 5, y: 2});
+			assert.deepStrictEqual(map.mapSize, {x: 5, y: 2});
+			assert.deepStrictEqual(map.layers[0].tiles, [
+				[0, 1, 2, 3, undefined],
+				[4, 5, 6, 7, undefined],
+			]);
+			assert.strictEqual(map.layers[1].items[0].x, 8);
+		});
+
+		it('should shift content when anchored bottom-right', function() {
+			let map = createTestMap();
+			map.resize({x: 2, y: 4}, Map2D.ResizeAnchor.BottomRight);
+			assert.deepStrictEqual(map.layers[0].tiles, [
+				[undefined, undefined],
+				[2, 3],
+				[6, 7],
+				[10, 11],
+			]);
+			// Item was on tile (1,1) and the map has moved left two tiles.
+			assert.strictEqual(map.layers[1].items.length, 0);
+		});
+
+		it('should move items and report the ones removed', function() {
+			let map = createTestMap();
+			const removed = map.resize({x: 2, y: 2}, Map2D.ResizeAnchor.Centre);
+			// Odd differences favour keeping the bottom-right.
+			assert.deepStrictEqual(map.layers[0].tiles, [
+				[5, 6],
+				[9, 10],
+			]);
+			assert.strictEqual(removed.length, 0);
+			assert.strictEqual(map.layers[1].items[0].x, 0);
+			assert.strictEqual(map.layers[1].items[0].y, 0);
+
+			const removed2 = map.resize({x: 1, y: 1}, Map2D.ResizeAnchor.BottomRight);
+			assert.strictEqual(removed2.length, 1);
+			assert.strictEqual(removed2[0].layer, 1);
+			assert.strictEqual(removed2[0].item.code, 'A');
+		});
+
+		it('should refuse sizes not accepted by queryResize()', function() {
+			let map = createTestMap();
+			map.limits.maximumMapSize = {x: 4, y: 3};
+			assert.throws(() => map.resize({x: 5, y: 3}));
+		});
+
+		it('should keep the Cosmo tile count fixed', function() {
+			let map = map_cosmo.create();
+			assert.deepStrictEqual(map.queryResize({x: 200, y: 511}), {x: 128, y: 256});
+			assert.deepStrictEqual(map.queryResize({x: 64, y: 100}), {x: 256, y: 128});
+
+			map.resize({x: 128, y: 256});
+			assert.deepStrictEqual(map.mapSize, {x: 128, y: 256});
+			assert.deepStrictEqual(map_cosmo.checkLimits(map), []);
+		});
+
+	});
+
+});
+
+describe('Map2D_Layer_Tiled', function() {
+
+	describe('getTile()/setTile()', function() {
+
+		it('should read and write tiles', function() {
+			let layer = createTestMap().layers[0];
+			assert.strictEqual(layer.getTile(3, 2), 11);
+			assert.strictEqual(layer.setTile(3, 2, 50), 1);
+			assert.strictEqual(layer.getTile(3, 2), 50);
+			assert.strictEqual(layer.setTile(3, 2, 50), 0);
+		});
+
+		it('should reject coordinates outside the layer', function() {
+			let layer = createTestMap().layers[0];
+			assert.throws(() => layer.getTile(4, 0));
+			assert.throws(() => layer.setTile(0, -1, 1));
+		});
+
+		it('should reject tiles refused by isPermittedAt()', function() {
+			let layer = createTestMap().layers[0];
+			assert.throws(() => layer.setTile(0, 0, 99), /not permitted/);
+			assert.strictEqual(layer.getTile(0, 0), 0);
+		});
+
+	});
+
+	describe('fillRect()', function() {
+
+		it('should clip to the layer edges', function() {
+			let layer = createTestMap().layers[0];
+			assert.strictEqual(layer.fillRect(2, 1, 10, 10, 7), 3);
+			assert.deepStrictEqual(layer.tiles, [
+				[0, 1, 2, 3],
+				[4, 5, 7, 7],
+				[8, 9, 7, 7],
+			]);
+		});
+
+		it('should change nothing if any tile is refused', function() {
+			let layer = createTestMap().layers[0];
+			assert.throws(() => layer.fillRect(0, 0, 2, 2, 99));
+			assert.strictEqual(layer.getTile(0, 0), 0);
+		});
+
+	});
+
+	describe('floodFill()', function() {
+
+		it('should only fill connected tiles of the same code', function() {
+			let layer = createTestMap().layers[0];
+			layer.tiles = [
+				[1, 1, 2, 1],
+				[2, 1, 2, 1],
+				[1, 1, 2, 2],
+			];
+			assert.strictEqual(layer.floodFill(1, 1, 5), 5);
+			assert.deepStrictEqual(layer.tiles, [
+				[5, 5, 2, 1],
+				[2, 5, 2, 1],
+				[5, 5, 2, 2],
+			]);
+		});
+
+	});
+
+	describe('copyRegion()/pasteRegion()', function() {
+
+		it('should copy a region and paste it elsewhere', function() {
+			let layer = createTestMap().layers[0];
+			const stamp = layer.copyRegion(0, 0, 2, 2);
+			assert.deepStrictEqual(stamp, {
+				width: 2,
+				height: 2,
+				tiles: [
+					[0, 1],
+					[4, 5],
+				],
+			});
+			layer.pasteRegion(stamp, 3, 1);
+			assert.deepStrictEqual(layer.tiles, [
+				[0, 1, 2, 3],
+				[4, 5, 6, 0],
+				[8, 9, 10, 4],
+			]);
+		});
+
+		it('should leave existing tiles under blank stamp tiles if asked', function() {
+			let layer = createTestMap().layers[0];
+			const stamp = {
+				width: 2,
+				height: 1,
+				tiles: [ [undefined, 20] ],
+			};
+			layer.pasteRegion(stamp, 0, 0, { skipBlank: true });
+			assert.deepStrictEqual(layer.tiles[0], [0, 20, 2, 3]);
+			layer.pasteRegion(stamp, 0, 0);
+			assert.deepStrictEqual(layer.tiles[0], [undefined, 20, 2, 3]);
+		});
+
+	});
+
+});
+
+describe('Journal', function() {
+
+	it('should undo and redo a transaction of tile changes', function() {
+		let map = createTestMap();
+		let layer = map.layers[0];
+		map.beginTransaction('Paint');
+		layer.setTile(0, 0, 20);
+		layer.fillRect(1, 0, 2, 1, 21);
+		map.endTransaction();
+
+		assert.deepStrictEqual(layer.tiles[0], [20, 21, 21, 3]);
+		assert.strictEqual(map.undo(), 'Paint');
+		assert.deepStrictEqual(layer.tiles[0], [0, 1, 2, 3]);
+		assert.strictEqual(map.redo(), 'Paint');
+		assert.deepStrictEqual(layer.tiles[0], [20, 21, 21, 3]);
+		assert.strictEqual(map.redo(), null);
+	});
+
+	it('should keep item identity across undo', function() {
+		let map = createTestMap();
+		let list = map.layers[1];
+		const item = list.items[0];
+
+		map.beginTransaction('Edit items');
+		list.moveItem(item, 16, 0);
+		list.removeItem(0);
+		map.endTransaction();
+		assert.strictEqual(list.items.length, 0);
+
+		map.undo();
+		assert.strictEqual(list.items[0], item);
+		assert.strictEqual(item.x, 8);
+		assert.strictEqual(item.y, 8);
+	});
+
+	it('should record attribute changes', function() {
+		let map = createTestMap();
+		map.attributes.music = {
+			title: 'Music',
+			type: 'int',
+			rangeMin: 0,
+			rangeMax: 10,
+			value: 1,
+		};
+		map.setAttribute('music', 5);
+		assert.strictEqual(map.attributes.music.value, 5);
+		assert.strictEqual(map.undo(), 'Change Music');
+		assert.strictEqual(map.attributes.music.value, 1);
+	});
+
+	for (const handler of [ map_cosmo, map_ddave ]) {
+		it(`should record changes made outside a transaction [${handler.metadata().id}]`, function() {
+			let map = handler.create();
+			let bg = map.layers[0];
+			let list = map.layers[1];
+			const before = bg.getTile(1, 1);
+
+			bg.setTile(1, 1, 5);
+			let item = list.createItem(1);
+			list.addItem(item);
+			list.moveItem(item, 16, 16);
+
+			// Each change is its own transaction.
+			map.undo();
+			assert.strictEqual(item.x, 0);
+			map.undo();
+			assert.strictEqual(list.items.length, 0);
+			map.undo();
+			assert.strictEqual(bg.getTile(1, 1), before);
+			assert.strictEqual(map.undo(), null);
+
+			map.redo();
+			map.redo();
+			assert.strictEqual(bg.getTile(1, 1), 5);
+			assert.strictEqual(list.items[0], item);
+		});
+	}
+
+	it('should undo a resize', function() {
+		let map = createTestMap();
+		map.beginTransaction('Resize');
+		map.resize({x: 1, y: 1}, Map2D.ResizeAnchor.BottomRight);
+		map.endTransaction();
+		assert.strictEqual(map.layers[1].items.length, 0);
+
+		map.undo();
+		assert.deepStrictEqual(map.mapSize, {x: 4, y: 3});
+		assert.strictEqual(map.layers[0].getTile(3, 2), 11);
+		assert.strictEqual(map.layers[1].items[0].x, 8);
+	});
+
+	it('should revert a cancelled transaction', function() {
+		let map = createTestMap();
+		let layer = map.layers[0];
+		map.beginTransaction('Paint');
+		layer.setTile(1, 1, 30);
+		map.cancelTransaction();
+		assert.strictEqual(layer.getTile(1, 1), 5);
+		assert.strictEqual(map.undo(), null);
+	});
+
+});
+
+describe('Events', function() {
+
+	it('should report the rectangle of changed tiles', function() {
+		let layer = createTestMap().layers[0];
+		let events = [];
+		layer.on('tiles', ev => events.push(ev));
+		layer.fillRect(1, 1, 2, 2, 40);
+		layer.setTile(1, 1, 40); // no change, no event
+		assert.deepStrictEqual(events, [
+			{x: 1, y: 1, width: 2, height: 2},
+		]);
+	});
+
+	it('should report item changes, including undo', function() {
+		let map = createTestMap();
+		let list = map.layers[1];
+		let events = [];
+		list.on('items', ev => events.push(`${ev.action}@${ev.index}`));
+
+		map.beginTransaction('Move');
+		list.moveItem(0, 0, 0);
+		map.endTransaction();
+		map.undo();
+		assert.deepStrictEqual(events, ['move@0', 'move@0']);
+		assert.strictEqual(list.items[0].x, 8);
+	});
+
+	it('should report attribute changes', function() {
+		let map = createTestMap();
+		map.attributes.rain = {
+			title: 'Rain',
+			type: 'bool',
+			value: false,
+		};
+		let events = [];
+		const listener = map.on('attribute', ev => events.push(ev));
+		map.setAttribute('rain', true);
+		map.off('attribute', listener);
+		map.setAttribute('rain', false);
+		assert.deepStrictEqual(events, [
+			{id: 'rain', value: true, previous: false},
+		]);
+	});
+
+	it('should report resizes', function() {
+		let map = createTestMap();
+		let events = [];
+		map.on('resize', ev => events.push(ev));
+		map.layers[0].on('resize', () => events.push('layer'));
+		map.resize({x: 2, y: 2});
+		assert.deepStrictEqual(events, ['layer', {x: 2, y: 2}]);
+	});
+
+});
+
+describe('Attribute validation', function() {
+
+	it('should check each attribute type', function() {
+		const check = (attr, value) => Map2D.checkAttributeValue(attr, value);
+		const presets = ['a', 'b', 'c'];
+
+		assert.strictEqual(check({type: 'int', rangeMin: 0, rangeMax: 31}, 31), null);
+		assert.ok(check({type: 'int', rangeMin: 0, rangeMax: 31}, 32));
+		assert.ok(check({type: 'int', rangeMin: 0, rangeMax: 31}, 1.5));
+		assert.strictEqual(check({type: 'bool'}, false), null);
+		assert.ok(check({type: 'bool'}, 0));
+		assert.strictEqual(check({type: 'string', rangeMin: 0, rangeMax: 0}, 'long text'), null);
+		assert.ok(check({type: 'string', rangeMin: 1, rangeMax: 3}, 'abcd'));
+		assert.strictEqual(check({type: 'preset-single', presets}, 2), null);
+		assert.ok(check({type: 'preset-single', presets}, 3));
+		assert.strictEqual(check({type: 'preset-multiple0', presets}, []), null);
+		assert.ok(check({type: 'preset-multiple1', presets}, []));
+		assert.ok(check({type: 'preset-multiple0', presets}, [1, 1]));
+	});
+
+	it('should reject invalid values in setAttribute()', function() {
+		let map = map_cosmo.create();
+		assert.throws(() => map.setAttribute('bgmusic', 32), /outside the permitted range/);
+		assert.throws(() => map.setAttribute('rain', 'yes'));
+		map.setAttribute('bgmusic', 31);
+		assert.strictEqual(map.attributes.bgmusic.value, 31);
+	});
+
+	it('should report invalid values in checkLimits()', function() {
+		let map = map_cosmo.create();
+		map.attributes.bgmusic.value = 40;
+		const issues = map_cosmo.checkLimits(map);
+		assert.strictEqual(issues.length, 1);
+		assert.ok(issues[0].includes('Background music'));
+	});
+
+	it('should validate item attributes', function() {
+		let map = createTestMap();
+		map.itemAttributes.speed = {
+			title: 'Speed',
+			type: 'int',
+			rangeMin: 1,
+			rangeMax: 3,
+		};
+		let item = map.layers[1].items[0];
+		item.attributeValues.speed = null;
+		assert.deepStrictEqual(map.validateAttributes(), []);
+
+		map.setItemAttribute(item, 'speed', 2);
+		assert.strictEqual(item.attributeValues.speed, 2);
+		assert.throws(() => map.setItemAttribute(item, 'speed', 4));
+		assert.throws(() => map.setItemAttribute(item, 'colour', 1));
+
+		item.attributeValues.speed = 9;
+		assert.strictEqual(map.validateAttributes().length, 1);
+	});
+
+});
+
+describe('Map2D_Layer_Path', function() {
+
+	it('should edit points and undo the changes', function() {
+		let map = new Map2D();
+		let layer = new Map2D_Layer_Path({
+			limits: { maxPoints: 3 },
+			paths: [ [ {x: 0, y: 0}, {x: 10, y: 0} ] ],
+		});
+		map.layers.push(layer);
+
+		map.beginTransaction('Edit path');
+		layer.insertPoint(0, 2, {x: 10, y: 10});
+		layer.movePoint(0, 0, -5, -5);
+		map.endTransaction();
+		assert.deepStrictEqual(layer.paths[0], [
+			{x: -5, y: -5},
+			{x: 10, y: 0},
+			{x: 10, y: 10},
+		]);
+		assert.throws(() => layer.insertPoint(0, 0, {x: 1, y: 1}), /maximum/);
+
+		map.undo();
+		assert.deepStrictEqual(layer.paths[0], [ {x: 0, y: 0}, {x: 10, y: 0} ]);
+	});
+
+	it('should read and write the Dangerous Dave monster path', function() {
+		let map = map_ddave.create();
+		let layer = map.layers.find(l => l instanceof Map2D_Layer_Path);
+		assert.ok(layer.relative);
+		layer.insertPoint(0, 0, {x: 2, y: -1});
+		layer.insertPoint(0, 1, {x: -100, y: 20});
+
+		const output = map_ddave.generate(map);
+		assert.deepStrictEqual(Array.from(output.main.slice(0, 6)), [
+			0x02, 0xFF, // +2,-1
+			0x9A, 0x15, // -102,+21
+			0xEA, 0xEA, // end of path
+		]);
+
+		const map2 = map_ddave.parse(output);
+		const layer2 = map2.layers.find(l => l instanceof Map2D_Layer_Path);
+		assert.deepStrictEqual(layer2.paths, layer.paths);
+	});
+
+	it('should report points that cannot be encoded', function() {
+		let map = map_ddave.create();
+		let layer = map.layers.find(l => l instanceof Map2D_Layer_Path);
+		layer.paths[0] = [ {x: -22, y: -22}, {x: 200, y: 0} ];
+		const issues = map_ddave.checkLimits(map);
+		assert.strictEqual(issues.length, 2);
+		assert.ok(issues[0].includes('reserved'));
+		assert.ok(issues[1].includes('too far'));
+	});
+
+});
+
+describe('Links', function() {
+
+	// Add an item with the given link IDs to the list layer of the test map.
+	function addLinkedItem(map, ids) {
+		let item = new Item_Map2D_Layer_List();
+		item.x = 0;
+		item.y = 0;
+		Object.assign(item, ids);
+		map.layers[1].items.push(item);
+		return item;
+	}
+
+	it('should find the targets of a source', function() {
+		let map = createTestMap();
+		const sw = addLinkedItem(map, { idSource: 5 });
+		const door = addLinkedItem(map, { idTarget: 5 });
+		addLinkedItem(map, { idTarget: 6 });
+
+		const targets = map.getLinkTargets(sw);
+		assert.strictEqual(targets.length, 1);
+		assert.strictEqual(targets[0].item, door);
+		assert.strictEqual(targets[0].layer, 1);
+		assert.strictEqual(targets[0].index, 2);
+
+		assert.deepStrictEqual(map.getLinkTargets(door), []);
+	});
+
+	it('should report links without a partner', function() {
+		let map = createTestMap();
+		addLinkedItem(map, { idSource: 1 });
+		addLinkedItem(map, { idTarget: 1 });
+		addLinkedItem(map, { idSource: 2 });
+		addLinkedItem(map, { idTarget: 3 });
+		addLinkedItem(map, { idGroup: 4 });
+		addLinkedItem(map, { idGroup: 4 });
+		addLinkedItem(map, { idGroup: 7 });
+		addLinkedItem(map, { idGroup: 0 });
+
+		const issues = map.checkLinks();
+		assert.strictEqual(issues.length, 3);
+		assert.ok(issues[0].includes('source of link 2'));
+		assert.ok(issues[1].includes('target of link 3'));
+		assert.ok(issues[2].includes('group 7'));
+	});
+
+});
+
+describe('Display resolver', function() {
+
+	it('should split text into colour runs', function() {
+		assert.deepStrictEqual(parseDisplayText('A$100$0B$$C$'), [
+			{ colour: 0, text: 'A' },
+			{ colour: 1, text: '00' },
+			{ colour: 0, text: 'B$C$' },
+		]);
+	});
+
+	it('should resolve item display objects', function() {
+		const tileset = [ 'img0', 'img1' ];
+		let item = new Item_Map2D_Layer_List();
+		item.display = () => [
+			{ i: 1, y: -5, yMirror: true },
+			{ text: 'X$1Y', font: 1, x: 3 },
+			{ icon: Item.Icons.Warning },
+			{ i: 7 },
+		];
+		assert.deepStrictEqual(resolveItemDisplay(item, tileset), [
+			{ type: 'image', x: 0, y: -5, index: 1, image: 'img1', yMirror: true },
+			{
+				type: 'text', x: 3, y: 0, text: 'XY', font: 1,
+				runs: [ { colour: 0, text: 'X' }, { colour: 1, text: 'Y' } ],
+			},
+			{ type: 'icon', x: 0, y: 0, icon: Item.Icons.Warning },
+			{ type: 'image', x: 0, y: 0, index: 7, image: null, yMirror: false },
+		]);
+
+		item.display = null;
+		assert.deepStrictEqual(resolveItemDisplay(item, tileset), []);
+	});
+
+	it('should resolve tiles from imageFromCode()', function() {
+		let layer = new Map2D_Layer_Tiled();
+		layer.imageFromCode = (code, tileset) => ({
+			compositeImage: [ { image: tileset[code], offsetX: 2 } ],
+			digit: 0x10A,
+			arrow: { up: true, left: true, right: true },
+		});
+		const ops = resolveTileDisplay(layer, 0, [ 'img0' ]);
+		assert.deepStrictEqual(ops.map(op => op.type), [
+			'image', 'text', 'icon', 'icon', 'icon',
+		]);
+		assert.strictEqual(ops[0].image, 'img0');
+		assert.strictEqual(ops[0].x, 2);
+		assert.strictEqual(ops[1].text, '0A');
+		assert.deepStrictEqual(ops.slice(2).map(op => op.icon), [
+			Item.Icons.UpArrow,
+			Item.Icons.LeftArrow,
+			Item.Icons.RightArrow,
+		]);
+
+		layer.imageFromCode = () => ({
+			digit: null,
+			compositeImage: null,
+			arrow: { left: true, right: true },
+		});
+		assert.deepStrictEqual(resolveTileDisplay(layer, 0), [
+			{ type: 'icon', x: 0, y: 0, icon: Item.Icons.LeftRightArrow },
+		]);
+	});
+
+});
+
+describe('renderMap()', function() {
+
+	// Palette with 0 transparent, 1 red, 2 green and 3 half-transparent blue.
+	const palette = [
+		[0, 0, 0, 0],
+		[255, 0, 0, 255],
+		[0, 255, 0, 255],
+		[0, 0, 255, 128],
+	];
+
+	// Create a 2x1 map of 2x2 tiles, with tile 0 red and tile 1 green.
+	function createRenderMap() {
+		let map = new Map2D();
+		map.palette = palette;
+		let layer = new TestLayer({
+			layerW: 2,
+			layerH: 1,
+			tileW: 2,
+			tileH: 2,
+			tiles: [ [ 0, 1 ] ],
+		});
+		layer.tileset = [
+			{ width: 2, height: 2, pixels: [1, 1, 1, 1] },
+			{ width: 2, height: 2, pixels: [2, 0, 2, 2] },
+		];
+		layer.imageFromCode = (code, tileset) => tileset[code];
+		map.layers.push(layer);
+		return map;
+	}
+
+	// Get the RGBA value of one pixel.
+	function pixel(frame, x, y) {
+		const o = (y * frame.width + x) * 4;
+		return Array.from(frame.pixels.slice(o, o + 4));
+	}
+
+	it('should draw tiles using the map palette', function() {
+		const frame = renderMap(createRenderMap());
+		assert.strictEqual(frame.width, 4);
+		assert.strictEqual(frame.height, 2);
+		assert.deepStrictEqual(pixel(frame, 0, 0), [255, 0, 0, 255]);
+		assert.deepStrictEqual(pixel(frame, 2, 0), [0, 255, 0, 255]);
+		assert.deepStrictEqual(pixel(frame, 3, 0), [0, 0, 0, 0]);
+	});
+
+	it('should draw items over tiles, using the layer offset', function() {
+		let map = createRenderMap();
+		let list = new Map2D_Layer_List();
+		list.limits.offsetX = 1;
+		list.tileset = [
+			{ width: 1, height: 2, pixels: [3, 1] },
+		];
+		let item = new Item_Map2D_Layer_List();
+		item.x = 2;
+		item.y = 0;
+		item.display = [ { i: 0, yMirror: true } ];
+		list.items.push(item);
+		map.layers.push(list);
+
+		const frame = renderMap(map);
+		assert.deepStrictEqual(pixel(frame, 3, 0), [255, 0, 0, 255]);
+		// Half-transparent blue over the green tile.
+		assert.deepStrictEqual(pixel(frame, 3, 1), [0, 127, 128, 255]);
+		assert.deepStrictEqual(pixel(frame, 2, 1), [0, 255, 0, 255]);
+
+		const tilesOnly = renderMap(map, { layers: [ 0 ] });
+		assert.deepStrictEqual(pixel(tilesOnly, 3, 0), [0, 0, 0, 0]);
+	});
+
+	it('should draw the background and crop the output', function() {
+		let map = createRenderMap();
+		map.background = {
+			att: Map2D.BackgroundAttachment.SingleColour,
+			clr: 3,
+		};
+		const frame = renderMap(map, {
+			area: { x: 3, y: 0, width: 1, height: 1 },
+		});
+		assert.strictEqual(frame.width, 1);
+		assert.strictEqual(frame.height, 1);
+		assert.deepStrictEqual(pixel(frame, 0, 0), [0, 0, 255, 128]);
+	});
+
+});
+
+describe('convertMap()', function() {
+
+	function ddaveMap() {
+		let map = map_ddave.create();
+		map.layers[0].setTile(0, 0, 1);
+		map.layers[0].setTile(5, 3, 2);
+		let monster = map.layers[1].createItem(1);
+		monster.x = 32;
+		monster.y = 48;
+		map.layers[1].items.push(monster);
+		return map;
+	}
+
+	it('should translate codes and scale item positions', function() {
+		const result = convertMap(ddaveMap(), map_cosmo, {
+			mapping: {
+				tiles: { 0: null, 1: 2000, 2: 2008 },
+				items: { 1: 51 },
+			},
+			create: { width: 128 },
+		});
+		assert.deepStrictEqual(result.unmapped, []);
+		assert.deepStrictEqual(result.issues, []);
+		const map = result.map;
+		assert.strictEqual(map.constructor, map_cosmo.create().constructor);
+		assert.strictEqual(map.layers[0].tiles[0][0], 2000);
+		assert.strictEqual(map.layers[0].tiles[3][5], 2008);
+		assert.strictEqual(map.layers[0].tiles[1][1], undefined);
+		// DDave tiles are 16x16 and Cosmo tiles are 8x8.
+		const item = map.layers[1].items[0];
+		assert.strictEqual(item.code, 51);
+		assert.strictEqual(item.x, 16);
+		assert.strictEqual(item.y, 24);
+		// DDave's path layer has nowhere to go.
+		assert.strictEqual(result.warnings.length, 1);
+	});
+
+	it('should warn about tiles that do not fit', function() {
+		let map = ddaveMap();
+		map.layers[0].setTile(70, 1, 1);
+		map.layers[0].setTile(80, 1, 1);
+		const result = convertMap(map, map_cosmo, {
+			mapping: {
+				tiles: { 0: null, 1: 2000, 2: 2008 },
+			},
+			create: { width: 64 },
+		});
+		// The blank tiles past the edge are not counted.
+		assert.ok(result.warnings.some(w => w.startsWith('2 tiles')));
+	});
+
+	it('should report tiles the new format cannot store', function() {
+		let map = map_cosmo.create();
+		map.layers[0].setTile(0, 0, 16);
+		map.layers[0].setTile(1, 0, 2500);
+		map.layers[0].setTile(2, 0, 2600);
+		const result = convertMap(map, map_ddave);
+		assert.strictEqual(result.map.layers[0].tiles[0][1], 2500);
+		// DDave tiles are a single byte, so 2500 would be saved as 196.
+		assert.strictEqual(result.issues.length, 1);
+		assert.ok(result.issues[0].startsWith('2 of the tiles'), result.issues[0]);
+		assert.ok(result.issues[0].includes('(1, 0)'), result.issues[0]);
+	});
+
+	it('should report codes missing from the mapping table', function() {
+		const result = convertMap(ddaveMap(), map_cosmo, {
+			mapping: {
+				tiles: { 0: null },
+				items: {},
+			},
+		});
+		assert.deepStrictEqual(result.unmapped, [
+			{ type: 'tile', layer: 'Background', code: 1, count: 1 },
+			{ type: 'tile', layer: 'Background', code: 2, count: 1 },
+			{ type: 'item', layer: 'Monsters', code: 1, count: 1 },
+		]);
+		assert.strictEqual(result.map.layers[1].items.length, 0);
+	});
+
+	it('should pass options to the new format', function() {
+		const result = convertMap(ddaveMap(), map_cosmo, {
+			create: { width: 64 },
+		});
+		assert.strictEqual(result.map.layers[0].layerW, 64);
+	});
+
+	it('should include problems from checkLimits()', function() {
+		let map = ddaveMap();
+		for (let i = 0; i < 10; i++) {
+			map.layers[1].items.push(map.layers[1].createItem(1));
+		}
+		// Cosmo only allows 10 platforms.
+		const result = convertMap(map, map_cosmo, {
+			mapping: {
+				items: { 1: 1 },
+			},
+			create: { width: 64 },
+		});
+		assert.strictEqual(result.map.layers[1].items.length, 11);
+		assert.ok(result.issues.length > 0);
+	});
+
+	it('should keep the map unchanged for interchange formats', function() {
+		const map = ddaveMap();
+		const result = convertMap(map, map_json);
+		assert.strictEqual(result.map, map);
+	});
+
+});
+
+describe('diffMaps()', function() {
+
+	function cosmoMap() {
+		let map = map_cosmo.create();
+		let actors = map.layers[1];
+		for (const [ code, x, y ] of [ [ 51, 8, 8 ], [ 52, 16, 8 ], [ 53, 24, 8 ] ]) {
+			let item = actors.createItem(code);
+			item.x = x;
+			item.y = y;
+			actors.items.push(item);
+		}
+		return map;
+	}
+
+	it('should find no differences between identical maps', function() {
+		const diff = diffMaps(cosmoMap(), cosmoMap());
+		assert.strictEqual(diff.identical, true);
+		assert.deepStrictEqual(diff.layers, []);
+	});
+
+	it('should report changed attributes', function() {
+		let map = cosmoMap();
+		map.attributes.bgmusic.value = 4;
+		const diff = diffMaps(cosmoMap(), map);
+		assert.strictEqual(diff.identical, false);
+		assert.deepStrictEqual(diff.attributes, [
+			{ id: 'bgmusic', from: 0, to: 4 },
+		]);
+	});
+
+	it('should group changed tiles into rectangles', function() {
+		let map = cosmoMap();
+		map.layers[0].fillRect(2, 3, 3, 2, 2000);
+		map.layers[0].setTile(10, 10, 2008);
+		const diff = diffMaps(cosmoMap(), map);
+		assert.strictEqual(diff.layers.length, 1);
+		assert.deepStrictEqual(diff.layers[0].tiles, [
+			{
+				x: 2, y: 3, width: 3, height: 2,
+				from: [
+					[ undefined, undefined, undefined ],
+					[ undefined, undefined, undefined ],
+				],
+				to: [
+					[ 2000, 2000, 2000 ],
+					[ 2000, 2000, 2000 ],
+				],
+			}, {
+				x: 10, y: 10, width: 1, height: 1,
+				from: [ [ undefined ] ],
+				to: [ [ 2008 ] ],
+			},
+		]);
+	});
+
+	it('should report added, removed, moved and changed items', function() {
+		let map = cosmoMap();
+		let items = map.layers[1].items;
+		items[0].x = 40;
+		items[1].idSource = 2;
+		items.splice(2, 1);
+		let item = map.layers[1].createItem(60);
+		item.x = 80;
+		item.y = 8;
+		items.push(item);
+
+		const diff = diffMaps(cosmoMap(), map);
+		const layer = diff.layers[0];
+		assert.strictEqual(layer.index, 1);
+		assert.deepStrictEqual(layer.moved.map(i => [ i.code, i.from.x, i.to.x ]),
+			[ [ 51, 8, 40 ] ]);
+		assert.deepStrictEqual(layer.changed.map(i => [ i.code, i.changes ]),
+			[ [ 52, { idSource: { from: undefined, to: 2 } } ] ]);
+		assert.deepStrictEqual(layer.removed.map(i => i.code), [ 53 ]);
+		assert.deepStrictEqual(layer.added.map(i => i.code), [ 60 ]);
+	});
+
+	it('should report path changes', function() {
+		let map = map_ddave.create();
+		let path = map.layers[2];
+		path.insertPoint(0, 0, {x: 1, y: 2});
+		const diff = diffMaps(map_ddave.create(), map);
+		assert.deepStrictEqual(diff.layers[0].paths, [
+			{ index: 0, from: [], to: [ {x: 1, y: 2} ] },
+		]);
+	});
+
+});
+
+describe('Patches', function() {
+
+	function original() {
+		let map = map_cosmo.create();
+		let actors = map.layers[1];
+		for (const [ code, x, y ] of [ [ 51, 8, 8 ], [ 52, 16, 8 ], [ 53, 24, 8 ] ]) {
+			let item = actors.createItem(code);
+			item.x = x;
+			item.y = y;
+			actors.items.push(item);
+		}
+		return map;
+	}
+
+	function edited() {
+		let map = original();
+		map.attributes.rain.value = true;
+		map.layers[0].fillRect(2, 3, 3, 2, 2000);
+		let items = map.layers[1].items;
+		items[0].x = 40;
+		items[1].idSource = 2;
+		items.splice(2, 1);
+		let item = map.layers[1].createItem(60);
+		item.x = 80;
+		item.y = 8;
+		items.push(item);
+		return map;
+	}
+
+	it('should turn the original map into the edited one', function() {
+		const patch = patchFromJSON(patchToJSON(createPatch(original(), edited())));
+		let map = original();
+		assert.deepStrictEqual(checkPatch(map, patch), []);
+		applyPatch(map, patch);
+		assert.deepStrictEqual(map_cosmo.generate(map).main,
+			map_cosmo.generate(edited()).main);
+	});
+
+	it('should be undone in one step', function() {
+		const patch = createPatch(original(), edited());
+		let map = original();
+		applyPatch(map, patch);
+		map.undo();
+		assert.deepStrictEqual(map_cosmo.generate(map).main,
+			map_cosmo.generate(original()).main);
+	});
+
+	it('should refuse to apply to a different map', function() {
+		const patch = createPatch(original(), edited());
+		let map = original();
+		map.layers[0].setTile(3, 3, 2008);
+		map.layers[1].items[1].x = 0;
+
+		const issues = checkPatch(map, patch);
+		assert.strictEqual(issues.length, 2);
+		assert.throws(() => applyPatch(map, patch), /does not match/);
+		// Nothing was changed.
+		assert.strictEqual(map.attributes.rain.value, false);
+	});
+
+	it('should refuse maps from other formats', function() {
+		const patch = createPatch(original(), edited());
+		assert.strictEqual(checkPatch(map_ddave.create(), patch).length, 1);
+	});
+
+});
+
+describe('mapStats()', function() {
+
+	function sample() {
+		let map = map_cosmo.create();
+		map.layers[0].fillRect(0, 0, 4, 2, 2000);
+		map.layers[0].setTile(5, 0, 16);
+		let actors = map.layers[1];
+		for (const code of [ 51, 51, 52 ]) {
+			actors.items.push(actors.createItem(code));
+		}
+		return map;
+	}
+
+	it('should count the tiles in each layer', function() {
+		const stats = mapStats(sample());
+		const bg = stats.layers[0];
+		// The end of the last row can't hold a tile, so it isn't counted.
+		assert.strictEqual(bg.cells, 32764);
+		assert.strictEqual(bg.filled, 9);
+		assert.ok(Math.abs(bg.fill - 9 * 100 / 32764) < 0.0001);
+		assert.deepStrictEqual(bg.tiles, [
+			{ code: 2000, count: 8 },
+			{ code: 16, count: 1 },
+		]);
+		assert.strictEqual(bg.used, 2);
+		assert.strictEqual(bg.unused.length, bg.available - 2);
+		assert.ok(!bg.unused.includes(2000));
+	});
+
+	it('should count the items in each layer', function() {
+		const stats = mapStats(sample());
+		const actors = stats.layers[1];
+		const existing = map_cosmo.create().layers[1].items.length;
+		assert.strictEqual(actors.count, existing + 3);
+		assert.deepStrictEqual(actors.items.find(i => i.code === 51),
+			{ code: 51, count: 2 });
+	});
+
+	it('should report usage against the format limits', function() {
+		const stats = mapStats(sample());
+		const actors = stats.usage.find(u => u.title === 'Actors');
+		assert.strictEqual(actors.max, 410);
+		assert.strictEqual(actors.used, stats.layers[1].count);
+		assert.ok(stats.usage.find(u => u.title === 'Light sprites'));
+	});
+
+	it('should leave out the unused codes if the layer does not list them', function() {
+		let map = new Map2D();
+		map.layers.push(new Map2D_Layer_Tiled({
+			title: 'Generic',
+			layerW: 2,
+			layerH: 1,
+			tiles: [ [ 1, undefined ] ],
+		}));
+		const stats = mapStats(map);
+		assert.strictEqual(stats.layers[0].fill, 50);
+		assert.strictEqual(stats.layers[0].available, null);
+		assert.strictEqual(stats.layers[0].unused, null);
+		assert.deepStrictEqual(stats.usage, []);
+	});
+
+});
+
+describe('Search and replace', function() {
+
+	function sample() {
+		let map = map_cosmo.create();
+		map.layers[0].fillRect(0, 0, 4, 2, 2000);
+		map.layers[0].setTile(10, 10, 2000);
+		let actors = map.layers[1];
+		for (const [ code, x, y ] of [ [ 51, 8, 8 ], [ 52, 16, 8 ], [ 51, 80, 80 ] ]) {
+			let item = actors.createItem(code);
+			item.x = x;
+			item.y = y;
+			actors.items.push(item);
+		}
+		return map;
+	}
+
+	it('should find tiles and items', function() {
+		const map = sample();
+		assert.strictEqual(findCode(map, 2000).length, 9);
+		assert.deepStrictEqual(findCode(map, 51), [
+			{ layer: 1, type: 'item', index: 0, x: 8, y: 8 },
+			{ layer: 1, type: 'item', index: 2, x: 80, y: 80 },
+		]);
+	});
+
+	it('should only search inside the area', function() {
+		const map = sample();
+		const area = { x: 1, y: 1, width: 9, height: 9 };
+		assert.deepStrictEqual(findCode(map, 2000, { area }), [
+			{ layer: 0, type: 'tile', x: 1, y: 1 },
+			{ layer: 0, type: 'tile', x: 2, y: 1 },
+			{ layer: 0, type: 'tile', x: 3, y: 1 },
+		]);
+		assert.strictEqual(findCode(map, 51, { area }).length, 1);
+		assert.strictEqual(findCode(map, 2000, { type: 'item' }).length, 0);
+		assert.strictEqual(findCode(map, 51, { layers: [ 0 ] }).length, 0);
+	});
+
+	it('should replace tiles and items in one step', function() {
+		let map = sample();
+		const count = replaceCode(map, 2000, 2001, { area: { x: 0, y: 0, width: 4, height: 2 } });
+		assert.deepStrictEqual(count, { tiles: 8, items: 0 });
+		assert.strictEqual(map.layers[0].tiles[10][10], 2000);
+		assert.strictEqual(map.layers[0].tiles[1][3], 2001);
+
+		assert.deepStrictEqual(replaceCode(map, 51, 60), { tiles: 0, items: 2 });
+		const item = map.layers[1].items.find(i => i.x === 80);
+		assert.strictEqual(item.code, 60);
+		assert.deepStrictEqual(item.display,
+			map.layers[1].createItem(60).display);
+
+		map.undo();
+		assert.strictEqual(findCode(map, 51).length, 2);
+		map.undo();
+		assert.strictEqual(map.layers[0].tiles[1][3], 2000);
+	});
+
+	it('should remove tiles and items', function() {
+		let map = sample();
+		assert.deepStrictEqual(replaceCode(map, 51, null), { tiles: 0, items: 2 });
+		assert.deepStrictEqual(map.layers[1].items.map(i => i.code), [ 52 ]);
+		replaceCode(map, 2000, null);
+		assert.strictEqual(map.layers[0].tiles[0][0], undefined);
+	});
+
+	it('should refuse tiles that are not permitted', function() {
+		let map = sample();
+		assert.throws(() => replaceCode(map, 2000, 5000), /not permitted/);
+		assert.strictEqual(findCode(map, 2000).length, 9);
+	});
+
+	it('should refuse to run inside another transaction', function() {
+		let map = sample();
+		map.beginTransaction('Outer');
+		assert.throws(() => replaceCode(map, 2000, 2001), /still open/);
+		map.endTransaction();
+		assert.strictEqual(findCode(map, 2000).length, 9);
+	});
+
+});
+
+describe('Tiles as text', function() {
+
+	function sample() {
+		let map = map_cosmo.create({ width: 64 });
+		map.layers[0].fillRect(0, 0, 64, 1, 2000);
+		map.layers[0].setTile(3, 1, 16);
+		return map;
+	}
+
+	it('should include a legend', function() {
+		const text = tilesToText(sample().layers[0]);
+		const lines = text.split('\n');
+		assert.strictEqual(lines[0], 'A'.repeat(64));
+		assert.strictEqual(lines[1], '???B' + '?'.repeat(60));
+		assert.ok(text.endsWith('\nLegend:\nA = 2000\nB = 16\n? = none\n'));
+	});
+
+	it('should use longer keys when there are many codes', function() {
+		let map = sample();
+		for (let x = 0; x < 64; x++) {
+			map.layers[0].setTile(x, 2, x);
+			map.layers[0].setTile(x, 3, 100 + x);
+		}
+		const text = tilesToText(map.layers[0]);
+		assert.strictEqual(text.split('\n')[0].length, 128);
+
+		let copy = sample();
+		tilesFromText(copy.layers[0], text);
+		assert.deepStrictEqual(copy.layers[0].tiles, map.layers[0].tiles);
+	});
+
+	it('should read an edited grid back in', function() {
+		let map = sample();
+		let lines = tilesToText(map.layers[0]).split('\n');
+		lines[1] = 'BB' + lines[1].substr(2);
+		map.beginTransaction('Import text');
+		assert.strictEqual(tilesFromText(map.layers[0], lines.join('\n')), 2);
+		map.endTransaction();
+		assert.strictEqual(map.layers[0].tiles[1][0], 16);
+		assert.strictEqual(map.layers[0].tiles[1][1], 16);
+
+		map.undo();
+		assert.strictEqual(map.layers[0].tiles[1][0], undefined);
+	});
+
+	it('should refuse grids that do not fit the layer', function() {
+		let layer = sample().layers[0];
+		let lines = tilesToText(layer).split('\n');
+
+		let short = lines.slice();
+		short[0] = short[0].substr(1);
+		assert.throws(() => tilesFromText(layer, short.join('\n')), /Row 1/);
+
+		let missing = lines.slice(1);
+		assert.throws(() => tilesFromText(layer, missing.join('\n')), /rows/);
+
+		let unknown = lines.slice();
+		unknown[0] = 'Z' + unknown[0].substr(1);
+		assert.throws(() => tilesFromText(layer, unknown.join('\n')),
+			/not in the legend/);
+
+		assert.strictEqual(layer.tiles[0][0], 2000);
+	});
+
+});
@@ -0,0 +1,274 @@
+/*
+ * Tests for the PNG reader and writer used by the command line interface.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import zlib from 'zlib';
+import { decodePNG, encodePNG, isPNG } from '../cli/png.js';
+
+function crc32(data) {
+	let crc = 0xFFFFFFFF;
+	for (const b of data) {
+		crc ^= b;
+		for (let k = 0; k < 8; k++) {
+			crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+		}
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+	let out = Buffer.alloc(12 + data.length);
+	out.writeUInt32BE(data.length, 0);
+	out.write(type, 4, 'ascii');
+	data.copy(out, 8);
+	out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+	return out;
+}
+
+/**
+ * Build a PNG file by hand.
+ *
+ * @param {Array<Array<number>>} rows
+ *   Image data after filtering, one array per row.  The first byte of each
+ *   row is the filter type.
+ */
+function buildPNG({ width, height, bitDepth, colourType, plte, trns, rows }) {
+	let ihdr = Buffer.alloc(13);
+	ihdr.writeUInt32BE(width, 0);
+	ihdr.writeUInt32BE(height, 4);
+	ihdr[8] = bitDepth;
+	ihdr[9] = colourType;
+
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+		chunk('IHDR', ihdr),
+		...(plte ? [chunk('PLTE', Buffer.from(plte.flat()))] : []),
+		...(trns ? [chunk('tRNS', Buffer.from(trns))] : []),
+		chunk('IDAT', zlib.deflateSync(Buffer.from(rows.flat()))),
+		chunk('IEND', Buffer.alloc(0)),
+	]);
+}
+
+// Look up the colour of each pixel in a decoded image.
+function colours(image) {
+	return Array.from(image.pixels, p => image.palette[p]);
+}
+
+const testPalette = [
+	[0x00, 0x00, 0x00],
+	[0xFF, 0x00, 0x00],
+	[0x00, 0xFF, 0x00],
+	[0x00, 0x00, 0xFF],
+];
+
+describe('PNG files', function() {
+
+	describe('encodePNG()', function() {
+
+		it('should round-trip an RGBA image', function() {
+			const rgba = [
+				[0xFF, 0x00, 0x00, 0xFF], [0x00, 0xFF, 0x00, 0xFF], [0x00, 0x00, 0x00, 0x00],
+				[0x12, 0x34, 0x56, 0x80], [0xFF, 0x00, 0x00, 0xFF], [0xFF, 0xFF, 0xFF, 0xFF],
+			];
+			const frame = {
+				width: 3,
+				height: 2,
+				pixels: new Uint8Array(rgba.flat()),
+			};
+
+			const content = encodePNG(frame);
+			assert.ok(isPNG(content));
+
+			const image = decodePNG(content);
+			assert.equal(image.width, 3);
+			assert.equal(image.height, 2);
+			assert.deepEqual(colours(image), rgba);
+
+			// Colours used more than once share a palette entry.
+			assert.equal(image.palette.length, 5);
+		});
+
+	});
+
+	describe('decodePNG()', function() {
+
+		it('should reject files that are not PNGs', function() {
+			assert.throws(() => decodePNG(Buffer.from('GIF89a')), /Not a PNG/);
+		});
+
+		it('should reject interlaced files', function() {
+			let content = buildPNG({
+				width: 1,
+				height: 1,
+				bitDepth: 8,
+				colourType: 0,
+				rows: [[0, 0]],
+			});
+			// Set the interlace flag and fix up the IHDR CRC.
+			content[8 + 8 + 12] = 1;
+			content.writeUInt32BE(crc32(content.subarray(12, 29)), 29);
+			assert.throws(() => decodePNG(content), /Interlaced/);
+		});
+
+		describe('palette-based images', function() {
+
+			it('should read the palette and tRNS chunks', function() {
+				const image = decodePNG(buildPNG({
+					width: 4,
+					height: 1,
+					bitDepth: 8,
+					colourType: 3,
+					plte: testPalette,
+					// Shorter than the palette, so the last entries stay opaque.
+					trns: [0x00, 0x80],
+					rows: [[0, 0, 1, 2, 3]],
+				}));
+				assert.deepEqual(Array.from(image.pixels), [0, 1, 2, 3]);
+				assert.deepEqual(image.palette, [
+					[0x00, 0x00, 0x00, 0x00],
+					[0xFF, 0x00, 0x00, 0x80],
+					[0x00, 0xFF, 0x00, 0xFF],
+					[0x00, 0x00, 0xFF, 0xFF],
+				]);
+			});
+
+			it('should read 1-bit images', function() {
+				const image = decodePNG(buildPNG({
+					width: 10,
+					height: 1,
+					bitDepth: 1,
+					colourType: 3,
+					plte: testPalette.slice(0, 2),
+					rows: [[0, 0b10110001, 0b10000000]],
+				}));
+				assert.deepEqual(Array.from(image.pixels), [1, 0, 1, 1, 0, 0, 0, 1, 1, 0]);
+				assert.equal(image.palette.length, 2);
+			});
+
+			it('should read 2-bit images', function() {
+				const image = decodePNG(buildPNG({
+					width: 5,
+					height: 1,
+					bitDepth: 2,
+					colourType: 3,
+					plte: testPalette,
+					rows: [[0, 0b11100100, 0b11000000]],
+				}));
+				assert.deepEqual(Array.from(image.pixels), [3, 2, 1, 0, 3]);
+			});
+
+			it('should read 4-bit images with padded rows', function() {
+				const image = decodePNG(buildPNG({
+					width: 3,
+					height: 2,
+					bitDepth: 4,
+					colourType: 3,
+					plte: testPalette,
+					rows: [
+						[0, 0x20, 0x30],
+						[0, 0x13, 0x00],
+					],
+				}));
+				assert.deepEqual(Array.from(image.pixels), [2, 0, 3, 1, 3, 0]);
+			});
+
+			it('should reject images without a PLTE chunk', function() {
+				const content = buildPNG({
+					width: 1,
+					height: 1,
+					bitDepth: 8,
+					colourType: 3,
+					rows: [[0, 0]],
+				});
+				assert.throws(() => decodePNG(content), /no PLTE chunk/);
+			});
+
+		});
+
+		describe('filtered images', function() {
+
+			// Every fixture below holds this 2x2 greyscale image, with both rows
+			// filtered by hand using one filter type.
+			const grey = [10, 30, 50, 20];
+
+			const filtered = {
+				'1 (sub)': [
+					[1, 10, 20],
+					[1, 50, 226],
+				],
+				'2 (up)': [
+					[2, 10, 30],
+					[2, 40, 246],
+				],
+				'3 (average)': [
+					[3, 10, 25],
+					[3, 45, 236],
+				],
+				'4 (Paeth)': [
+					[4, 10, 20],
+					[4, 40, 226],
+				],
+			};
+
+			for (const [name, rows] of Object.entries(filtered)) {
+				it(`should undo filter type ${name}`, function() {
+					const image = decodePNG(buildPNG({
+						width: 2,
+						height: 2,
+						bitDepth: 8,
+						colourType: 0,
+						rows,
+					}));
+					assert.deepEqual(
+						colours(image),
+						grey.map(v => [v, v, v, 255])
+					);
+				});
+			}
+
+			it('should use the previous pixel rather than the previous byte', function() {
+				const image = decodePNG(buildPNG({
+					width: 2,
+					height: 1,
+					bitDepth: 8,
+					colourType: 2,
+					rows: [[1, 1, 2, 3, 10, 20, 30]],
+				}));
+				assert.deepEqual(colours(image), [
+					[1, 2, 3, 255],
+					[11, 22, 33, 255],
+				]);
+			});
+
+			it('should reject unknown filter types', function() {
+				const content = buildPNG({
+					width: 1,
+					height: 1,
+					bitDepth: 8,
+					colourType: 0,
+					rows: [[5, 0]],
+				});
+				assert.throws(() => decodePNG(content), /Unknown PNG filter type 5/);
+			});
+
+		});
+
+	});
+
+});
@@ -0,0 +1,268 @@
+/*
+ * Move a map from one format to another.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from './debug.js';
+const debug = Debug.extend('convert');
+
+import Map2D from '../interface/map2d.js';
+import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Path from '../interface/map2d-layer-path.js';
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+import { INTERCHANGE_FORMATS } from '../formats/interchange.js';
+
+/**
+ * Look up a code in a mapping table.
+ *
+ * @param {Object} table
+ *   Source codes as keys, with the target codes as values.  If the table is
+ *   `undefined`, every code is kept as-is.
+ *
+ * @return {Object} with `found` set to `false` if the code is not in the
+ *   table, otherwise `code` set to the new code, which is `null` if the tile
+ *   or item should be left out.
+ */
+function mapCode(table, code) {
+	if (!table) return { found: true, code };
+	const key = String(code);
+	if (!Object.prototype.hasOwnProperty.call(table, key)) {
+		return { found: false };
+	}
+	return { found: true, code: table[key] };
+}
+
+/**
+ * Work out which source layer to copy into each layer of the new map.
+ *
+ * @return {Array} with one entry per target layer, holding the matching source
+ *   layer or `null`.
+ */
+function pairLayers(source, target, layerTable) {
+	if (layerTable) {
+		return target.layers.map(dst => {
+			const title = Object.keys(layerTable).find(t => layerTable[t] === dst.title);
+			if (title === undefined) return null;
+			const src = source.layers.find(l => l.title === title);
+			if (!src) {
+				throw new Error(`The mapping table refers to a "${title}" layer, but `
+					+ `there is no layer with that name in the map being converted.`);
+			}
+			if (src.type !== dst.type) {
+				throw new Error(`The "${title}" layer (${src.type}) cannot be copied `
+					+ `into the "${dst.title}" layer (${dst.type}).`);
+			}
+			return src;
+		});
+	}
+
+	// Pair up layers of the same type, in order.
+	let used = [];
+	return target.layers.map(dst => {
+		const src = source.layers.find(l => (l.type === dst.type) && !used.includes(l));
+		if (!src) return null;
+		used.push(src);
+		return src;
+	});
+}
+
+/**
+ * Keep a count of codes that were not in the mapping table.
+ */
+function addUnmapped(unmapped, type, layer, code) {
+	let entry = unmapped.find(
+		u => (u.type === type) && (u.layer === layer.title) && (u.code === code)
+	);
+	if (!entry) {
+		entry = { type, layer: layer.title, code, count: 0 };
+		unmapped.push(entry);
+	}
+	entry.count++;
+}
+
+function convertTiles(src, dst, table, result) {
+	let outside = 0;
+	for (let y = 0; y < src.layerH; y++) {
+		for (let x = 0; x < src.layerW; x++) {
+			const code = src.tiles[y][x];
+			if (code === undefined) continue;
+
+			const m = mapCode(table, code);
+			if (!m.found) {
+				addUnmapped(result.unmapped, 'tile', src, code);
+				continue;
+			}
+			if ((x >= dst.layerW) || (y >= dst.layerH)) {
+				// Blank tiles don't matter if they don't fit.
+				if (m.code !== null) outside++;
+				continue;
+			}
+			dst.tiles[y][x] = (m.code === null) ? undefined : m.code;
+		}
+	}
+	if (outside) {
+		result.warnings.push(`${outside} tiles in the "${src.title}" layer are `
+			+ `outside the ${dst.layerW}x${dst.layerH} "${dst.title}" layer and `
+			+ `were left out.`);
+	}
+}
+
+function convertItems(src, dst, table, scale, size, itemAttributes, result) {
+	let outside = 0;
+	for (const item of src.items) {
+		const m = mapCode(table, item.code);
+		if (!m.found) {
+			addUnmapped(result.unmapped, 'item', src, item.code);
+			continue;
+		}
+		if (m.code === null) continue;
+
+		let newItem = dst.createItem(m.code);
+		newItem.x = Math.round(item.x * scale.x);
+		newItem.y = Math.round(item.y * scale.y);
+		if (size && ((newItem.x >= size.x) || (newItem.y >= size.y))) {
+			outside++;
+			continue;
+		}
+		for (const [ id, value ] of Object.entries(item.attributeValues || {})) {
+			if (!itemAttributes[id]) {
+				result.warnings.push(`Item attribute "${id}" is not supported by the `
+					+ `new map, so it was left out of the item at (${item.x},${item.y}) `
+					+ `in the "${src.title}" layer.`);
+				continue;
+			}
+			newItem.attributeValues = newItem.attributeValues || {};
+			newItem.attributeValues[id] = value;
+		}
+		dst.items.push(newItem);
+	}
+	if (outside) {
+		result.warnings.push(`${outside} items in the "${src.title}" layer are `
+			+ `outside the new map and were left out.`);
+	}
+}
+
+function convertPaths(src, dst, scale) {
+	dst.relative = src.relative;
+	dst.paths = src.paths.map(path => path.map(pt => ({
+		x: Math.round(pt.x * scale.x),
+		y: Math.round(pt.y * scale.y),
+	})));
+}
+
+/**
+ * Convert a map into a different format.
+ *
+ * A blank map is created with the target handler, and each of its layers is
+ * filled from a layer of the same type in the original map.  Tile and item
+ * codes are translated with the mapping table, and item positions are scaled
+ * by the difference in tile size so items stay on the same tile.  Map
+ * attributes with the same ID in both formats are copied over.
+ *
+ * Converting into a format that can hold any map, like `map-json`, keeps the
+ * original map unchanged.
+ *
+ * @param {Map2D} map
+ *   Map to convert.
+ *
+ * @param {MapHandler} handler
+ *   Format handler for the new map.
+ *
+ * @param {Object} options
+ *   Optional settings:
+ *
+ *   - `mapping`: Object with a `tiles` property holding a table of source tile
+ *     codes and the target code to use for each, and an `items` property with
+ *     the same for items.  A target code of `null` leaves the tile blank or the
+ *     item out.  If a table is omitted, codes are copied unchanged.  An
+ *     optional `layers` property is a table of source layer titles and the
+ *     target layer title to copy each one into.  Without it, layers are paired
+ *     up by type in the order they appear.
+ *
+ *   - `create`: Options to pass to the target handler's `create()` function,
+ *     such as `{ width: 64 }` for map-cosmo.
+ *
+ * @return {Object} with `map` holding the new map, `unmapped` listing the
+ *   codes that were not in the mapping table as objects with `type` (`tile` or
+ *   `item`), `layer` (source layer title), `code` and `count` properties,
+ *   `warnings` as an array of strings for anything else that was left out, and
+ *   `issues` from the target handler's `checkLimits()`.
+ */
+export function convertMap(map, handler, options = {}) {
+	const mapping = options.mapping || {};
+	let result = {
+		map: null,
+		unmapped: [],
+		warnings: [],
+		issues: [],
+	};
+
+	if (INTERCHANGE_FORMATS.includes(handler.metadata().id)) {
+		result.map = map;
+		result.issues = handler.checkLimits(map);
+		return result;
+	}
+
+	if (!(map instanceof Map2D)) {
+		throw new Error('Only 2D maps can be converted.');
+	}
+
+	let target = handler.create(options.create || {});
+	const pairs = pairLayers(map, target, mapping.layers);
+
+	for (const src of map.layers) {
+		if (!pairs.includes(src)) {
+			result.warnings.push(`The "${src.title}" layer (${src.type}) has no `
+				+ `matching layer in the new map, so it was left out.`);
+		}
+	}
+
+	// Scale items by the change in tile size, so they end up on the same tile.
+	const srcTiled = map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+	const dstTiled = target.layers.find(l => l instanceof Map2D_Layer_Tiled);
+	const scale = (srcTiled && dstTiled) ? {
+		x: dstTiled.tileW / srcTiled.tileW,
+		y: dstTiled.tileH / srcTiled.tileH,
+	} : { x: 1, y: 1 };
+	const size = dstTiled && target.getSize();
+
+	target.layers.forEach((dst, index) => {
+		const src = pairs[index];
+		if (!src) return;
+		debug(`Copying "${src.title}" into "${dst.title}"`);
+
+		if (dst instanceof Map2D_Layer_Tiled) {
+			convertTiles(src, dst, mapping.tiles, result);
+		} else if (dst instanceof Map2D_Layer_List) {
+			convertItems(src, dst, mapping.items, scale, size,
+				target.itemAttributes, result);
+		} else if (dst instanceof Map2D_Layer_Path) {
+			convertPaths(src, dst, scale);
+		}
+	});
+
+	for (const [ id, attr ] of Object.entries(map.attributes)) {
+		if (target.attributes[id] && (attr.value !== undefined)) {
+			target.attributes[id].value = attr.value;
+		}
+	}
+	target.metadata = { ...map.metadata };
+
+	result.map = target;
+	result.issues = handler.checkLimits(target);
+	return result;
+}
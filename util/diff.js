@@ -0,0 +1,336 @@
+/*
+ * Compare two maps and describe the differences.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Map2D from '../interface/map2d.js';
+import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Path from '../interface/map2d-layer-path.js';
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+
+function sameValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get the tile code at a position, or `undefined` if it's outside the layer.
+ */
+function tileAt(layer, x, y) {
+	if ((y >= layer.layerH) || (x >= layer.layerW)) return undefined;
+	return layer.tiles[y][x];
+}
+
+/**
+ * Group the changed tiles into rectangles.
+ *
+ * Each rectangle is made as wide as possible and then as tall as possible, so
+ * a block of changed tiles ends up as a single rectangle.  Every tile in a
+ * rectangle has changed.
+ */
+function diffTiles(a, b) {
+	const width = Math.max(a.layerW, b.layerW);
+	const height = Math.max(a.layerH, b.layerH);
+
+	let changed = [];
+	for (let y = 0; y < height; y++) {
+		changed.push([]);
+		for (let x = 0; x < width; x++) {
+			changed[y][x] = tileAt(a, x, y) !== tileAt(b, x, y);
+		}
+	}
+
+	let rects = [];
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			if (!changed[y][x]) continue;
+
+			let w = 1;
+			while ((x + w < width) && changed[y][x + w]) w++;
+			let h = 1;
+			while (
+				(y + h < height)
+				&& changed[y + h].slice(x, x + w).every(c => c)
+			) {
+				h++;
+			}
+
+			let rect = { x, y, width: w, height: h, from: [], to: [] };
+			for (let ry = y; ry < y + h; ry++) {
+				let rowFrom = [], rowTo = [];
+				for (let rx = x; rx < x + w; rx++) {
+					rowFrom.push(tileAt(a, rx, ry));
+					rowTo.push(tileAt(b, rx, ry));
+					changed[ry][rx] = false;
+				}
+				rect.from.push(rowFrom);
+				rect.to.push(rowTo);
+			}
+			rects.push(rect);
+		}
+	}
+
+	return rects;
+}
+
+/**
+ * Get the values that make up an item, apart from its code and position.
+ */
+function itemProps(layer, item) {
+	return {
+		...layer.getItemProperties(item),
+		attributeValues: item.attributeValues || {},
+	};
+}
+
+/**
+ * Work out which items were added, removed, moved or changed.
+ *
+ * Items are matched up in stages.  Items with the same code, position and
+ * properties are unchanged.  Of the rest, items with the same code and
+ * position have had their properties changed, and items with the same code and
+ * properties have been moved.  Anything left over has been added or removed.
+ */
+function diffItems(a, b) {
+	let before = a.items.map((item, index) => ({
+		index, item, props: itemProps(a, item),
+	}));
+	let after = b.items.map((item, index) => ({
+		index, item, props: itemProps(b, item),
+	}));
+
+	// Pair up items that match, removing them from the lists.
+	const pair = (test, fn) => {
+		for (let i = 0; i < before.length;) {
+			const j = after.findIndex(n => test(before[i], n));
+			if (j < 0) {
+				i++;
+				continue;
+			}
+			fn(before[i], after[j]);
+			before.splice(i, 1);
+			after.splice(j, 1);
+		}
+	};
+	const samePos = (o, n) => (o.item.x === n.item.x) && (o.item.y === n.item.y);
+	const sameCode = (o, n) => o.item.code === n.item.code;
+	const sameProps = (o, n) => sameValue(o.props, n.props);
+
+	let out = {
+		added: [],
+		removed: [],
+		moved: [],
+		changed: [],
+	};
+
+	pair((o, n) => sameCode(o, n) && samePos(o, n) && sameProps(o, n), () => {});
+
+	pair((o, n) => sameCode(o, n) && samePos(o, n), (o, n) => {
+		let changes = {};
+		const keys = new Set([
+			...Object.keys(o.props),
+			...Object.keys(n.props),
+		]);
+		for (const key of keys) {
+			if (!sameValue(o.props[key], n.props[key])) {
+				changes[key] = {
+					from: o.props[key],
+					to: n.props[key],
+				};
+			}
+		}
+		out.changed.push({
+			indexFrom: o.index,
+			indexTo: n.index,
+			code: o.item.code,
+			x: o.item.x,
+			y: o.item.y,
+			changes,
+		});
+	});
+
+	pair((o, n) => sameCode(o, n) && sameProps(o, n), (o, n) => {
+		out.moved.push({
+			indexFrom: o.index,
+			indexTo: n.index,
+			code: o.item.code,
+			from: { x: o.item.x, y: o.item.y },
+			to: { x: n.item.x, y: n.item.y },
+		});
+	});
+
+	const describe = i => ({
+		index: i.index,
+		code: i.item.code,
+		x: i.item.x,
+		y: i.item.y,
+		props: i.props,
+	});
+	out.removed = before.map(describe);
+	out.added = after.map(describe);
+
+	return out;
+}
+
+/**
+ * List the paths that are different.
+ */
+function diffPaths(a, b) {
+	let paths = [];
+	const count = Math.max(a.paths.length, b.paths.length);
+	for (let i = 0; i < count; i++) {
+		if (!sameValue(a.paths[i], b.paths[i])) {
+			paths.push({
+				index: i,
+				from: a.paths[i],
+				to: b.paths[i],
+			});
+		}
+	}
+	return paths;
+}
+
+/**
+ * Compare two layers of the same type.
+ *
+ * @return {Object} describing the changes, or `null` if the layers are the
+ *   same.
+ */
+function diffLayer(a, b, index) {
+	let out = {
+		index,
+		title: b.title,
+		type: b.type,
+	};
+	let changed = false;
+
+	if (a instanceof Map2D_Layer_Tiled) {
+		if ((a.layerW !== b.layerW) || (a.layerH !== b.layerH)) {
+			out.resized = {
+				from: { width: a.layerW, height: a.layerH },
+				to: { width: b.layerW, height: b.layerH },
+			};
+			changed = true;
+		}
+		out.tiles = diffTiles(a, b);
+		changed = changed || (out.tiles.length > 0);
+
+	} else if (a instanceof Map2D_Layer_List) {
+		Object.assign(out, diffItems(a, b));
+		changed = out.added.length || out.removed.length || out.moved.length
+			|| out.changed.length;
+
+	} else if (a instanceof Map2D_Layer_Path) {
+		if (a.relative !== b.relative) {
+			out.relative = {
+				from: a.relative,
+				to: b.relative,
+			};
+			changed = true;
+		}
+		out.paths = diffPaths(a, b);
+		changed = changed || (out.paths.length > 0);
+
+	} else {
+		throw new Error(`Comparing layers of type "${a.type}" has not been `
+			+ `implemented yet.`);
+	}
+
+	return changed ? out : null;
+}
+
+/**
+ * Compare two maps.
+ *
+ * Layers are compared by their position in the map, so this is intended for
+ * comparing two versions of the same map, such as a level before and after
+ * someone has edited it.
+ *
+ * @param {Map2D} a
+ *   Original map.
+ *
+ * @param {Map2D} b
+ *   Changed map.
+ *
+ * @return {Object} with these properties:
+ *
+ *   - `identical`: `true` if no differences were found.
+ *
+ *   - `attributes`: Array of `{id, from, to}` for each map attribute with a
+ *     different value.
+ *
+ *   - `layers`: Array with one entry for each layer that has changed, holding
+ *     the layer's `index`, `title` and `type`, plus:
+ *
+ *     - For tiled layers, `tiles` as an array of rectangles `{x, y, width,
+ *       height, from, to}` covering the changed tiles, where `from` and `to`
+ *       are 2D arrays of the tile codes before and after.  If the layer size
+ *       changed, `resized` has the `from` and `to` sizes.
+ *
+ *     - For list layers, `added` and `removed` listing the items as `{index,
+ *       code, x, y, props}`, `moved` as `{indexFrom, indexTo, code, from, to}`
+ *       and `changed` as `{indexFrom, indexTo, code, x, y, changes}` where
+ *       `changes` has a `{from, to}` entry for each property that changed.
+ *
+ *     - For path layers, `paths` as `{index, from, to}` for each path that
+ *       changed.
+ *
+ *   - `layersAdded` and `layersRemoved`: Arrays of `{index, title, type}` for
+ *     layers that are only in one of the maps.
+ */
+export function diffMaps(a, b) {
+	if (!(a instanceof Map2D) || !(b instanceof Map2D)) {
+		throw new Error('Only 2D maps can be compared.');
+	}
+
+	let out = {
+		identical: true,
+		attributes: [],
+		layers: [],
+		layersAdded: [],
+		layersRemoved: [],
+	};
+
+	const ids = new Set([
+		...Object.keys(a.attributes),
+		...Object.keys(b.attributes),
+	]);
+	for (const id of ids) {
+		const from = a.attributes[id] && a.attributes[id].value;
+		const to = b.attributes[id] && b.attributes[id].value;
+		if (!sameValue(from, to)) {
+			out.attributes.push({ id, from, to });
+		}
+	}
+
+	const count = Math.max(a.layers.length, b.layers.length);
+	for (let i = 0; i < count; i++) {
+		const la = a.layers[i], lb = b.layers[i];
+		const summary = l => ({ index: i, title: l.title, type: l.type });
+		if (la && lb && (la.type === lb.type)) {
+			const d = diffLayer(la, lb, i);
+			if (d) out.layers.push(d);
+		} else {
+			if (la) out.layersRemoved.push(summary(la));
+			if (lb) out.layersAdded.push(summary(lb));
+		}
+	}
+
+	out.identical = !out.attributes.length && !out.layers.length
+		&& !out.layersAdded.length && !out.layersRemoved.length;
+
+	return out;
+}
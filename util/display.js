@@ -0,0 +1,262 @@
+/*
+ * Convert the ways items and tiles describe their appearance into a single
+ * list of things to draw.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Item from '../interface/item.js';
+
+/**
+ * Icon to use for each combination of arrows returned by `imageFromCode()`,
+ * keyed by the directions in the order up, down, left, right.
+ */
+const arrowIcons = {
+	'u': Item.Icons.UpArrow,
+	'd': Item.Icons.DownArrow,
+	'l': Item.Icons.LeftArrow,
+	'r': Item.Icons.RightArrow,
+	'ud': Item.Icons.UpDownArrow,
+	'lr': Item.Icons.LeftRightArrow,
+	'udlr': Item.Icons.UpDownLeftRightArrow,
+	'ul': Item.Icons.UpLeftDiagArrow,
+	'dl': Item.Icons.DownLeftDiagArrow,
+	'ur': Item.Icons.UpRightDiagArrow,
+	'dr': Item.Icons.DownRightDiagArrow,
+};
+
+/**
+ * Split a display string into runs of text in the same colour.
+ *
+ * See `Item.display` for the escape codes.  A `$` that is not followed by a
+ * digit or another `$` is treated as a literal dollar sign.
+ *
+ * @param {string} text
+ *   Text from a display object, e.g. `A$100`.
+ *
+ * @return {Array} of objects with a `colour` property (0 for the default
+ *   colour, 1 for the secondary colour, etc.) and a `text` property with the
+ *   unescaped text to draw in that colour.  Empty runs are omitted.
+ */
+export function parseDisplayText(text) {
+	let runs = [];
+	let colour = 0, current = '';
+	const flush = () => {
+		if (current.length) {
+			runs.push({
+				colour,
+				text: current,
+			});
+		}
+		current = '';
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (c !== '$') {
+			current += c;
+			continue;
+		}
+		if (text[i + 1] === '$') {
+			current += '$';
+			i++;
+			continue;
+		}
+		// Only one digit, so "$100" is "00" in colour 1.
+		const next = text[i + 1];
+		if ((next === undefined) || (next < '0') || (next > '9')) {
+			current += '$';
+			continue;
+		}
+		flush();
+		colour = parseInt(next, 10);
+		i++;
+	}
+	flush();
+
+	return runs;
+}
+
+/**
+ * Convert a single display object into a draw operation.
+ */
+function resolveDisplayObject(d, tileset) {
+	const common = {
+		x: d.x || 0,
+		y: d.y || 0,
+	};
+
+	if (d.i !== undefined) {
+		return {
+			type: 'image',
+			...common,
+			index: d.i,
+			image: (tileset && tileset[d.i]) || null,
+			yMirror: !!d.yMirror,
+		};
+	}
+
+	if (d.text !== undefined) {
+		const runs = parseDisplayText(d.text);
+		return {
+			type: 'text',
+			...common,
+			text: runs.map(r => r.text).join(''),
+			runs,
+			font: d.font || 0,
+		};
+	}
+
+	if (d.icon !== undefined) {
+		return {
+			type: 'icon',
+			...common,
+			icon: d.icon,
+		};
+	}
+
+	// Something we don't understand, but showing nothing at all would leave
+	// an invisible item the user can't find.
+	return {
+		type: 'icon',
+		...common,
+		icon: Item.Icons.Error,
+	};
+}
+
+/**
+ * Work out what to draw for an item in a list layer.
+ *
+ * @param {Item} item
+ *   Item to draw.  Its `display` property is interpreted as described in
+ *   `Item.display`, calling it first if it is a function.
+ *
+ * @param {Array<Image>} tileset
+ *   Images from the item's layer, which `{i: n}` display objects refer to.
+ *   May be omitted if the images themselves are not needed, in which case the
+ *   `image` property of each image operation will be `null`.
+ *
+ * @return {Array} of draw operations, in the order they should be drawn.
+ *   Every operation has a `type` and `x` and `y` pixel offsets relative to the
+ *   item's position.  The other properties depend on the type:
+ *
+ *   - `image`: `index` into the tileset, `image` from the tileset (or `null`
+ *     if there is no such image) and `yMirror` to flip it vertically.
+ *
+ *   - `text`: `text` with the escape codes removed, `runs` as returned by
+ *     `parseDisplayText()` and the `font` to draw it in.
+ *
+ *   - `icon`: one of the `Item.Icons` values in `icon`.
+ */
+export function resolveItemDisplay(item, tileset) {
+	let display = item.display;
+	if (typeof display === 'function') {
+		display = display(item);
+	}
+	if (!display) return [];
+
+	return display.map(d => resolveDisplayObject(d, tileset));
+}
+
+/**
+ * Work out what to draw for a tile in a tiled layer.
+ *
+ * @param {Map2D_Layer_Tiled} layer
+ *   Layer the tile is in.  Its `imageFromCode()` function is used to look up
+ *   the tile.
+ *
+ * @param {object} code
+ *   Tile code from `layer.tiles`.
+ *
+ * @param {Array<Image>} tileset
+ *   Passed through to `imageFromCode()`.
+ *
+ * @return {Array} of draw operations in the same form as
+ *   `resolveItemDisplay()`, with offsets relative to the top-left of the tile.
+ *   The images come first, followed by any digits as a text operation and
+ *   then any arrows as icons.
+ */
+export function resolveTileDisplay(layer, code, tileset) {
+	const result = layer.imageFromCode(code, tileset);
+	if (!result) return [];
+
+	// Some layers return the image itself rather than the full object.
+	if (
+		(result.compositeImage === undefined)
+		&& (result.digit === undefined)
+		&& (result.arrow === undefined)
+	) {
+		return [
+			{
+				type: 'image',
+				x: 0,
+				y: 0,
+				index: null,
+				image: result,
+				yMirror: false,
+			},
+		];
+	}
+
+	let ops = [];
+
+	for (const c of result.compositeImage || []) {
+		ops.push({
+			type: 'image',
+			x: c.offsetX || 0,
+			y: c.offsetY || 0,
+			index: null,
+			image: c.image,
+			yMirror: false,
+		});
+	}
+
+	if ((result.digit !== null) && (result.digit !== undefined)) {
+		// The leading 1 sets the number of digits, e.g. 0x10A is "0A".
+		let count = 0;
+		while (16 ** (count + 1) <= result.digit) count++;
+		const value = result.digit - 16 ** count;
+		const text = value.toString(16).toUpperCase().padStart(count, '0');
+		ops.push({
+			type: 'text',
+			x: 0,
+			y: 0,
+			text,
+			runs: [ { colour: 0, text } ],
+			font: 0,
+		});
+	}
+
+	const arrow = result.arrow || {};
+	const directions = (arrow.up ? 'u' : '') + (arrow.down ? 'd' : '')
+		+ (arrow.left ? 'l' : '') + (arrow.right ? 'r' : '');
+	if (directions.length) {
+		// Use a single combined icon if there is one, otherwise one per arrow.
+		const icons = (arrowIcons[directions] !== undefined)
+			? [ arrowIcons[directions] ]
+			: directions.split('').map(d => arrowIcons[d]);
+		for (const icon of icons) {
+			ops.push({
+				type: 'icon',
+				x: 0,
+				y: 0,
+				icon,
+			});
+		}
+	}
+
+	return ops;
+}
@@ -0,0 +1,81 @@
+/*
+ * Minimal event subscription support.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Base class for objects that notify listeners when they change.
+ *
+ * This works the same way in the browser and in Node, which is why Node's own
+ * `EventEmitter` is not used.
+ */
+export default class EventEmitter
+{
+	constructor() {
+		/**
+		 * Listener functions, keyed by event name.
+		 */
+		this.eventListeners = {};
+	}
+
+	/**
+	 * Call a function whenever an event happens.
+	 *
+	 * @param {string} event
+	 *   Event name.
+	 *
+	 * @param {Function} listener
+	 *   Function to call.  It is passed a single object describing the event.
+	 *
+	 * @return {Function} `listener`, for passing to `off()` later.
+	 */
+	on(event, listener) {
+		if (!this.eventListeners[event]) {
+			this.eventListeners[event] = [];
+		}
+		this.eventListeners[event].push(listener);
+		return listener;
+	}
+
+	/**
+	 * Stop calling a function previously passed to `on()`.
+	 */
+	off(event, listener) {
+		const list = this.eventListeners[event];
+		if (!list) return;
+		const index = list.indexOf(listener);
+		if (index >= 0) list.splice(index, 1);
+	}
+
+	/**
+	 * Notify all the listeners for an event.
+	 *
+	 * @param {string} event
+	 *   Event name.
+	 *
+	 * @param {Object} detail
+	 *   Object passed to each listener.
+	 */
+	emit(event, detail) {
+		const list = this.eventListeners[event];
+		if (!list) return;
+		// Copy the list in case a listener unsubscribes itself.
+		for (const listener of list.slice()) {
+			listener(detail);
+		}
+	}
+}
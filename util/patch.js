@@ -0,0 +1,393 @@
+/*
+ * Record the changes between two maps as a patch, and apply them to another
+ * copy of the original map.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Map2D from '../interface/map2d.js';
+import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Path from '../interface/map2d-layer-path.js';
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+import { compactJSON, stringifyJSON } from '../formats/interchange.js';
+import { diffMaps } from './diff.js';
+import { findSourceHandler } from './source.js';
+
+const PATCH_FORMAT = 'gamemap-patch';
+
+// Version of the patch structure.  Increase this if it changes in a way older
+// versions would not understand.
+const PATCH_VERSION = 1;
+
+function sameValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get the values that make up an item, in the same form as `diffMaps()`.
+ */
+function itemProps(layer, item) {
+	return {
+		...layer.getItemProperties(item),
+		attributeValues: item.attributeValues || {},
+	};
+}
+
+function tileAt(layer, x, y) {
+	if ((y >= layer.layerH) || (x >= layer.layerW)) return undefined;
+	return layer.tiles[y][x];
+}
+
+/**
+ * Change a property of an object, recording the change in the map's journal.
+ */
+function writeProperty(map, target, key, value, title) {
+	const previous = target[key];
+	target[key] = value;
+	map.journal.record({
+		title,
+		undo: () => { target[key] = previous; },
+		redo: () => { target[key] = value; },
+	});
+}
+
+/**
+ * Describe the changes needed to turn one map into another.
+ *
+ * The patch only holds the parts of the map that changed, along with their
+ * original values so `checkPatch()` can confirm it is being applied to the
+ * right map.  It can be saved with `patchToJSON()`.
+ *
+ * @param {Map2D} original
+ *   Map before the changes.
+ *
+ * @param {Map2D} changed
+ *   Map after the changes.  This must have the same layers as `original`.
+ *
+ * @return {Object} patch.
+ */
+export function createPatch(original, changed) {
+	const diff = diffMaps(original, changed);
+	if (diff.layersAdded.length || diff.layersRemoved.length) {
+		throw new Error('Patches cannot add or remove layers.');
+	}
+	const handler = findSourceHandler(original);
+	return {
+		format: PATCH_FORMAT,
+		version: PATCH_VERSION,
+		source: handler ? handler.metadata().id : null,
+		attributes: diff.attributes,
+		layers: diff.layers,
+	};
+}
+
+/**
+ * Convert a patch into JSON text, to save to a file.
+ */
+export function patchToJSON(patch) {
+	const rows = rect => rect.map(row => compactJSON(
+		row.map(code => (code === undefined) ? null : code)
+	));
+	let doc = {
+		...patch,
+		layers: patch.layers.map(l => ({
+			...l,
+			...(l.tiles && {
+				tiles: l.tiles.map(r => ({
+					...r,
+					from: rows(r.from),
+					to: rows(r.to),
+				})),
+			}),
+			...(l.added && {
+				added: l.added.map(i => compactJSON(i)),
+				removed: l.removed.map(i => compactJSON(i)),
+				moved: l.moved.map(i => compactJSON(i)),
+				changed: l.changed.map(i => compactJSON(i)),
+			}),
+		})),
+	};
+	return stringifyJSON(doc);
+}
+
+/**
+ * Read a patch from JSON text written by `patchToJSON()`.
+ */
+export function patchFromJSON(text) {
+	const patch = JSON.parse(text);
+	if (patch.format !== PATCH_FORMAT) {
+		throw new Error('This is not a gamemap patch.');
+	}
+	if (patch.version > PATCH_VERSION) {
+		throw new Error(`This patch is version ${patch.version}, but only version `
+			+ `${PATCH_VERSION} and earlier are supported.  Please upgrade to a `
+			+ `newer version of gamemapjs.`);
+	}
+	// JSON has no `undefined`, so blank tiles were written as `null`.
+	const rows = rect => rect.map(row => row.map(
+		code => (code === null) ? undefined : code
+	));
+	for (const l of patch.layers) {
+		for (const r of l.tiles || []) {
+			r.from = rows(r.from);
+			r.to = rows(r.to);
+		}
+	}
+	return patch;
+}
+
+/**
+ * Check the tiles in a layer match the original values in a patch.
+ */
+function checkTiles(layer, change, issues) {
+	if (change.resized) {
+		const { from } = change.resized;
+		if ((layer.layerW !== from.width) || (layer.layerH !== from.height)) {
+			issues.push(`The "${layer.title}" layer is ${layer.layerW}x`
+				+ `${layer.layerH}, but the patch expects it to be ${from.width}x`
+				+ `${from.height}.`);
+		}
+	}
+	for (const r of change.tiles) {
+		let mismatch = 0;
+		for (let y = 0; y < r.height; y++) {
+			for (let x = 0; x < r.width; x++) {
+				if (tileAt(layer, r.x + x, r.y + y) !== r.from[y][x]) mismatch++;
+			}
+		}
+		if (mismatch) {
+			issues.push(`${mismatch} tiles in the ${r.width}x${r.height} area at `
+				+ `(${r.x},${r.y}) in the "${layer.title}" layer are not what the `
+				+ `patch expects.`);
+		}
+	}
+}
+
+/**
+ * Check the items in a layer match the original values in a patch.
+ */
+function checkItems(layer, change, issues) {
+	const check = (index, code, x, y, props, action) => {
+		const item = layer.items[index];
+		if (
+			!item
+			|| (item.code !== code)
+			|| (item.x !== x)
+			|| (item.y !== y)
+			|| (props && !props(itemProps(layer, item)))
+		) {
+			issues.push(`The patch ${action} item #${index} (code ${code} at `
+				+ `(${x},${y})) in the "${layer.title}" layer, but that item is not `
+				+ `in the map.`);
+		}
+	};
+
+	for (const i of change.removed) {
+		check(i.index, i.code, i.x, i.y, p => sameValue(p, i.props), 'removes');
+	}
+	for (const i of change.moved) {
+		check(i.indexFrom, i.code, i.from.x, i.from.y, null, 'moves');
+	}
+	for (const i of change.changed) {
+		check(i.indexFrom, i.code, i.x, i.y, p => Object.entries(i.changes).every(
+			([ key, c ]) => sameValue(p[key], c.from)
+		), 'changes');
+	}
+}
+
+/**
+ * Check the paths in a layer match the original values in a patch.
+ */
+function checkPaths(layer, change, issues) {
+	for (const p of change.paths) {
+		if (!p.from || !p.to) {
+			issues.push(`The patch adds or removes path ${p.index} in the `
+				+ `"${layer.title}" layer, which is not supported.`);
+		} else if (!sameValue(layer.paths[p.index], p.from)) {
+			issues.push(`Path ${p.index} in the "${layer.title}" layer is not what `
+				+ `the patch expects.`);
+		}
+	}
+}
+
+/**
+ * Confirm a patch can be applied to a map.
+ *
+ * Every tile, item, path and attribute the patch changes must still have the
+ * value it had in the map the patch was created from.  Anything the patch
+ * does not touch may be different.
+ *
+ * @return {Array} of strings describing each problem.  An empty array means
+ *   the patch can be applied.
+ */
+export function checkPatch(map, patch) {
+	let issues = [];
+
+	if (!(map instanceof Map2D)) {
+		issues.push('Patches can only be applied to 2D maps.');
+		return issues;
+	}
+
+	if (patch.source) {
+		const handler = findSourceHandler(map);
+		const source = handler && handler.metadata().id;
+		if (source !== patch.source) {
+			issues.push(`The patch is for a ${patch.source} map, but this is `
+				+ `${source ? `a ${source}` : 'not a game'} map.`);
+			return issues;
+		}
+	}
+
+	for (const a of patch.attributes) {
+		const attr = map.attributes[a.id];
+		if (!attr) {
+			issues.push(`The patch changes the "${a.id}" attribute, but this map `
+				+ `does not have it.`);
+		} else if (!sameValue(attr.value, a.from)) {
+			issues.push(`The "${a.id}" attribute is ${JSON.stringify(attr.value)}, `
+				+ `but the patch expects ${JSON.stringify(a.from)}.`);
+		}
+	}
+
+	for (const change of patch.layers) {
+		const layer = map.layers[change.index];
+		if (!layer || (layer.type !== change.type) || (layer.title !== change.title)) {
+			issues.push(`The patch changes layer ${change.index} "${change.title}" `
+				+ `(${change.type}), but this map does not have that layer.`);
+			continue;
+		}
+
+		if (layer instanceof Map2D_Layer_Tiled) {
+			checkTiles(layer, change, issues);
+		} else if (layer instanceof Map2D_Layer_List) {
+			checkItems(layer, change, issues);
+		} else if (layer instanceof Map2D_Layer_Path) {
+			checkPaths(layer, change, issues);
+		}
+	}
+
+	return issues;
+}
+
+function applyTiles(map, layer, change) {
+	if (change.resized) {
+		const reference = map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+		if (layer !== reference) {
+			throw new Error(`The patch resizes the "${layer.title}" layer, but only `
+				+ `the whole map can be resized.`);
+		}
+		map.resize({
+			x: change.resized.to.width,
+			y: change.resized.to.height,
+		});
+	}
+	for (const r of change.tiles) {
+		layer.pasteRegion({
+			width: r.width,
+			height: r.height,
+			tiles: r.to,
+		}, r.x, r.y);
+	}
+}
+
+function applyItems(map, layer, change) {
+	// Find all the items first, as the indices change once items are removed.
+	const changed = change.changed.map(i => [ layer.items[i.indexFrom], i ]);
+	const moved = change.moved.map(i => [ layer.items[i.indexFrom], i ]);
+	const removed = change.removed.map(i => layer.items[i.index]);
+
+	for (const [ item, i ] of changed) {
+		const blank = layer.createItem(item.code);
+		for (const [ key, c ] of Object.entries(i.changes)) {
+			let value = (c.to === undefined) ? blank[key] : c.to;
+			if (key === 'attributeValues') value = { ...value };
+			writeProperty(map, item, key, value, 'Change item');
+		}
+	}
+	for (const [ item, i ] of moved) {
+		layer.moveItem(item, i.to.x, i.to.y);
+	}
+	for (const item of removed) {
+		layer.removeItem(item);
+	}
+
+	const added = change.added.slice().sort((a, b) => a.index - b.index);
+	for (const i of added) {
+		let item = layer.createItem(i.code);
+		const { attributeValues, ...props } = i.props;
+		Object.assign(item, props);
+		if (Object.keys(attributeValues).length) {
+			item.attributeValues = { ...attributeValues };
+		}
+		item.x = i.x;
+		item.y = i.y;
+		layer.addItem(item, Math.min(i.index, layer.items.length));
+	}
+}
+
+function applyPaths(map, layer, change) {
+	if (change.relative) {
+		writeProperty(map, layer, 'relative', change.relative.to, 'Change path');
+	}
+	for (const p of change.paths) {
+		layer.updatePath(p.index, 'Change path', points => {
+			points.splice(0, points.length, ...p.to.map(pt => ({ ...pt })));
+		});
+	}
+}
+
+/**
+ * Apply a patch to a map.
+ *
+ * The patch is checked with `checkPatch()` first, and an exception is thrown
+ * listing the problems if it does not match.  The changes are made as a
+ * single transaction, so they can be undone together.
+ *
+ * @param {Map2D} map
+ *   Map to change.
+ *
+ * @param {Object} patch
+ *   Patch from `createPatch()` or `patchFromJSON()`.
+ */
+export function applyPatch(map, patch) {
+	const issues = checkPatch(map, patch);
+	if (issues.length) {
+		throw new Error('The patch does not match this map:\n'
+			+ issues.map(i => ` * ${i}`).join('\n'));
+	}
+
+	map.beginTransaction('Apply patch');
+	try {
+		for (const a of patch.attributes) {
+			map.setAttribute(a.id, a.to);
+		}
+
+		for (const change of patch.layers) {
+			const layer = map.layers[change.index];
+			if (layer instanceof Map2D_Layer_Tiled) {
+				applyTiles(map, layer, change);
+			} else if (layer instanceof Map2D_Layer_List) {
+				applyItems(map, layer, change);
+			} else if (layer instanceof Map2D_Layer_Path) {
+				applyPaths(map, layer, change);
+			}
+		}
+	} catch (e) {
+		map.cancelTransaction();
+		throw e;
+	}
+	map.endTransaction();
+}
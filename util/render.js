@@ -0,0 +1,358 @@
+/*
+ * Draw a whole map into a block of RGBA pixels.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from './debug.js';
+const debug = Debug.extend('render');
+
+import Map2D from '../interface/map2d.js';
+import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+import { resolveItemDisplay, resolveTileDisplay } from './display.js';
+
+/**
+ * Get the palette indices for an image.
+ *
+ * This accepts gamegraphicsjs `Image` instances, in which case the first frame
+ * is used, as well as any object with `width`, `height` and `pixels`.
+ */
+function getPixels(image) {
+	const frame = (image.frames && image.frames[0]) || image;
+	return {
+		width: frame.width || image.width,
+		height: frame.height || image.height,
+		offsetX: frame.offsetX || 0,
+		offsetY: frame.offsetY || 0,
+		pixels: frame.pixels,
+	};
+}
+
+/**
+ * Class that holds the output buffer and the state needed while drawing.
+ */
+class Canvas
+{
+	constructor(width, height, area, palette) {
+		this.width = width;
+		this.height = height;
+		this.area = area;
+		this.palette = palette;
+		this.pixels = new Uint8Array(width * height * 4);
+	}
+
+	/**
+	 * Get the palette to use for an image.
+	 *
+	 * The map's own palette takes priority, as that is how the game would draw
+	 * it.  Otherwise the image's palette is used.
+	 */
+	paletteFor(image) {
+		const palette = this.palette || image.palette;
+		if (!palette) {
+			throw new Error('Cannot draw the map as there is no palette in the map '
+				+ 'or the tileset.');
+		}
+		return palette;
+	}
+
+	/**
+	 * Blend one colour into the output.
+	 *
+	 * @param {Number} x
+	 *   Horizontal map coordinate, in pixels.
+	 *
+	 * @param {Number} y
+	 *   Vertical map coordinate, in pixels.
+	 *
+	 * @param {Array} colour
+	 *   Palette entry as `[r, g, b, a]`, with each value 0..255.
+	 */
+	plot(x, y, colour) {
+		const px = x - this.area.x;
+		const py = y - this.area.y;
+		if ((px < 0) || (py < 0) || (px >= this.width) || (py >= this.height)) {
+			return;
+		}
+		const alpha = (colour[3] === undefined) ? 255 : colour[3];
+		if (alpha === 0) return;
+
+		const o = (py * this.width + px) * 4;
+		if (alpha === 255) {
+			this.pixels[o + 0] = colour[0];
+			this.pixels[o + 1] = colour[1];
+			this.pixels[o + 2] = colour[2];
+			this.pixels[o + 3] = 255;
+			return;
+		}
+
+		// Draw a partially transparent pixel over whatever is already there.
+		const a = alpha / 255;
+		const under = this.pixels[o + 3] / 255;
+		const outA = a + under * (1 - a);
+		for (let c = 0; c < 3; c++) {
+			this.pixels[o + c] = Math.round(
+				(colour[c] * a + this.pixels[o + c] * under * (1 - a)) / outA
+			);
+		}
+		this.pixels[o + 3] = Math.round(outA * 255);
+	}
+
+	/**
+	 * Draw an image with its top-left corner at the given map coordinates.
+	 */
+	drawImage(image, x, y, yMirror) {
+		const palette = this.paletteFor(image);
+		const frame = getPixels(image);
+		if (!frame.pixels) return;
+
+		const left = x + frame.offsetX;
+		const top = y + frame.offsetY;
+
+		// Skip images that are entirely outside the area being drawn.
+		if (
+			(left >= this.area.x + this.width)
+			|| (top >= this.area.y + this.height)
+			|| (left + frame.width <= this.area.x)
+			|| (top + frame.height <= this.area.y)
+		) {
+			return;
+		}
+
+		for (let iy = 0; iy < frame.height; iy++) {
+			const srcY = yMirror ? frame.height - 1 - iy : iy;
+			for (let ix = 0; ix < frame.width; ix++) {
+				const colour = palette[frame.pixels[srcY * frame.width + ix]];
+				if (!colour) continue;
+				this.plot(left + ix, top + iy, colour);
+			}
+		}
+	}
+
+	/**
+	 * Draw a list of operations from `resolveItemDisplay()` or
+	 * `resolveTileDisplay()`.
+	 *
+	 * Text and icons are skipped, as there are no fonts or icon images
+	 * available here.
+	 */
+	drawOps(ops, x, y) {
+		for (const op of ops) {
+			if (op.type !== 'image') continue;
+			if (!op.image) continue;
+			this.drawImage(op.image, x + op.x, y + op.y, op.yMirror);
+		}
+	}
+
+	/**
+	 * Fill the whole output with a single colour.
+	 */
+	fill(colour) {
+		for (let y = 0; y < this.height; y++) {
+			for (let x = 0; x < this.width; x++) {
+				this.plot(this.area.x + x, this.area.y + y, colour);
+			}
+		}
+	}
+}
+
+/**
+ * Draw the map background, as set in `Map2D.background`.
+ */
+function drawBackground(canvas, map, size) {
+	const bg = map.background;
+	if (!bg) return;
+
+	let img = bg.img;
+	if (!img && (bg.code !== null) && (bg.code !== undefined)) {
+		// Use the image for the background tile code instead.
+		const layer = map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+		if (layer) {
+			const op = resolveTileDisplay(layer, bg.code, layer.tileset)
+				.find(o => (o.type === 'image') && o.image);
+			if (op) img = op.image;
+		}
+	}
+
+	switch (bg.att) {
+		case Map2D.BackgroundAttachment.SingleColour: {
+			const palette = canvas.palette || (img && img.palette);
+			if (!palette) {
+				throw new Error('Cannot draw the background colour as the map has '
+					+ 'no palette.');
+			}
+			canvas.fill(palette[bg.clr]);
+			break;
+		}
+
+		case Map2D.BackgroundAttachment.SingleImageTiled: {
+			if (!img) break;
+			const frame = getPixels(img);
+			// Start on the repeat at or before the top-left of the area.
+			const mod = (a, b) => ((a % b) + b) % b;
+			const startX = canvas.area.x - mod(canvas.area.x, frame.width);
+			const startY = canvas.area.y - mod(canvas.area.y, frame.height);
+			const endX = canvas.area.x + canvas.width;
+			const endY = canvas.area.y + canvas.height;
+			for (let y = startY; y < endY; y += frame.height) {
+				for (let x = startX; x < endX; x += frame.width) {
+					canvas.drawImage(img, x, y, false);
+				}
+			}
+			break;
+		}
+
+		case Map2D.BackgroundAttachment.SingleImageCentred: {
+			if (!img) break;
+			const frame = getPixels(img);
+			canvas.drawImage(
+				img,
+				Math.floor((size.x - frame.width) / 2),
+				Math.floor((size.y - frame.height) / 2),
+				false
+			);
+			break;
+		}
+
+		default:
+			// NoBackground, leave it transparent.
+			break;
+	}
+}
+
+/**
+ * Draw a tiled layer.
+ */
+function drawLayerTiled(canvas, layer) {
+	const offsetX = layer.limits.offsetX || 0;
+	const offsetY = layer.limits.offsetY || 0;
+
+	// Only visit the tiles that overlap the area being drawn.
+	const x1 = Math.max(0, Math.floor((canvas.area.x - offsetX) / layer.tileW));
+	const y1 = Math.max(0, Math.floor((canvas.area.y - offsetY) / layer.tileH));
+	const x2 = Math.min(layer.layerW,
+		Math.ceil((canvas.area.x + canvas.width - offsetX) / layer.tileW));
+	const y2 = Math.min(layer.layerH,
+		Math.ceil((canvas.area.y + canvas.height - offsetY) / layer.tileH));
+
+	for (let y = y1; y < y2; y++) {
+		const row = layer.tiles[y];
+		if (!row) continue;
+		for (let x = x1; x < x2; x++) {
+			const code = row[x];
+			if ((code === undefined) || (code === null)) continue;
+			const ops = resolveTileDisplay(layer, code, layer.tileset);
+			canvas.drawOps(
+				ops,
+				offsetX + x * layer.tileW,
+				offsetY + y * layer.tileH
+			);
+		}
+	}
+}
+
+/**
+ * Draw a list layer.
+ */
+function drawLayerList(canvas, layer) {
+	const offsetX = layer.limits.offsetX || 0;
+	const offsetY = layer.limits.offsetY || 0;
+
+	for (const item of layer.items) {
+		let ops;
+		if (!item.display && layer.imageFromCode) {
+			// Items without display info are drawn the same way as tiles.
+			ops = resolveTileDisplay(layer, item.code, layer.tileset);
+		} else {
+			ops = resolveItemDisplay(item, layer.tileset);
+		}
+		canvas.drawOps(ops, offsetX + item.x, offsetY + item.y);
+	}
+}
+
+/**
+ * Draw a map into a block of RGBA pixels.
+ *
+ * The tilesets must have been supplied to the map with `setTilesets()` first.
+ * Images are expected to be gamegraphicsjs `Image` instances (or anything
+ * with `width`, `height` and `pixels` properties holding palette indices),
+ * and palettes are arrays of `[r, g, b, a]` entries.  The map's own palette
+ * in `map.palette` is used if it has one, otherwise each image's palette is
+ * used.
+ *
+ * Only images are drawn.  Text and icons from the item display info need
+ * fonts and images that are not part of the map, so they are skipped.  Path
+ * layers are not drawn either.
+ *
+ * @param {Map2D} map
+ *   Map to draw.
+ *
+ * @param {Object} options
+ *   Optional settings:
+ *
+ *   - `layers`: Array of indices into `map.layers` to draw.  The default is to
+ *     draw every layer.  Layers are always drawn in map order.
+ *
+ *   - `area`: Object with `x`, `y`, `width` and `height` properties, in
+ *     pixels, to draw only part of the map.  The default is the whole map as
+ *     returned by `map.getSize()`.
+ *
+ *   - `background`: `false` to leave the background transparent instead of
+ *     drawing `map.background`.
+ *
+ * @return {Object} with `width` and `height` properties, and `pixels` which
+ *   is a `Uint8Array` of RGBA values, four bytes per pixel, starting from the
+ *   top-left.
+ */
+export function renderMap(map, options = {}) {
+	const size = map.getSize();
+	const area = options.area || {
+		x: 0,
+		y: 0,
+		width: size.x,
+		height: size.y,
+	};
+	if (!(area.width > 0) || !(area.height > 0)) {
+		throw new Error(`Cannot draw an area of ${area.width}x${area.height} `
+			+ `pixels.`);
+	}
+
+	let canvas = new Canvas(area.width, area.height, area, map.palette);
+	debug(`Drawing ${area.width}x${area.height} at (${area.x},${area.y})`);
+
+	if (options.background !== false) {
+		drawBackground(canvas, map, size);
+	}
+
+	map.layers.forEach((layer, index) => {
+		if (options.layers && !options.layers.includes(index)) return;
+
+		if (layer instanceof Map2D_Layer_Tiled) {
+			drawLayerTiled(canvas, layer);
+		} else if (layer instanceof Map2D_Layer_List) {
+			drawLayerList(canvas, layer);
+		} else {
+			debug(`Not drawing layer ${index} (${layer.type})`);
+		}
+	});
+
+	return {
+		width: canvas.width,
+		height: canvas.height,
+		pixels: canvas.pixels,
+	};
+}
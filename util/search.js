@@ -0,0 +1,194 @@
+/*
+ * Find and replace tile and item codes throughout a map.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Map2D from '../interface/map2d.js';
+import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+
+/**
+ * Work out which layers to search, and the area to search within.
+ *
+ * Items are in pixels, so the area is converted using the tile size of the
+ * first tiled layer.
+ */
+function searchScope(map, options) {
+	if (!(map instanceof Map2D)) {
+		throw new Error('Only 2D maps can be searched.');
+	}
+	if (options.type && ![ 'tile', 'item' ].includes(options.type)) {
+		throw new Error(`Unknown search type "${options.type}", it must be `
+			+ `"tile" or "item".`);
+	}
+	for (const index of options.layers || []) {
+		if (!map.layers[index]) {
+			throw new Error(`Layer ${index} does not exist.`);
+		}
+	}
+
+	const tiled = map.layers.find(l => l instanceof Map2D_Layer_Tiled);
+	const tileW = (tiled && tiled.tileW) || 1;
+	const tileH = (tiled && tiled.tileH) || 1;
+	const area = options.area;
+	const insideArea = (area === undefined) ? () => true : item => (
+		(item.x >= area.x * tileW) && (item.x < (area.x + area.width) * tileW)
+		&& (item.y >= area.y * tileH) && (item.y < (area.y + area.height) * tileH)
+	);
+
+	let layers = [];
+	map.layers.forEach((layer, index) => {
+		if (options.layers && !options.layers.includes(index)) return;
+		if (layer instanceof Map2D_Layer_Tiled) {
+			if (options.type === 'item') return;
+		} else if (layer instanceof Map2D_Layer_List) {
+			if (options.type === 'tile') return;
+		} else {
+			return;
+		}
+		layers.push({ index, layer });
+	});
+
+	return { layers, area, insideArea };
+}
+
+/**
+ * Find every tile and item with the given code.
+ *
+ * @param {Map2D} map
+ *   Map to search.
+ *
+ * @param code
+ *   Tile or item code to look for.
+ *
+ * @param {Object} options
+ *   Optional settings:
+ *
+ *   - `type`: `tile` to only search tiled layers, or `item` to only search
+ *     list layers.  The default is to search both.
+ *
+ *   - `layers`: Array of indices into `map.layers` to search.  The default is
+ *     to search every layer.
+ *
+ *   - `area`: Object with `x`, `y`, `width` and `height` properties, in tiles,
+ *     to only search part of the map.  Items are included if their top-left
+ *     corner is inside the area.
+ *
+ * @return {Array} of matches in map order.  Tiles are `{layer, type: 'tile',
+ *   x, y}` with the coordinates in tiles, and items are `{layer, type: 'item',
+ *   index, x, y}` with `index` into the layer's `items` and the coordinates in
+ *   pixels.  `layer` is the index into `map.layers`.
+ */
+export function findCode(map, code, options = {}) {
+	const scope = searchScope(map, options);
+
+	let matches = [];
+	for (const { index, layer } of scope.layers) {
+		if (layer instanceof Map2D_Layer_Tiled) {
+			const a = scope.area || { x: 0, y: 0, width: layer.layerW, height: layer.layerH };
+			const x1 = Math.max(0, a.x), x2 = Math.min(layer.layerW, a.x + a.width);
+			const y1 = Math.max(0, a.y), y2 = Math.min(layer.layerH, a.y + a.height);
+			for (let y = y1; y < y2; y++) {
+				for (let x = x1; x < x2; x++) {
+					if (layer.tiles[y][x] !== code) continue;
+					matches.push({ layer: index, type: 'tile', x, y });
+				}
+			}
+		} else {
+			layer.items.forEach((item, i) => {
+				if ((item.code !== code) || !scope.insideArea(item)) return;
+				matches.push({ layer: index, type: 'item', index: i, x: item.x, y: item.y });
+			});
+		}
+	}
+
+	return matches;
+}
+
+/**
+ * Change every tile and item with one code into another code.
+ *
+ * Tiles are checked with the layer's `isPermittedAt()` function, and items
+ * are given a fresh `createItem()` with the new code so anything the format
+ * handler works out from the code, like how the item is drawn, is updated.
+ * Any other properties the item had, such as its links, are kept.
+ *
+ * All the changes are made as a single transaction, so they can be undone
+ * together.  If any of them cannot be made, nothing is changed.  As this
+ * starts its own transaction, it must not be called while the caller has one
+ * open with `Map.beginTransaction()`, otherwise an exception is thrown and
+ * nothing is changed.
+ *
+ * @param {Map2D} map
+ *   Map to change.
+ *
+ * @param code
+ *   Tile or item code to look for.
+ *
+ * @param newCode
+ *   Code to change them into, or `null` to remove the tiles and items.
+ *
+ * @param {Object} options
+ *   Same as for `findCode()`.
+ *
+ * @return {Object} with `tiles` and `items` properties holding the number of
+ *   each that were changed.
+ */
+export function replaceCode(map, code, newCode, options = {}) {
+	const scope = searchScope(map, options);
+
+	let count = {
+		tiles: 0,
+		items: 0,
+	};
+	map.beginTransaction(`Replace ${code}`);
+	try {
+		for (const { layer } of scope.layers) {
+			if (layer instanceof Map2D_Layer_Tiled) {
+				count.tiles += layer.replaceTiles(code,
+					(newCode === null) ? undefined : newCode, scope.area);
+				continue;
+			}
+
+			// Work backwards so the indices of the remaining items don't change.
+			for (let i = layer.items.length - 1; i >= 0; i--) {
+				const item = layer.items[i];
+				if ((item.code !== code) || !scope.insideArea(item)) continue;
+				if (newCode === code) continue;
+
+				layer.removeItem(i);
+				count.items++;
+				if (newCode === null) continue;
+
+				let replacement = layer.createItem(newCode);
+				Object.assign(replacement, layer.getItemProperties(item));
+				if (item.attributeValues) {
+					replacement.attributeValues = { ...item.attributeValues };
+				}
+				replacement.x = item.x;
+				replacement.y = item.y;
+				layer.addItem(replacement, i);
+			}
+		}
+	} catch (e) {
+		map.cancelTransaction();
+		throw e;
+	}
+	map.endTransaction();
+
+	return count;
+}
@@ -0,0 +1,63 @@
+/*
+ * Work out which game format a map belongs to.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from './debug.js';
+const debug = Debug.extend('source');
+
+// The game formats are imported one by one rather than through
+// formats/index.js, as the interchange formats in there use this file to find
+// the format their maps came from.
+import map_cosmo from '../formats/map-cosmo.js';
+import map_ddave from '../formats/map-ddave.js';
+
+/**
+ * Get all the format handlers used by games.
+ *
+ * This is every format except the ones that hold maps from other formats,
+ * like map-json and Tiled.  New game formats must be added here as well as to
+ * formats/index.js.
+ */
+export function sourceHandlers() {
+	return [
+		map_cosmo,
+		map_ddave,
+	];
+}
+
+/**
+ * Work out which format handler created a map.
+ *
+ * Each format uses its own class for its maps, so this is done by comparing
+ * the map's class with the class of a new map from each handler.
+ *
+ * @return {MapHandler} or `null` if the map did not come from any handler.
+ */
+export function findSourceHandler(map) {
+	for (const handler of sourceHandlers()) {
+		let blank;
+		try {
+			blank = handler.create();
+		} catch (e) {
+			debug(`Unable to create a ${handler.metadata().id} map: ${e.message}`);
+			continue;
+		}
+		if (blank.constructor === map.constructor) return handler;
+	}
+	return null;
+}
@@ -0,0 +1,152 @@
+/*
+ * Count what a map contains, and how close it is to the format's limits.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Map2D from '../interface/map2d.js';
+import Map2D_Layer_List from '../interface/map2d-layer-list.js';
+import Map2D_Layer_Path from '../interface/map2d-layer-path.js';
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+import { findSourceHandler } from './source.js';
+
+/**
+ * Count how many times each code appears.
+ *
+ * @return {Array} of `{code, count}` objects, most common first.  Codes that
+ *   appear the same number of times are in the order they were first seen.
+ */
+function histogram(codes) {
+	let counts = [];
+	let index = {};
+	for (const code of codes) {
+		const key = JSON.stringify(code);
+		if (index[key] === undefined) {
+			index[key] = counts.length;
+			counts.push({ code, count: 0 });
+		}
+		counts[index[key]].count++;
+	}
+	return counts.sort((a, b) => b.count - a.count);
+}
+
+function percent(part, total) {
+	return total ? (part * 100 / total) : 0;
+}
+
+function tiledStats(layer) {
+	const cells = layer.getCapacity();
+	const codes = layer.tiles.flat().filter(c => c !== undefined);
+	const tiles = histogram(codes);
+
+	let out = {
+		cells,
+		filled: codes.length,
+		fill: percent(codes.length, cells),
+		tiles,
+		used: tiles.length,
+		available: null,
+		unused: null,
+	};
+
+	const available = layer.getAvailableCodes();
+	if (available) {
+		const used = new Set(codes);
+		out.available = available.length;
+		out.unused = available.filter(c => !used.has(c));
+	}
+
+	return out;
+}
+
+function listStats(layer) {
+	return {
+		count: layer.items.length,
+		items: histogram(layer.items.map(item => item.code)),
+	};
+}
+
+function pathStats(layer) {
+	return {
+		count: layer.paths.length,
+		points: layer.paths.map(path => path.length),
+	};
+}
+
+/**
+ * Count the contents of a map.
+ *
+ * @param {Map2D} map
+ *   Map to examine.
+ *
+ * @param {MapHandler} handler
+ *   Format handler used to report the format limits.  Defaults to the handler
+ *   that created the map.
+ *
+ * @return {Object} with these properties:
+ *
+ *   - `layers`: Array with one entry per layer, holding the layer's `index`,
+ *     `title` and `type`, plus:
+ *
+ *     - For tiled layers, `cells` (number of places a tile can go, from the
+ *       layer's `getCapacity()`), `filled` (number of those holding a tile),
+ *       `fill` (`filled` as a percentage of `cells`), `tiles` as an array of
+ *       `{code, count}` for each tile code used, most common first, and `used`
+ *       as the number of different codes.
+ *       If the layer's `getAvailableCodes()` lists the codes it accepts,
+ *       `available` is the number of those and `unused` lists the ones that
+ *       don't appear in the layer, otherwise both are `null`.
+ *
+ *     - For list layers, `count` (number of items) and `items` as an array of
+ *       `{code, count}` for each item code, most common first.
+ *
+ *     - For path layers, `count` (number of paths) and `points` listing the
+ *       number of points in each path.
+ *
+ *   - `usage`: Array from the handler's `usage()` function, with a `percent`
+ *     property added to each entry.
+ */
+export function mapStats(map, handler = findSourceHandler(map)) {
+	if (!(map instanceof Map2D)) {
+		throw new Error('Statistics are only available for 2D maps.');
+	}
+
+	const layers = map.layers.map((layer, index) => {
+		let out = {
+			index,
+			title: layer.title,
+			type: layer.type,
+		};
+		if (layer instanceof Map2D_Layer_Tiled) {
+			Object.assign(out, tiledStats(layer));
+		} else if (layer instanceof Map2D_Layer_List) {
+			Object.assign(out, listStats(layer));
+		} else if (layer instanceof Map2D_Layer_Path) {
+			Object.assign(out, pathStats(layer));
+		}
+		return out;
+	});
+
+	const usage = (handler ? handler.usage(map) : []).map(u => ({
+		...u,
+		percent: percent(u.used, u.max),
+	}));
+
+	return {
+		layers,
+		usage,
+	};
+}
@@ -0,0 +1,200 @@
+/*
+ * Write tiled layers as text and read them back in again.
+ *
+ * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Map2D_Layer_Tiled from '../interface/map2d-layer-tiled.js';
+
+/// Characters used to stand in for tile codes, in the order they are given out.
+const CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+	+ '!#$%&*+-/<>@^_~';
+
+/// Character used where there is no tile.
+const BLANK = '?';
+
+/// Character used for tiles set to `null`.
+const NULL = ' ';
+
+/// Heading that separates the grid from the legend.
+const LEGEND = 'Legend:';
+
+/**
+ * Get the key for the nth tile code, using `width` characters.
+ */
+function keyFor(n, width) {
+	let key = '';
+	for (let i = 0; i < width; i++) {
+		key = CHARS[n % CHARS.length] + key;
+		n = Math.floor(n / CHARS.length);
+	}
+	return key;
+}
+
+/**
+ * Write a tiled layer as a grid of characters, one or more per tile.
+ *
+ * Each different tile code is given its own key, in the order they first
+ * appear.  A single character is used for each tile if there are few enough
+ * codes, otherwise every key is made longer.  Empty tiles are written as `?`.
+ *
+ * After the grid comes a blank line, then a legend listing each key with the
+ * tile code it stands for, like `A = 2000`.  This means the text can be edited
+ * and read back in with `tilesFromText()`.
+ *
+ * @param {Map2D_Layer_Tiled} layer
+ *   Layer to convert.
+ *
+ * @return {string} the grid and legend.
+ */
+export function tilesToText(layer) {
+	if (!(layer instanceof Map2D_Layer_Tiled)) {
+		throw new Error('Only tiled layers can be written as text.');
+	}
+
+	// Work out the codes first, so we know how long the keys need to be.
+	let codes = new Map();
+	let hasBlank = false, hasNull = false;
+	for (let y = 0; y < layer.layerH; y++) {
+		for (let x = 0; x < layer.layerW; x++) {
+			const code = layer.tiles[y][x];
+			if (code === undefined) {
+				hasBlank = true;
+			} else if (code === null) {
+				hasNull = true;
+			} else {
+				const id = JSON.stringify(code);
+				if (!codes.has(id)) codes.set(id, codes.size);
+			}
+		}
+	}
+	let width = 1;
+	while (Math.pow(CHARS.length, width) < codes.size) width++;
+
+	let out = '';
+	for (let y = 0; y < layer.layerH; y++) {
+		for (let x = 0; x < layer.layerW; x++) {
+			const code = layer.tiles[y][x];
+			if (code === undefined) {
+				out += BLANK.repeat(width);
+			} else if (code === null) {
+				out += NULL.repeat(width);
+			} else {
+				out += keyFor(codes.get(JSON.stringify(code)), width);
+			}
+		}
+		out += '\n';
+	}
+
+	out += '\n' + LEGEND + '\n';
+	for (const [ id, n ] of codes) {
+		out += `${keyFor(n, width)} = ${id}\n`;
+	}
+	if (hasBlank) out += `${BLANK.repeat(width)} = none\n`;
+	if (hasNull) out += `${NULL.repeat(width)} = null\n`;
+
+	return out;
+}
+
+/**
+ * Read a grid written by `tilesToText()` back into a layer.
+ *
+ * The grid must be the same size as the layer, and every key in it must be
+ * listed in the legend.  `none` in the legend means an empty tile.  The
+ * tiles are written with `pasteRegion()`, so they are checked with the
+ * layer's `isPermittedAt()`, and can be undone with `Map.undo()`.  If
+ * anything is wrong, an exception is thrown and the layer is left unchanged.
+ *
+ * @param {Map2D_Layer_Tiled} layer
+ *   Layer to change.
+ *
+ * @param {string} text
+ *   Grid and legend, as returned by `tilesToText()`.
+ *
+ * @return {Number} of tiles changed.
+ */
+export function tilesFromText(layer, text) {
+	if (!(layer instanceof Map2D_Layer_Tiled)) {
+		throw new Error('Only tiled layers can be read from text.');
+	}
+
+	let lines = text.split(/\r?\n/);
+	const legendStart = lines.findIndex(l => l.trim() === LEGEND);
+	if (legendStart < 0) {
+		throw new Error(`The text has no "${LEGEND}" line after the grid.`);
+	}
+
+	let legend = {};
+	let width;
+	lines.slice(legendStart + 1).forEach((line, i) => {
+		if (!line.trim()) return;
+		const eq = line.indexOf(' = ');
+		if (eq <= 0) {
+			throw new Error(`Line ${legendStart + i + 2} of the legend should be `
+				+ `"<key> = <code>".`);
+		}
+		const key = line.substr(0, eq);
+		const value = line.substr(eq + 3).trim();
+		if ((width !== undefined) && (key.length !== width)) {
+			throw new Error(`Legend key "${key}" is not the same length as the `
+				+ `others.`);
+		}
+		width = key.length;
+		if (value === 'none') {
+			legend[key] = undefined;
+		} else {
+			try {
+				legend[key] = JSON.parse(value);
+			} catch (e) {
+				throw new Error(`Legend key "${key}" has an invalid code: ${value}`);
+			}
+		}
+	});
+	width = width || 1;
+
+	// Drop the blank line(s) between the grid and the legend.
+	let rows = lines.slice(0, legendStart);
+	while (rows.length && (rows[rows.length - 1] === '')) rows.pop();
+
+	if (rows.length !== layer.layerH) {
+		throw new Error(`The grid has ${rows.length} rows, but the layer is `
+			+ `${layer.layerH} tiles high.`);
+	}
+
+	let tiles = [];
+	rows.forEach((row, y) => {
+		if (row.length !== layer.layerW * width) {
+			throw new Error(`Row ${y + 1} of the grid is ${row.length} characters `
+				+ `long, but should be ${layer.layerW * width} for a layer `
+				+ `${layer.layerW} tiles wide.`);
+		}
+		let tileRow = [];
+		for (let x = 0; x < layer.layerW; x++) {
+			const key = row.substr(x * width, width);
+			if (!Object.prototype.hasOwnProperty.call(legend, key)) {
+				throw new Error(`"${key}" at (${x},${y}) is not in the legend.`);
+			}
+			tileRow.push(legend[key]);
+		}
+		tiles.push(tileRow);
+	});
+
+	return layer.pasteRegion({
+		width: layer.layerW,
+		height: layer.layerH,
+		tiles,
+	}, 0, 0);
+}